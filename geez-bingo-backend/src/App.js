@@ -79,6 +79,11 @@ app.use('/api/games', routes.games);
 app.use('/api/wallet', routes.wallet);
 app.use('/api/admin', routes.admin);
 app.use('/api/telegram', routes.telegram);
+app.use('/api/tournaments', routes.tournaments);
+app.use('/api/subscriptions', routes.subscriptions);
+app.use('/api/ledger', routes.ledger);
+app.use('/api/bonuses', routes.bonuses);
+app.use('/api/referrals', routes.referrals);
 
 // Health check endpoint
 app.get('/health', (req, res) => {
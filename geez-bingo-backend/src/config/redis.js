@@ -1,6 +1,21 @@
 const Redis = require('redis');
 require('dotenv').config();
 
+// Only the holder (matching value) may renew or release a lock
+const RENEW_LOCK_SCRIPT = `
+  if redis.call('get', KEYS[1]) == ARGV[1] then
+    return redis.call('pexpire', KEYS[1], ARGV[2])
+  end
+  return 0
+`;
+
+const RELEASE_LOCK_SCRIPT = `
+  if redis.call('get', KEYS[1]) == ARGV[1] then
+    return redis.call('del', KEYS[1])
+  end
+  return 0
+`;
+
 class RedisClient {
   constructor() {
     this.client = Redis.createClient({
@@ -95,6 +110,42 @@ class RedisClient {
     }
   }
   
+  // Take a lock if nobody holds it; expires after ttl ms unless renewed
+  async acquireLock(key, owner, ttl) {
+    try {
+      return (await this.client.set(key, owner, { NX: true, PX: ttl })) === 'OK';
+    } catch (error) {
+      console.error('Redis acquireLock error:', error);
+      return false;
+    }
+  }
+  
+  async renewLock(key, owner, ttl) {
+    try {
+      const result = await this.client.eval(RENEW_LOCK_SCRIPT, {
+        keys: [key],
+        arguments: [owner, String(ttl)]
+      });
+      return result === 1;
+    } catch (error) {
+      console.error('Redis renewLock error:', error);
+      return false;
+    }
+  }
+  
+  async releaseLock(key, owner) {
+    try {
+      const result = await this.client.eval(RELEASE_LOCK_SCRIPT, {
+        keys: [key],
+        arguments: [owner]
+      });
+      return result === 1;
+    } catch (error) {
+      console.error('Redis releaseLock error:', error);
+      return false;
+    }
+  }
+  
   async incr(key) {
     try {
       return await this.client.incr(key);
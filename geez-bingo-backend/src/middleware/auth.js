@@ -0,0 +1,50 @@
+const jwt = require('jsonwebtoken');
+const { User } = require('../models');
+
+// Require a valid Bearer token and expose the user id as req.user
+const authenticate = (req, res, next) => {
+    const header = req.headers.authorization || '';
+    const token = header.startsWith('Bearer ') ? header.slice(7) : null;
+    
+    if (!token) {
+        return res.status(401).json({
+            success: false,
+            error: 'Authentication required'
+        });
+    }
+    
+    try {
+        const decoded = jwt.verify(token, process.env.JWT_SECRET);
+        req.user = { id: decoded.id };
+        next();
+    } catch (error) {
+        return res.status(401).json({
+            success: false,
+            error: 'Invalid or expired token'
+        });
+    }
+};
+
+// Use after authenticate; only users flagged is_admin get through
+const requireAdmin = async (req, res, next) => {
+    try {
+        const user = await User.findByPk(req.user.id, { attributes: ['id', 'is_admin'] });
+        
+        if (!user || !user.is_admin) {
+            return res.status(403).json({
+                success: false,
+                error: 'Admin access required'
+            });
+        }
+        
+        next();
+    } catch (error) {
+        console.error('Admin check error:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to check permissions'
+        });
+    }
+};
+
+module.exports = { authenticate, requireAdmin };
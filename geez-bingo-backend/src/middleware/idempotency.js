@@ -0,0 +1,52 @@
+const idempotencyService = require('../services/idempotencyService');
+
+// Use after authenticate on routes that move money. A request with an
+// Idempotency-Key header runs once; a retry with the same key gets the first
+// response back. Requests without the header are handled as before.
+// Card purchases keep their key inside the purchase (see GameEngine#purchaseCard).
+// Deposit and withdrawal routes aren't part of this server yet; mount this on
+// them, e.g. idempotent('deposit'), when they are added.
+const idempotent = (action) => async (req, res, next) => {
+    const key = req.get('Idempotency-Key');
+    if (key === undefined) {
+        return next();
+    }
+    
+    let claim;
+    try {
+        claim = await idempotencyService.begin(req.user.id, key, action, {
+            params: req.params,
+            body: req.body || {}
+        });
+    } catch (error) {
+        if (!error.statusCode) {
+            console.error('Idempotency key error:', error);
+        }
+        return res.status(error.statusCode || 500).json({
+            success: false,
+            error: error.statusCode ? error.message : 'Failed to check idempotency key'
+        });
+    }
+    
+    if (claim.replay) {
+        res.set('Idempotent-Replayed', 'true');
+        return res.status(claim.replay.status).json(claim.replay.body);
+    }
+    
+    // Successful responses are stored before they are sent; errors free the key
+    const send = res.json.bind(res);
+    res.json = (body) => {
+        const settle = res.statusCode < 400
+            ? idempotencyService.complete(claim.record, res.statusCode, body)
+            : idempotencyService.release(claim.record);
+        
+        settle
+            .catch(error => console.error('Idempotency key store error:', error))
+            .then(() => send(body));
+        return res;
+    };
+    
+    next();
+};
+
+module.exports = { idempotent };
@@ -0,0 +1,64 @@
+const { DataTypes } = require('sequelize');
+const sequelize = require('../config/database');
+
+// Bonus money granted to a player. It sits in the bonus wallet until the player
+// has wagered wagering_required on cards, then becomes cash; unconverted
+// bonuses are forfeited at expires_at.
+const Bonus = sequelize.define('Bonus', {
+  id: {
+    type: DataTypes.UUID,
+    defaultValue: DataTypes.UUIDV4,
+    primaryKey: true
+  },
+  user_id: {
+    type: DataTypes.UUID,
+    allowNull: false
+  },
+  // welcome, promotion, ...
+  type: {
+    type: DataTypes.STRING(30),
+    allowNull: false
+  },
+  amount: {
+    type: DataTypes.DECIMAL(15, 2),
+    allowNull: false
+  },
+  wagering_required: {
+    type: DataTypes.DECIMAL(15, 2),
+    allowNull: false
+  },
+  wagered: {
+    type: DataTypes.DECIMAL(15, 2),
+    defaultValue: 0.00
+  },
+  status: {
+    type: DataTypes.ENUM('active', 'converted', 'expired'),
+    defaultValue: 'active'
+  },
+  expires_at: {
+    type: DataTypes.DATE,
+    allowNull: true
+  },
+  // What was converted to cash or forfeited when the bonus settled
+  settled_amount: {
+    type: DataTypes.DECIMAL(15, 2),
+    allowNull: true
+  },
+  settled_at: {
+    type: DataTypes.DATE,
+    allowNull: true
+  }
+}, {
+  tableName: 'bonuses',
+  timestamps: true,
+  indexes: [
+    {
+      fields: ['user_id', 'status']
+    },
+    {
+      fields: ['status', 'expires_at']
+    }
+  ]
+});
+
+module.exports = Bonus;
@@ -35,6 +35,22 @@ const Card = sequelize.define('Card', {
     type: DataTypes.BOOLEAN,
     defaultValue: false
   },
+  is_disqualified: {
+    type: DataTypes.BOOLEAN,
+    defaultValue: false
+  },
+  // Part of the price paid from the bonus wallet; prizes and refunds on the
+  // card go back to the bonus wallet in the same proportion
+  bonus_paid: {
+    type: DataTypes.DECIMAL(15, 2),
+    defaultValue: 0.00
+  },
+  // Seed the buyer sent with the card; all of a game's seeds make up the
+  // player seed of its draw
+  client_seed: {
+    type: DataTypes.STRING(64),
+    allowNull: true
+  },
   purchased_at: {
     type: DataTypes.DATE,
     allowNull: true
@@ -0,0 +1,72 @@
+const { DataTypes } = require('sequelize');
+const sequelize = require('../config/database');
+
+// Standing order to buy cards in every new room game until it runs out
+const CardSubscription = sequelize.define('CardSubscription', {
+  id: {
+    type: DataTypes.UUID,
+    defaultValue: DataTypes.UUIDV4,
+    primaryKey: true
+  },
+  user_id: {
+    type: DataTypes.UUID,
+    allowNull: false
+  },
+  cards_per_game: {
+    type: DataTypes.INTEGER,
+    allowNull: false
+  },
+  // Games still to buy into; null runs until the spend cap or a cancel
+  games_remaining: {
+    type: DataTypes.INTEGER,
+    allowNull: true
+  },
+  spend_cap: {
+    type: DataTypes.DECIMAL(15, 2),
+    allowNull: true
+  },
+  total_spent: {
+    type: DataTypes.DECIMAL(15, 2),
+    defaultValue: 0.00
+  },
+  // Optional filters: only games of this room and/or at this bet amount
+  room_id: {
+    type: DataTypes.UUID,
+    allowNull: true
+  },
+  bet_amount: {
+    type: DataTypes.DECIMAL(15, 2),
+    allowNull: true
+  },
+  games_played: {
+    type: DataTypes.INTEGER,
+    defaultValue: 0
+  },
+  // Games skipped in a row for lack of balance; the player is told on the first
+  consecutive_skips: {
+    type: DataTypes.INTEGER,
+    defaultValue: 0
+  },
+  status: {
+    type: DataTypes.ENUM('active', 'completed', 'cancelled'),
+    defaultValue: 'active'
+  },
+  // Game last filled; a subscription without a room waits for it to finish
+  last_game_id: {
+    type: DataTypes.UUID,
+    allowNull: true
+  }
+}, {
+  tableName: 'card_subscriptions',
+  timestamps: true,
+  indexes: [
+    {
+      fields: ['status']
+    },
+    {
+      fields: ['user_id']
+    }
+  ]
+});
+
+module.exports = CardSubscription;
@@ -0,0 +1,51 @@
+const { DataTypes } = require('sequelize');
+const sequelize = require('../config/database');
+
+const Claim = sequelize.define('Claim', {
+  id: {
+    type: DataTypes.UUID,
+    defaultValue: DataTypes.UUIDV4,
+    primaryKey: true
+  },
+  game_id: {
+    type: DataTypes.UUID,
+    allowNull: false
+  },
+  user_id: {
+    type: DataTypes.UUID,
+    allowNull: false
+  },
+  card_number: {
+    type: DataTypes.INTEGER,
+    allowNull: false
+  },
+  stage: {
+    type: DataTypes.STRING(50),
+    allowNull: false
+  },
+  call_count: {
+    type: DataTypes.INTEGER,
+    allowNull: false
+  },
+  valid: {
+    type: DataTypes.BOOLEAN,
+    allowNull: false
+  },
+  reason: {
+    type: DataTypes.ENUM('accepted', 'not_complete', 'window_expired'),
+    allowNull: false
+  }
+}, {
+  tableName: 'claims',
+  timestamps: true,
+  indexes: [
+    {
+      fields: ['game_id']
+    },
+    {
+      fields: ['user_id']
+    }
+  ]
+});
+
+module.exports = Claim;
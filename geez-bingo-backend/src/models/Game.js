@@ -12,6 +12,31 @@ const Game = sequelize.define('Game', {
     unique: true,
     allowNull: false
   },
+  room_id: {
+    type: DataTypes.UUID,
+    allowNull: true
+  },
+  // Set on admin-scheduled special games, null on the rolling room games
+  name: {
+    type: DataTypes.STRING(100),
+    allowNull: true
+  },
+  // Minimum prize pool of a special game; the house tops up a smaller pot
+  guaranteed_prize: {
+    type: DataTypes.DECIMAL(15, 2),
+    defaultValue: 0.00
+  },
+  // Private games are created by a player (the host) and joined by invite code;
+  // both are null on public games
+  host_id: {
+    type: DataTypes.UUID,
+    allowNull: true
+  },
+  invite_code: {
+    type: DataTypes.STRING(8),
+    allowNull: true,
+    unique: true
+  },
   status: {
     type: DataTypes.ENUM('waiting', 'active', 'completed', 'cancelled'),
     defaultValue: 'waiting'
@@ -20,6 +45,11 @@ const Game = sequelize.define('Game', {
     type: DataTypes.DECIMAL(15, 2),
     defaultValue: 0.00
   },
+  // Part of the pot rolled in from unwon games rather than paid for cards
+  rollover_amount: {
+    type: DataTypes.DECIMAL(15, 2),
+    defaultValue: 0.00
+  },
   called_numbers: {
     type: DataTypes.JSONB,
     defaultValue: []
@@ -28,12 +58,28 @@ const Game = sequelize.define('Game', {
     type: DataTypes.JSONB,
     defaultValue: []
   },
-  winner_id: {
-    type: DataTypes.UUID,
+  current_stage: {
+    type: DataTypes.INTEGER,
+    defaultValue: 0
+  },
+  // Full draw sequence fixed at start and the position reached, so a restart
+  // can carry on with the same remaining numbers
+  draw_order: {
+    type: DataTypes.JSONB,
     allowNull: true
   },
-  winning_card: {
+  draw_index: {
     type: DataTypes.INTEGER,
+    defaultValue: 0
+  },
+  // Playing time used so far; downtime between a crash and a resume doesn't count
+  elapsed_ms: {
+    type: DataTypes.INTEGER,
+    defaultValue: 0
+  },
+  // How the pot was settled: winner, or the no-winner policy that was applied
+  outcome: {
+    type: DataTypes.ENUM('winner', 'rollover', 'refund', 'jackpot'),
     allowNull: true
   },
   start_time: {
@@ -51,9 +97,16 @@ const Game = sequelize.define('Game', {
       house_fee: 0.05,
       game_duration: 180,
       max_cards_per_player: 5,
-      min_players: 1
+      min_players: 1,
+      patterns: ['line'],
+      win_mode: 'auto',
+      claim_window: 5
     }
   },
+  server_seed: {
+    type: DataTypes.STRING(64),
+    allowNull: true
+  },
   metadata: {
     type: DataTypes.JSONB,
     defaultValue: {}
@@ -63,4 +116,14 @@ const Game = sequelize.define('Game', {
   timestamps: true
 });
 
+// The server seed and draw order stay secret until the game is over
+Game.prototype.toJSON = function() {
+  const values = Object.assign({}, this.get());
+  if (!['completed', 'cancelled'].includes(values.status)) {
+    delete values.server_seed;
+    delete values.draw_order;
+  }
+  return values;
+};
+
 module.exports = Game;
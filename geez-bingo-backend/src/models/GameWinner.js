@@ -0,0 +1,56 @@
+const { DataTypes } = require('sequelize');
+const sequelize = require('../config/database');
+
+const GameWinner = sequelize.define('GameWinner', {
+  id: {
+    type: DataTypes.UUID,
+    defaultValue: DataTypes.UUIDV4,
+    primaryKey: true
+  },
+  game_id: {
+    type: DataTypes.UUID,
+    allowNull: false
+  },
+  stage: {
+    type: DataTypes.STRING(50),
+    allowNull: false
+  },
+  stage_index: {
+    type: DataTypes.INTEGER,
+    allowNull: false
+  },
+  user_id: {
+    type: DataTypes.UUID,
+    allowNull: false
+  },
+  card_number: {
+    type: DataTypes.INTEGER,
+    allowNull: false
+  },
+  pattern: {
+    type: DataTypes.STRING(50),
+    allowNull: false
+  },
+  amount: {
+    type: DataTypes.DECIMAL(15, 2),
+    allowNull: false
+  },
+  call_count: {
+    type: DataTypes.INTEGER,
+    allowNull: false
+  }
+}, {
+  tableName: 'game_winners',
+  timestamps: true,
+  indexes: [
+    {
+      unique: true,
+      fields: ['game_id', 'stage_index', 'card_number']
+    },
+    {
+      fields: ['user_id']
+    }
+  ]
+});
+
+module.exports = GameWinner;
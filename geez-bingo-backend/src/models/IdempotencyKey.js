@@ -0,0 +1,55 @@
+const { DataTypes } = require('sequelize');
+const sequelize = require('../config/database');
+
+// A client-supplied key for one money-moving request and the response it got
+const IdempotencyKey = sequelize.define('IdempotencyKey', {
+  id: {
+    type: DataTypes.UUID,
+    defaultValue: DataTypes.UUIDV4,
+    primaryKey: true
+  },
+  user_id: {
+    type: DataTypes.UUID,
+    allowNull: false
+  },
+  key: {
+    type: DataTypes.STRING(255),
+    allowNull: false
+  },
+  // purchase_card, tournament_register, ... (see idempotencyService)
+  action: {
+    type: DataTypes.STRING(50),
+    allowNull: false
+  },
+  // Hash of the action and request, so a key can't be reused for another request
+  fingerprint: {
+    type: DataTypes.STRING(64),
+    allowNull: false
+  },
+  status: {
+    type: DataTypes.ENUM('pending', 'completed'),
+    defaultValue: 'pending'
+  },
+  response_status: {
+    type: DataTypes.INTEGER,
+    allowNull: true
+  },
+  response: {
+    type: DataTypes.JSONB,
+    allowNull: true
+  }
+}, {
+  tableName: 'idempotency_keys',
+  timestamps: true,
+  indexes: [
+    {
+      unique: true,
+      fields: ['user_id', 'key']
+    },
+    {
+      fields: ['created_at']
+    }
+  ]
+});
+
+module.exports = IdempotencyKey;
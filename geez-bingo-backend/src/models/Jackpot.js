@@ -0,0 +1,33 @@
+const { DataTypes } = require('sequelize');
+const sequelize = require('../config/database');
+
+// Pooled money held outside any single game
+const Jackpot = sequelize.define('Jackpot', {
+  id: {
+    type: DataTypes.UUID,
+    defaultValue: DataTypes.UUIDV4,
+    primaryKey: true
+  },
+  key: {
+    type: DataTypes.STRING(50),
+    unique: true,
+    allowNull: false
+  },
+  amount: {
+    type: DataTypes.DECIMAL(15, 2),
+    defaultValue: 0.00
+  },
+  last_won_at: {
+    type: DataTypes.DATE,
+    allowNull: true
+  },
+  last_winner_id: {
+    type: DataTypes.UUID,
+    allowNull: true
+  }
+}, {
+  tableName: 'jackpots',
+  timestamps: true
+});
+
+module.exports = Jackpot;
@@ -0,0 +1,42 @@
+const { DataTypes } = require('sequelize');
+const sequelize = require('../config/database');
+
+// An account in the double-entry ledger: a player or bonus wallet, a game pot, a
+// tournament pool, a jackpot, house revenue, promotions or opening balances.
+// balance is the sum of the account's postings, kept up to date with each entry.
+const LedgerAccount = sequelize.define('LedgerAccount', {
+  id: {
+    type: DataTypes.UUID,
+    defaultValue: DataTypes.UUIDV4,
+    primaryKey: true
+  },
+  // e.g. user:<id>, bonus_wallet:<id>, game:<id>, jackpot:main, house:revenue
+  key: {
+    type: DataTypes.STRING(100),
+    unique: true,
+    allowNull: false
+  },
+  type: {
+    type: DataTypes.ENUM('user', 'bonus_wallet', 'game', 'tournament', 'jackpot', 'house', 'bonus', 'equity'),
+    allowNull: false
+  },
+  // The user, game or tournament the account belongs to
+  owner_id: {
+    type: DataTypes.UUID,
+    allowNull: true
+  },
+  balance: {
+    type: DataTypes.DECIMAL(15, 2),
+    defaultValue: 0.00
+  }
+}, {
+  tableName: 'ledger_accounts',
+  timestamps: true,
+  indexes: [
+    {
+      fields: ['type']
+    }
+  ]
+});
+
+module.exports = LedgerAccount;
@@ -0,0 +1,31 @@
+const { DataTypes } = require('sequelize');
+const sequelize = require('../config/database');
+
+// One money movement; its postings always sum to zero
+const LedgerEntry = sequelize.define('LedgerEntry', {
+  id: {
+    type: DataTypes.UUID,
+    defaultValue: DataTypes.UUIDV4,
+    primaryKey: true
+  },
+  // card_purchase, prize, refund, rollover, house_fee, ... (see ledgerService)
+  type: {
+    type: DataTypes.STRING(50),
+    allowNull: false
+  },
+  // Game, card, tournament etc. the movement belongs to
+  metadata: {
+    type: DataTypes.JSONB,
+    defaultValue: {}
+  }
+}, {
+  tableName: 'ledger_entries',
+  timestamps: true,
+  indexes: [
+    {
+      fields: ['type']
+    }
+  ]
+});
+
+module.exports = LedgerEntry;
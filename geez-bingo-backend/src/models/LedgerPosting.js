@@ -0,0 +1,41 @@
+const { DataTypes } = require('sequelize');
+const sequelize = require('../config/database');
+
+// One side of a ledger entry: money into (positive) or out of (negative) an account
+const LedgerPosting = sequelize.define('LedgerPosting', {
+  id: {
+    type: DataTypes.UUID,
+    defaultValue: DataTypes.UUIDV4,
+    primaryKey: true
+  },
+  entry_id: {
+    type: DataTypes.UUID,
+    allowNull: false
+  },
+  account_id: {
+    type: DataTypes.UUID,
+    allowNull: false
+  },
+  amount: {
+    type: DataTypes.DECIMAL(15, 2),
+    allowNull: false
+  },
+  // Account balance right after this posting, for statements
+  balance_after: {
+    type: DataTypes.DECIMAL(15, 2),
+    allowNull: false
+  }
+}, {
+  tableName: 'ledger_postings',
+  timestamps: true,
+  indexes: [
+    {
+      fields: ['account_id', 'created_at']
+    },
+    {
+      fields: ['entry_id']
+    }
+  ]
+});
+
+module.exports = LedgerPosting;
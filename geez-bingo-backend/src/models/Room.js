@@ -0,0 +1,63 @@
+const { DataTypes } = require('sequelize');
+const sequelize = require('../config/database');
+
+const Room = sequelize.define('Room', {
+  id: {
+    type: DataTypes.UUID,
+    defaultValue: DataTypes.UUIDV4,
+    primaryKey: true
+  },
+  name: {
+    type: DataTypes.STRING(50),
+    allowNull: false
+  },
+  slug: {
+    type: DataTypes.STRING(50),
+    unique: true,
+    allowNull: false
+  },
+  bet_amount: {
+    type: DataTypes.DECIMAL(15, 2),
+    allowNull: false
+  },
+  house_fee: {
+    type: DataTypes.DECIMAL(5, 4),
+    defaultValue: 0.05
+  },
+  game_duration: {
+    type: DataTypes.INTEGER,
+    defaultValue: 180
+  },
+  countdown_duration: {
+    type: DataTypes.INTEGER,
+    defaultValue: 30
+  },
+  max_cards_per_player: {
+    type: DataTypes.INTEGER,
+    defaultValue: 5
+  },
+  min_players: {
+    type: DataTypes.INTEGER,
+    defaultValue: 1
+  },
+  // Remaining game settings (patterns, stages, win_mode, claim_window, ...)
+  settings: {
+    type: DataTypes.JSONB,
+    defaultValue: {
+      patterns: ['line']
+    }
+  },
+  is_active: {
+    type: DataTypes.BOOLEAN,
+    defaultValue: true
+  },
+  sort_order: {
+    type: DataTypes.INTEGER,
+    defaultValue: 0
+  }
+}, {
+  tableName: 'rooms',
+  timestamps: true
+});
+
+module.exports = Room;
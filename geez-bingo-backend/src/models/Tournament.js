@@ -0,0 +1,64 @@
+const { DataTypes } = require('sequelize');
+const sequelize = require('../config/database');
+
+// A series of games in one room; registered players collect points per game
+const Tournament = sequelize.define('Tournament', {
+  id: {
+    type: DataTypes.UUID,
+    defaultValue: DataTypes.UUIDV4,
+    primaryKey: true
+  },
+  name: {
+    type: DataTypes.STRING(100),
+    allowNull: false
+  },
+  room_id: {
+    type: DataTypes.UUID,
+    allowNull: false
+  },
+  status: {
+    type: DataTypes.ENUM('registration', 'running', 'completed', 'cancelled'),
+    defaultValue: 'registration'
+  },
+  buy_in: {
+    type: DataTypes.DECIMAL(15, 2),
+    defaultValue: 0.00
+  },
+  // Buy-ins plus any amount the house adds when creating the tournament
+  prize_pool: {
+    type: DataTypes.DECIMAL(15, 2),
+    defaultValue: 0.00
+  },
+  game_count: {
+    type: DataTypes.INTEGER,
+    allowNull: false
+  },
+  games_played: {
+    type: DataTypes.INTEGER,
+    defaultValue: 0
+  },
+  // Games in the room that start from this time on count towards the tournament
+  starts_at: {
+    type: DataTypes.DATE,
+    allowNull: false
+  },
+  ended_at: {
+    type: DataTypes.DATE,
+    allowNull: true
+  },
+  // Points scheme and payout percentages by leaderboard position
+  settings: {
+    type: DataTypes.JSONB,
+    defaultValue: {}
+  }
+}, {
+  tableName: 'tournaments',
+  timestamps: true,
+  indexes: [
+    {
+      fields: ['room_id', 'status']
+    }
+  ]
+});
+
+module.exports = Tournament;
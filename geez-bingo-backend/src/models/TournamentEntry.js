@@ -0,0 +1,50 @@
+const { DataTypes } = require('sequelize');
+const sequelize = require('../config/database');
+
+// A player's registration and standing in a tournament
+const TournamentEntry = sequelize.define('TournamentEntry', {
+  id: {
+    type: DataTypes.UUID,
+    defaultValue: DataTypes.UUIDV4,
+    primaryKey: true
+  },
+  tournament_id: {
+    type: DataTypes.UUID,
+    allowNull: false
+  },
+  user_id: {
+    type: DataTypes.UUID,
+    allowNull: false
+  },
+  points: {
+    type: DataTypes.INTEGER,
+    defaultValue: 0
+  },
+  games_played: {
+    type: DataTypes.INTEGER,
+    defaultValue: 0
+  },
+  // Final position and payout, set when the tournament completes
+  rank: {
+    type: DataTypes.INTEGER,
+    allowNull: true
+  },
+  prize: {
+    type: DataTypes.DECIMAL(15, 2),
+    defaultValue: 0.00
+  }
+}, {
+  tableName: 'tournament_entries',
+  timestamps: true,
+  indexes: [
+    {
+      unique: true,
+      fields: ['tournament_id', 'user_id']
+    },
+    {
+      fields: ['tournament_id', 'points']
+    }
+  ]
+});
+
+module.exports = TournamentEntry;
@@ -38,6 +38,11 @@ const User = sequelize.define('User', {
     type: DataTypes.DECIMAL(15, 2),
     defaultValue: 0.00
   },
+  // Bonus money: plays like cash but only becomes cash once wagered (see bonusService)
+  bonus_balance: {
+    type: DataTypes.DECIMAL(15, 2),
+    defaultValue: 0.00
+  },
   total_won: {
     type: DataTypes.DECIMAL(15, 2),
     defaultValue: 0.00
@@ -66,6 +71,11 @@ const User = sequelize.define('User', {
     type: DataTypes.UUID,
     allowNull: true
   },
+  // When the referrer was paid the sign-up bonus for this player's first deposit
+  referral_rewarded_at: {
+    type: DataTypes.DATE,
+    allowNull: true
+  },
   wallet_address: {
     type: DataTypes.STRING,
     allowNull: true
@@ -78,6 +88,15 @@ const User = sequelize.define('User', {
     type: DataTypes.BOOLEAN,
     defaultValue: false
   },
+  is_admin: {
+    type: DataTypes.BOOLEAN,
+    defaultValue: false
+  },
+  // Cartela numbers the player wants in every game, in order of preference
+  favourite_cards: {
+    type: DataTypes.JSONB,
+    defaultValue: []
+  },
   last_login: {
     type: DataTypes.DATE,
     allowNull: true
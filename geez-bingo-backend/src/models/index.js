@@ -3,10 +3,35 @@ const User = require('./User');
 const Game = require('./Game');
 const Card = require('./Card');
 const Transaction = require('./Transaction');
+const GameWinner = require('./GameWinner');
+const Claim = require('./Claim');
+const Room = require('./Room');
+const Jackpot = require('./Jackpot');
+const Tournament = require('./Tournament');
+const TournamentEntry = require('./TournamentEntry');
+const CardSubscription = require('./CardSubscription');
+const LedgerAccount = require('./LedgerAccount');
+const LedgerEntry = require('./LedgerEntry');
+const LedgerPosting = require('./LedgerPosting');
+const IdempotencyKey = require('./IdempotencyKey');
+const Bonus = require('./Bonus');
 
 // Define associations
-User.hasMany(Game, { foreignKey: 'winner_id', as: 'won_games' });
-Game.belongsTo(User, { foreignKey: 'winner_id', as: 'winner' });
+Room.hasMany(Game, { foreignKey: 'room_id', as: 'games' });
+Game.belongsTo(Room, { foreignKey: 'room_id', as: 'room' });
+
+User.hasMany(Game, { foreignKey: 'host_id', as: 'hosted_games' });
+Game.belongsTo(User, { foreignKey: 'host_id', as: 'host' });
+
+Game.hasMany(GameWinner, { foreignKey: 'game_id', as: 'winners' });
+GameWinner.belongsTo(Game, { foreignKey: 'game_id', as: 'game' });
+
+User.hasMany(GameWinner, { foreignKey: 'user_id', as: 'wins' });
+GameWinner.belongsTo(User, { foreignKey: 'user_id', as: 'user' });
+
+Game.hasMany(Claim, { foreignKey: 'game_id', as: 'claims' });
+User.hasMany(Claim, { foreignKey: 'user_id', as: 'claims' });
+Claim.belongsTo(User, { foreignKey: 'user_id', as: 'user' });
 
 User.hasMany(Card, { foreignKey: 'user_id', as: 'cards' });
 Card.belongsTo(User, { foreignKey: 'user_id', as: 'owner' });
@@ -17,6 +42,25 @@ Card.belongsTo(Game, { foreignKey: 'game_id', as: 'game' });
 User.hasMany(Transaction, { foreignKey: 'user_id', as: 'transactions' });
 Transaction.belongsTo(User, { foreignKey: 'user_id', as: 'user' });
 
+Room.hasMany(Tournament, { foreignKey: 'room_id', as: 'tournaments' });
+Tournament.belongsTo(Room, { foreignKey: 'room_id', as: 'room' });
+
+Tournament.hasMany(TournamentEntry, { foreignKey: 'tournament_id', as: 'entries' });
+TournamentEntry.belongsTo(Tournament, { foreignKey: 'tournament_id', as: 'tournament' });
+TournamentEntry.belongsTo(User, { foreignKey: 'user_id', as: 'user' });
+
+User.hasMany(CardSubscription, { foreignKey: 'user_id', as: 'subscriptions' });
+CardSubscription.belongsTo(User, { foreignKey: 'user_id', as: 'user' });
+CardSubscription.belongsTo(Room, { foreignKey: 'room_id', as: 'room' });
+
+User.hasMany(Bonus, { foreignKey: 'user_id', as: 'bonuses' });
+Bonus.belongsTo(User, { foreignKey: 'user_id', as: 'user' });
+
+LedgerEntry.hasMany(LedgerPosting, { foreignKey: 'entry_id', as: 'postings' });
+LedgerPosting.belongsTo(LedgerEntry, { foreignKey: 'entry_id', as: 'entry' });
+LedgerAccount.hasMany(LedgerPosting, { foreignKey: 'account_id', as: 'postings' });
+LedgerPosting.belongsTo(LedgerAccount, { foreignKey: 'account_id', as: 'account' });
+
 // Self-referral relationship
 User.belongsTo(User, { foreignKey: 'referred_by', as: 'referrer' });
 User.hasMany(User, { foreignKey: 'referred_by', as: 'referrals' });
@@ -26,6 +70,18 @@ const models = {
   Game,
   Card,
   Transaction,
+  GameWinner,
+  Claim,
+  Room,
+  Jackpot,
+  Tournament,
+  TournamentEntry,
+  CardSubscription,
+  LedgerAccount,
+  LedgerEntry,
+  LedgerPosting,
+  IdempotencyKey,
+  Bonus,
   sequelize
 };
 
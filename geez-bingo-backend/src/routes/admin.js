@@ -0,0 +1,167 @@
+const express = require('express');
+const router = express.Router();
+const gameEngine = require('../services/gameEngine');
+const tournamentService = require('../services/tournamentService');
+const ledgerService = require('../services/ledgerService');
+const bonusService = require('../services/bonusService');
+const { authenticate, requireAdmin } = require('../middleware/auth');
+const { idempotent } = require('../middleware/idempotency');
+
+router.use(authenticate, requireAdmin);
+
+// Schedule a special game: { roomId, name, startTime, guaranteedPrize, betAmount }
+router.post('/special-games', async (req, res) => {
+    try {
+        const game = await gameEngine.scheduleSpecialGame(req.body);
+        
+        res.status(201).json({
+            success: true,
+            game
+        });
+        
+    } catch (error) {
+        console.error('Schedule special game error:', error);
+        res.status(400).json({
+            success: false,
+            error: error.message
+        });
+    }
+});
+
+router.get('/special-games', async (req, res) => {
+    try {
+        const games = await gameEngine.getSpecialGames();
+        
+        res.json({
+            success: true,
+            games
+        });
+        
+    } catch (error) {
+        console.error('List special games error:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to load special games'
+        });
+    }
+});
+
+// Cancel a special game before it starts; pre-sold cards are refunded
+router.delete('/special-games/:gameId', async (req, res) => {
+    try {
+        await gameEngine.cancelSpecialGame(req.params.gameId);
+        
+        res.json({
+            success: true
+        });
+        
+    } catch (error) {
+        console.error('Cancel special game error:', error);
+        res.status(400).json({
+            success: false,
+            error: error.message
+        });
+    }
+});
+
+// Create a tournament: { name, roomId, gameCount, startsAt, buyIn, prizePool, payouts, points }
+router.post('/tournaments', async (req, res) => {
+    try {
+        const tournament = await tournamentService.createTournament(req.body);
+        
+        res.status(201).json({
+            success: true,
+            tournament
+        });
+        
+    } catch (error) {
+        console.error('Create tournament error:', error);
+        res.status(400).json({
+            success: false,
+            error: error.message
+        });
+    }
+});
+
+// Cancel a tournament that has not finished; buy-ins are refunded
+router.delete('/tournaments/:tournamentId', async (req, res) => {
+    try {
+        await tournamentService.cancelTournament(req.params.tournamentId);
+        
+        res.json({
+            success: true
+        });
+        
+    } catch (error) {
+        console.error('Cancel tournament error:', error);
+        res.status(400).json({
+            success: false,
+            error: error.message
+        });
+    }
+});
+
+// Grant a player bonus money: { userId, amount, multiplier, expiresInDays }.
+// Send an Idempotency-Key header so a retried grant doesn't credit twice.
+router.post('/bonuses', idempotent('grant_bonus'), async (req, res) => {
+    try {
+        const { userId, amount, multiplier, expiresInDays } = req.body;
+        const bonus = await bonusService.grant(userId, amount, {
+            type: 'promotion',
+            ...(multiplier !== undefined && { multiplier }),
+            ...(expiresInDays !== undefined && { expiresInDays })
+        });
+        
+        res.status(201).json({
+            success: true,
+            bonus
+        });
+        
+    } catch (error) {
+        console.error('Grant bonus error:', error);
+        res.status(400).json({
+            success: false,
+            error: error.message
+        });
+    }
+});
+
+// Statement of any ledger account, e.g. house:revenue or game:<id>
+router.get('/ledger/accounts/:key', async (req, res) => {
+    try {
+        const statement = await ledgerService.getStatement(req.params.key, req.query);
+        
+        res.json({
+            success: true,
+            statement
+        });
+        
+    } catch (error) {
+        console.error('Get ledger statement error:', error);
+        res.status(404).json({
+            success: false,
+            error: error.message
+        });
+    }
+});
+
+// Check that the books balance
+router.get('/ledger/check', async (req, res) => {
+    try {
+        const result = await ledgerService.checkBooks();
+        
+        res.json({
+            success: true,
+            ...result
+        });
+        
+    } catch (error) {
+        console.error('Ledger check error:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Ledger check failed'
+        });
+    }
+});
+
+module.exports = router;
@@ -0,0 +1,27 @@
+const express = require('express');
+const router = express.Router();
+const bonusService = require('../services/bonusService');
+const { authenticate } = require('../middleware/auth');
+
+router.use(authenticate);
+
+// Cash and bonus balances with the player's bonuses and their wagering progress
+router.get('/', async (req, res) => {
+    try {
+        const summary = await bonusService.getSummary(req.user.id);
+        
+        res.json({
+            success: true,
+            ...summary
+        });
+        
+    } catch (error) {
+        console.error('Get bonuses error:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to load bonuses'
+        });
+    }
+});
+
+module.exports = router;
@@ -0,0 +1,357 @@
+const express = require('express');
+const router = express.Router();
+const { Op } = require('sequelize');
+const { Game, Card } = require('../models');
+const provablyFair = require('../services/provablyFair');
+const gameEngine = require('../services/gameEngine');
+const variants = require('../services/variants');
+const { authenticate } = require('../middleware/auth');
+
+// Lobby: every active room and the game currently selling cards in it, at
+// /api/games and /api/games/rooms
+router.get(['/', '/rooms'], async (req, res) => {
+    try {
+        const rooms = await gameEngine.getLobby();
+        
+        res.json({
+            success: true,
+            rooms
+        });
+        
+    } catch (error) {
+        console.error('Get rooms error:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to load rooms'
+        });
+    }
+});
+
+// Upcoming special games with their guaranteed prizes; cards are on sale until the start
+router.get('/special', async (req, res) => {
+    try {
+        const games = await gameEngine.getSpecialGames();
+        
+        res.json({
+            success: true,
+            games
+        });
+        
+    } catch (error) {
+        console.error('Get special games error:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to load special games'
+        });
+    }
+});
+
+// Create a private game: { roomId, betAmount, maxCardsPerPlayer, variant, patterns, startsIn }
+router.post('/private', authenticate, async (req, res) => {
+    try {
+        const game = await gameEngine.createPrivateGame(req.user.id, req.body);
+        
+        res.status(201).json({
+            success: true,
+            game
+        });
+        
+    } catch (error) {
+        console.error('Create private game error:', error);
+        res.status(400).json({
+            success: false,
+            error: error.message
+        });
+    }
+});
+
+// Look up a private game by its invite code
+router.get('/private/:inviteCode', async (req, res) => {
+    try {
+        const game = await gameEngine.getPrivateGame(req.params.inviteCode);
+        
+        if (!game) {
+            return res.status(404).json({
+                success: false,
+                error: 'No open game with this invite code'
+            });
+        }
+        
+        res.json({
+            success: true,
+            game
+        });
+        
+    } catch (error) {
+        console.error('Get private game error:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to load game'
+        });
+    }
+});
+
+// Host controls: start before the countdown ends, or cancel with refunds
+router.post('/private/:gameId/start', authenticate, async (req, res) => {
+    try {
+        await gameEngine.startPrivateGame(req.params.gameId, req.user.id);
+        
+        res.json({
+            success: true
+        });
+        
+    } catch (error) {
+        console.error('Start private game error:', error);
+        res.status(400).json({
+            success: false,
+            error: error.message
+        });
+    }
+});
+
+router.delete('/private/:gameId', authenticate, async (req, res) => {
+    try {
+        await gameEngine.cancelPrivateGame(req.params.gameId, req.user.id);
+        
+        res.json({
+            success: true
+        });
+        
+    } catch (error) {
+        console.error('Cancel private game error:', error);
+        res.status(400).json({
+            success: false,
+            error: error.message
+        });
+    }
+});
+
+// The player's favourite cartela numbers, bought first when no number is picked
+router.get('/favourites', authenticate, async (req, res) => {
+    try {
+        const favourites = await gameEngine.getFavouriteCards(req.user.id);
+        
+        res.json({
+            success: true,
+            favourites
+        });
+        
+    } catch (error) {
+        console.error('Get favourite cards error:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to load favourite cards'
+        });
+    }
+});
+
+router.put('/favourites', authenticate, async (req, res) => {
+    try {
+        const favourites = await gameEngine.setFavouriteCards(req.user.id, req.body.cardNumbers);
+        
+        res.json({
+            success: true,
+            favourites
+        });
+        
+    } catch (error) {
+        console.error('Save favourite cards error:', error);
+        res.status(400).json({
+            success: false,
+            error: error.message
+        });
+    }
+});
+
+// Card numbers already sold in a game; every other number up to total is available
+router.get('/:gameId/cards', async (req, res) => {
+    try {
+        const game = await Game.findByPk(req.params.gameId, { attributes: ['settings'] });
+        
+        if (!game) {
+            return res.status(404).json({
+                success: false,
+                error: 'Game not found'
+            });
+        }
+        
+        const sold = await gameEngine.getSoldCardNumbers(req.params.gameId);
+        
+        res.json({
+            success: true,
+            total: variants.getVariant(game.settings.variant).totalCards,
+            sold
+        });
+        
+    } catch (error) {
+        console.error('Get cards error:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to load cards'
+        });
+    }
+});
+
+// Buy a card: { cardNumber } or none for a quick pick. Send an Idempotency-Key
+// header so a retried request doesn't buy a second card; the engine stores the
+// key with the purchase itself rather than through the idempotent middleware.
+router.post('/:gameId/cards', authenticate, async (req, res) => {
+    try {
+        const cardNumber = req.body.cardNumber ? parseInt(req.body.cardNumber, 10) : null;
+        const card = await gameEngine.purchaseCard(
+            req.params.gameId,
+            req.user.id,
+            cardNumber,
+            req.get('Idempotency-Key'),
+            req.body.clientSeed || null
+        );
+        
+        res.status(201).json({
+            success: true,
+            card
+        });
+        
+    } catch (error) {
+        console.error('Purchase card error:', error);
+        res.status(error.statusCode || 400).json({
+            success: false,
+            error: error.message
+        });
+    }
+});
+
+// Preview any card number; derived from the game seeds, no row needed
+router.get('/:gameId/cards/:cardNumber', async (req, res) => {
+    try {
+        const card = await gameEngine.previewCard(req.params.gameId, parseInt(req.params.cardNumber, 10));
+        
+        res.json({
+            success: true,
+            card
+        });
+        
+    } catch (error) {
+        console.error('Preview card error:', error);
+        res.status(400).json({
+            success: false,
+            error: error.message
+        });
+    }
+});
+
+// Verify a finished game against its committed seeds
+router.get('/:gameId/verify', async (req, res) => {
+    try {
+        const game = await Game.findByPk(req.params.gameId);
+        
+        if (!game) {
+            return res.status(404).json({
+                success: false,
+                error: 'Game not found'
+            });
+        }
+        
+        const fairness = game.metadata.fairness || {};
+        const variant = variants.getVariant(game.settings.variant);
+        
+        if (!['completed', 'cancelled'].includes(game.status)) {
+            return res.status(400).json({
+                success: false,
+                error: 'Server seed is revealed when the game ends',
+                serverSeedHash: fairness.server_seed_hash,
+                clientSeed: fairness.client_seed,
+                playerSeed: fairness.player_seed
+            });
+        }
+        
+        // Only purchased cards are compared against their stored numbers; their
+        // buyers' seeds recompute the player seed
+        const cards = await Card.findAll({
+            where: { game_id: game.id, user_id: { [Op.ne]: null } },
+            attributes: ['card_number', 'numbers', 'client_seed'],
+            order: [['card_number', 'ASC']]
+        });
+        const purchases = cards.map(card => ({ card_number: card.card_number, client_seed: card.client_seed }));
+        
+        const result = provablyFair.verifyGame({
+            serverSeed: game.server_seed,
+            serverSeedHash: fairness.server_seed_hash,
+            clientSeed: fairness.client_seed,
+            playerSeed: fairness.player_seed,
+            purchases: fairness.player_seed ? purchases : undefined,
+            variant: variant.key,
+            cartelaSeed: fairness.cartela_seed,
+            calledNumbers: game.called_numbers,
+            cards
+        });
+        
+        // Optionally recompute specific cards, e.g. ?cards=1,17,250
+        const requestedCards = (req.query.cards || '')
+            .split(',')
+            .map(n => parseInt(n, 10))
+            .filter(n => n >= 1 && n <= variant.totalCards);
+        
+        res.json({
+            success: true,
+            verified: result.hashMatches && result.playerSeedMatches !== false && result.drawMatches && result.cardsMatch,
+            serverSeed: game.server_seed,
+            serverSeedHash: fairness.server_seed_hash,
+            clientSeed: fairness.client_seed,
+            playerSeed: fairness.player_seed,
+            purchases,
+            cartelaSeed: fairness.cartela_seed,
+            variant: variant.key,
+            checks: {
+                hashMatches: result.hashMatches,
+                playerSeedMatches: result.playerSeedMatches,
+                drawMatches: result.drawMatches,
+                cardsMatch: result.cardsMatch,
+                mismatchedCards: result.mismatchedCards
+            },
+            drawOrder: result.drawOrder,
+            cards: requestedCards.map(cardNumber => ({
+                cardNumber,
+                numbers: fairness.cartela_seed
+                    ? provablyFair.generateCartela(fairness.cartela_seed, cardNumber, variant.key)
+                    : provablyFair.generateCard(game.server_seed, fairness.client_seed, cardNumber, variant.key)
+            }))
+        });
+        
+    } catch (error) {
+        console.error('Verify game error:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Verification failed'
+        });
+    }
+});
+
+// Claim Bingo on one of the player's cards (claim mode games)
+router.post('/:gameId/claim', authenticate, async (req, res) => {
+    try {
+        const cardNumber = parseInt(req.body.cardNumber, 10);
+        
+        if (!cardNumber) {
+            return res.status(400).json({
+                success: false,
+                error: 'cardNumber is required'
+            });
+        }
+        
+        const result = await gameEngine.claimBingo(req.params.gameId, req.user.id, cardNumber);
+        
+        res.json({
+            success: true,
+            ...result
+        });
+        
+    } catch (error) {
+        console.error('Claim bingo error:', error);
+        res.status(400).json({
+            success: false,
+            error: error.message
+        });
+    }
+});
+
+module.exports = router;
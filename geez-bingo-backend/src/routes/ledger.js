@@ -0,0 +1,30 @@
+const express = require('express');
+const router = express.Router();
+const ledgerService = require('../services/ledgerService');
+const { authenticate } = require('../middleware/auth');
+
+router.use(authenticate);
+
+// The player's wallet statement, newest first: ?limit=50&offset=0
+router.get('/statement', async (req, res) => {
+    try {
+        const statement = await ledgerService.getStatement(
+            ledgerService.userAccount(req.user.id),
+            req.query
+        );
+        
+        res.json({
+            success: true,
+            statement
+        });
+        
+    } catch (error) {
+        console.error('Get statement error:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to load statement'
+        });
+    }
+});
+
+module.exports = router;
@@ -0,0 +1,27 @@
+const express = require('express');
+const router = express.Router();
+const referralService = require('../services/referralService');
+const { authenticate } = require('../middleware/auth');
+
+router.use(authenticate);
+
+// Referral code and link, earnings and per-referee activity
+router.get('/', async (req, res) => {
+    try {
+        const summary = await referralService.getSummary(req.user.id);
+        
+        res.json({
+            success: true,
+            ...summary
+        });
+        
+    } catch (error) {
+        console.error('Get referrals error:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to load referrals'
+        });
+    }
+});
+
+module.exports = router;
@@ -0,0 +1,64 @@
+const express = require('express');
+const router = express.Router();
+const subscriptionService = require('../services/subscriptionService');
+const { authenticate } = require('../middleware/auth');
+const { idempotent } = require('../middleware/idempotency');
+
+router.use(authenticate);
+
+// The player's card subscriptions, newest first
+router.get('/', async (req, res) => {
+    try {
+        const subscriptions = await subscriptionService.listSubscriptions(req.user.id);
+        
+        res.json({
+            success: true,
+            subscriptions
+        });
+        
+    } catch (error) {
+        console.error('List subscriptions error:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to load subscriptions'
+        });
+    }
+});
+
+// Subscribe: { cardsPerGame, games, spendCap, roomId, betAmount }
+router.post('/', idempotent('create_subscription'), async (req, res) => {
+    try {
+        const subscription = await subscriptionService.createSubscription(req.user.id, req.body);
+        
+        res.status(201).json({
+            success: true,
+            subscription
+        });
+        
+    } catch (error) {
+        console.error('Create subscription error:', error);
+        res.status(400).json({
+            success: false,
+            error: error.message
+        });
+    }
+});
+
+router.delete('/:subscriptionId', async (req, res) => {
+    try {
+        await subscriptionService.cancelSubscription(req.params.subscriptionId, req.user.id);
+        
+        res.json({
+            success: true
+        });
+        
+    } catch (error) {
+        console.error('Cancel subscription error:', error);
+        res.status(400).json({
+            success: false,
+            error: error.message
+        });
+    }
+});
+
+module.exports = router;
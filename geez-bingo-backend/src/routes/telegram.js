@@ -2,6 +2,8 @@ const express = require('express');
 const router = express.Router();
 const { body, validationResult } = require('express-validator');
 const TelegramBot = require('../services/telegramBot');
+const bonusService = require('../services/bonusService');
+const referralService = require('../services/referralService');
 
 // Register Telegram user
 router.post('/register', [
@@ -30,16 +32,18 @@ router.post('/register', [
                 firstName,
                 lastName,
                 referralCode,
-                balance: 100.00, // Welcome bonus
                 referralCode: generateReferralCode(),
                 source: 'telegram'
             });
             
             await user.save();
             
+            // The welcome credit is bonus money, not withdrawable cash
+            const bonus = await bonusService.grantWelcomeBonus(user.id);
+            
             // Process referral if any
             if (referralCode) {
-                await processReferral(referralCode, user._id);
+                await referralService.applyReferralCode(user.id, referralCode);
             }
             
             return res.json({
@@ -47,7 +51,8 @@ router.post('/register', [
                 message: 'User registered successfully',
                 userId: user._id,
                 referralCode: user.referralCode,
-                balance: user.balance
+                balance: user.balance,
+                bonus: bonus ? bonus.amount : 0
             });
         } else {
             return res.json({
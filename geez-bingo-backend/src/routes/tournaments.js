@@ -0,0 +1,71 @@
+const express = require('express');
+const router = express.Router();
+const tournamentService = require('../services/tournamentService');
+const { authenticate } = require('../middleware/auth');
+const { idempotent } = require('../middleware/idempotency');
+
+// Open, running and recently finished tournaments
+router.get('/', async (req, res) => {
+    try {
+        const tournaments = await tournamentService.listTournaments();
+        
+        res.json({
+            success: true,
+            tournaments
+        });
+        
+    } catch (error) {
+        console.error('List tournaments error:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to load tournaments'
+        });
+    }
+});
+
+// Tournament details with its leaderboard
+router.get('/:tournamentId', async (req, res) => {
+    try {
+        const tournament = await tournamentService.getTournament(req.params.tournamentId);
+        
+        if (!tournament) {
+            return res.status(404).json({
+                success: false,
+                error: 'Tournament not found'
+            });
+        }
+        
+        res.json({
+            success: true,
+            tournament
+        });
+        
+    } catch (error) {
+        console.error('Get tournament error:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to load tournament'
+        });
+    }
+});
+
+// Register for a tournament; the buy-in is taken from the balance
+router.post('/:tournamentId/register', authenticate, idempotent('tournament_register'), async (req, res) => {
+    try {
+        const entry = await tournamentService.register(req.params.tournamentId, req.user.id);
+        
+        res.json({
+            success: true,
+            entry
+        });
+        
+    } catch (error) {
+        console.error('Tournament registration error:', error);
+        res.status(400).json({
+            success: false,
+            error: error.message
+        });
+    }
+});
+
+module.exports = router;
@@ -0,0 +1,86 @@
+#!/usr/bin/env node
+// Benchmark for the in-memory winner detection index.
+//
+// Usage:
+//   node src/scripts/benchmarkCardIndex.js [games=50] [cards=400]
+//
+// Plays every game's full 75-ball draw with all cards sold and compares the
+// index (mark + check only the cards holding the number) against re-checking
+// every card from scratch on each call, the way the engine used to. Needs
+// nothing but Node.
+
+const provablyFair = require('../services/provablyFair');
+const patterns = require('../services/patterns');
+const CardIndex = require('../services/cardIndex');
+
+const gameCount = parseInt(process.argv[2] || 50, 10);
+const cardCount = parseInt(process.argv[3] || 400, 10);
+const allowedPatterns = patterns.resolvePatterns(['line', 'full_house']);
+
+const games = Array.from({ length: gameCount }, () => {
+  const serverSeed = provablyFair.generateServerSeed();
+  const clientSeed = provablyFair.generateClientSeed();
+  const cards = Array.from({ length: cardCount }, (_, i) => ({
+    card_number: i + 1,
+    user_id: `user_${i % 50}`,
+    numbers: provablyFair.generateCard(serverSeed, clientSeed, i + 1)
+  }));
+  
+  return { cards, drawOrder: provablyFair.generateDrawOrder(serverSeed, clientSeed) };
+});
+
+// Time one call across all games (the engine calls every game once per interval).
+// callNumber returns the card numbers that have a winning pattern after the call.
+function run(label, setup, callNumber) {
+  const states = games.map(setup);
+  const completed = games.map(() => new Set());
+  const roundTimes = [];
+  
+  for (let call = 0; call < 75; call++) {
+    const start = process.hrtime.bigint();
+    states.forEach((state, gameIndex) => {
+      callNumber(state, games[gameIndex].drawOrder[call])
+        .forEach(cardNumber => completed[gameIndex].add(cardNumber));
+    });
+    roundTimes.push(Number(process.hrtime.bigint() - start) / 1e6);
+  }
+  
+  const winsFound = completed.reduce((sum, cards) => sum + cards.size, 0);
+  
+  const total = roundTimes.reduce((sum, time) => sum + time, 0);
+  console.log(
+    `${label.padEnd(10)} total ${total.toFixed(1)}ms, ` +
+    `avg ${(total / roundTimes.length).toFixed(2)}ms/round, ` +
+    `max ${Math.max(...roundTimes).toFixed(2)}ms/round, ` +
+    `${winsFound} cards completed`
+  );
+  
+  return total;
+}
+
+console.log(`${gameCount} games x ${cardCount} sold cards, 75 calls each\n`);
+
+const indexed = run(
+  'index',
+  (game) => {
+    const index = new CardIndex();
+    game.cards.forEach(card => index.addCard(card));
+    return index;
+  },
+  (index, number) => index.mark(number)
+    .filter(entry => patterns.findWinningPattern(entry.mask, allowedPatterns))
+    .map(entry => entry.cardNumber)
+);
+
+const rescan = run(
+  'rescan',
+  (game) => ({ cards: game.cards, called: new Set() }),
+  (state, number) => {
+    state.called.add(number.number);
+    return state.cards
+      .filter(card => patterns.findWinningPattern(patterns.markedMask(card.numbers, state.called), allowedPatterns))
+      .map(card => card.card_number);
+  }
+);
+
+console.log(`\nIndex is ${(rescan / indexed).toFixed(1)}x faster than rescanning every card`);
@@ -0,0 +1,38 @@
+#!/usr/bin/env node
+// Checks that the ledger's books balance.
+//
+// Usage:
+//   node src/scripts/checkLedger.js
+//
+// Every entry must sum to zero, every account balance must be the sum of its
+// postings and the cached user balances and jackpot amounts must agree with
+// their accounts. Prints what is off and exits with 1 if anything is. Needs the
+// database from .env.
+
+const sequelize = require('../config/database');
+const ledgerService = require('../services/ledgerService');
+
+async function main() {
+  await sequelize.authenticate();
+  const result = await ledgerService.checkBooks();
+  
+  console.log(`${result.entries} entries across ${result.accounts} accounts, total ${result.total.toFixed(2)}`);
+  
+  result.unbalancedEntries.forEach(({ entry_id, total }) => {
+    console.log(`❌ Entry ${entry_id} sums to ${total}`);
+  });
+  result.accountMismatches.forEach(({ account, balance, posted }) => {
+    console.log(`❌ ${account} has balance ${balance} but its postings sum to ${posted}`);
+  });
+  result.cacheMismatches.forEach(({ account, balance, cached }) => {
+    console.log(`❌ ${account} has balance ${balance} but the cached value is ${cached}`);
+  });
+  
+  console.log(result.balanced ? '✅ The books balance' : '❌ The books do not balance');
+  process.exit(result.balanced ? 0 : 1);
+}
+
+main().catch(error => {
+  console.error('Ledger check failed:', error);
+  process.exit(1);
+});
@@ -0,0 +1,182 @@
+#!/usr/bin/env node
+// Concurrency check for card purchases.
+//
+// Usage:
+//   node src/scripts/stressPurchases.js [purchases=300]
+//
+// Creates a game in the first room and throwaway players, fires purchases in
+// parallel and checks that no card is sold twice, no balance goes negative and
+// the pot, balances and bet transactions agree:
+//   1. every player tries to buy the same card - exactly one may succeed
+//   2. one player with balance for 3 cards buys many at once - exactly 3 may succeed
+//   3. players with balance for 2 cards each buy random cards
+// Finally the games are cancelled, which refunds the cards, and the ledger is
+// checked. Needs the database and Redis from .env; run it against a development
+// database, the stress_* players and cancelled games stay in the books.
+// tests/purchaseConcurrency.test.js runs the same checks under jest
+// (npm run test:concurrency).
+
+const sequelize = require('../config/database');
+const { Game, Card, User, Transaction } = require('../models');
+const gameEngine = require('../services/gameEngine');
+const ledgerService = require('../services/ledgerService');
+const variants = require('../services/variants');
+
+const runId = Date.now().toString(36);
+let failures = [];
+
+function check(label, ok, detail = '') {
+  if (!ok) failures.push(label);
+  console.log(`${ok ? '✅' : '❌'} ${label}${detail ? ` (${detail})` : ''}`);
+}
+
+async function createPlayers(count, balance) {
+  return User.bulkCreate(Array.from({ length: count }, (_, i) => ({
+    username: `stress_${runId}_${i}_${balance}`,
+    email: `stress_${runId}_${i}_${balance}@example.com`,
+    password: 'stress-test',
+    balance
+  })));
+}
+
+// Fire every purchase at once; returns how many succeeded and the error messages
+async function fire(attempts) {
+  const results = await Promise.allSettled(attempts.map(([gameId, userId, cardNumber]) =>
+    gameEngine.purchaseCard(gameId, userId, cardNumber)
+  ));
+  
+  const errors = {};
+  results
+    .filter(result => result.status === 'rejected')
+    .forEach(({ reason }) => {
+      errors[reason.message] = (errors[reason.message] || 0) + 1;
+    });
+  
+  return {
+    succeeded: results.filter(result => result.status === 'fulfilled').length,
+    errors
+  };
+}
+
+async function checkInvariants(game, players, initialBalance) {
+  const bet = parseFloat(game.settings.bet_amount);
+  const cards = await Card.findAll({ where: { game_id: game.id }, attributes: ['card_number', 'user_id'] });
+  const stored = await Game.findByPk(game.id, { attributes: ['pot'] });
+  const bets = await Transaction.count({
+    where: { type: 'bet', user_id: players.map(player => player.id) }
+  });
+  
+  check('no card sold twice', new Set(cards.map(card => card.card_number)).size === cards.length);
+  check('pot matches cards sold', Math.abs(parseFloat(stored.pot) - cards.length * bet) < 0.001,
+    `${stored.pot} for ${cards.length} cards`);
+  check('one bet transaction per card', bets === cards.length, `${bets} transactions`);
+  
+  const balances = await User.findAll({ where: { id: players.map(player => player.id) }, attributes: ['id', 'balance'] });
+  const owned = {};
+  cards.forEach(card => {
+    owned[card.user_id] = (owned[card.user_id] || 0) + 1;
+  });
+  
+  check('no negative balances', balances.every(user => parseFloat(user.balance) >= 0));
+  check('balances match cards bought', balances.every(user =>
+    Math.abs(parseFloat(user.balance) - (initialBalance - (owned[user.id] || 0) * bet)) < 0.001
+  ));
+}
+
+async function runScenario(label, room, setup) {
+  console.log(`\n${label}`);
+  const game = await gameEngine.createNewGame(room);
+  const bet = parseFloat(game.settings.bet_amount);
+  const { players, initialBalance, attempts, expected } = await setup(game, bet);
+  
+  const started = Date.now();
+  const { succeeded, errors } = await fire(attempts);
+  console.log(`${attempts.length} purchases in ${Date.now() - started}ms: ${succeeded} succeeded, failures ${JSON.stringify(errors)}`);
+  
+  if (expected !== undefined) {
+    check(`exactly ${expected} succeeded`, succeeded === expected, `${succeeded}`);
+  }
+  await checkInvariants(game, players, initialBalance);
+  
+  return { game, players };
+}
+
+async function cancelGames(created) {
+  for (const { game, players } of created) {
+    await gameEngine.cancelGame(game.id);
+    
+    const balances = await User.findAll({ where: { id: players.map(player => player.id) }, attributes: ['balance'] });
+    const refunded = balances.every(user => Math.abs(parseFloat(user.balance) - parseFloat(players[0].balance)) < 0.001);
+    check(`game ${game.id} cancelled and refunded`, refunded);
+  }
+}
+
+// Runs the scenarios; resolves with the labels of the failed checks
+async function run(purchases = 300) {
+  failures = [];
+  await sequelize.authenticate();
+  await gameEngine.loadRooms();
+  
+  const room = [...gameEngine.rooms.values()][0];
+  if (!room) {
+    throw new Error('No rooms to create a game in');
+  }
+  
+  const totalCards = variants.getVariant(gameEngine.buildSettings(room).variant).totalCards;
+  const created = [];
+  
+  try {
+    created.push(await runScenario(`1. ${purchases} players buy card #1`, room, async (game, bet) => {
+      const players = await createPlayers(purchases, bet * 5);
+      return {
+        players,
+        initialBalance: bet * 5,
+        attempts: players.map(player => [game.id, player.id, 1]),
+        expected: 1
+      };
+    }));
+    
+    created.push(await runScenario(`2. One player with balance for 3 cards buys ${Math.min(purchases, totalCards)} at once`, room, async (game, bet) => {
+      const players = await createPlayers(1, bet * 3);
+      return {
+        players,
+        initialBalance: bet * 3,
+        attempts: Array.from({ length: Math.min(purchases, totalCards) }, (_, i) => [game.id, players[0].id, i + 1]),
+        expected: 3
+      };
+    }));
+    
+    created.push(await runScenario(`3. ${purchases} random purchases by players with balance for 2 cards`, room, async (game, bet) => {
+      const players = await createPlayers(Math.ceil(purchases / 3), bet * 2);
+      return {
+        players,
+        initialBalance: bet * 2,
+        attempts: Array.from({ length: purchases }, (_, i) => [
+          game.id,
+          players[i % players.length].id,
+          Math.floor(Math.random() * totalCards) + 1
+        ])
+      };
+    }));
+  } finally {
+    console.log('');
+    await cancelGames(created);
+  }
+  
+  const books = await ledgerService.checkBooks();
+  check('the books balance', books.balanced, `${books.entries} entries`);
+  
+  console.log(failures.length === 0 ? '\n✅ All checks passed' : `\n❌ ${failures.length} checks failed`);
+  return failures;
+}
+
+if (require.main === module) {
+  run(parseInt(process.argv[2] || 300, 10))
+    .then(failed => process.exit(failed.length === 0 ? 0 : 1))
+    .catch(error => {
+      console.error('Stress test failed:', error);
+      process.exit(1);
+    });
+}
+
+module.exports = { run };
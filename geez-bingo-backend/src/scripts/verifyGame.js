@@ -0,0 +1,57 @@
+#!/usr/bin/env node
+// Standalone verifier for finished games.
+//
+// Usage:
+//   node src/scripts/verifyGame.js <serverSeed> <clientSeed> [serverSeedHash] [--cards 1,2,3] [--variant 90] [--cartela-seed <seed>] [--player-seed <seed>]
+//
+// Prints whether the seed matches the published hash, the full draw order and
+// the grids of the requested cards. The variant defaults to 75-ball; fixed-cartela
+// games publish the cartela seed their cards come from. Games since fairness
+// version 2 publish the player seed their draw mixes in. Needs nothing but Node.
+
+const provablyFair = require('../services/provablyFair');
+
+const args = process.argv.slice(2);
+const variantFlag = args.indexOf('--variant');
+const variant = variantFlag === -1 ? '75' : args.splice(variantFlag, 2)[1];
+const cartelaFlag = args.indexOf('--cartela-seed');
+const cartelaSeed = cartelaFlag === -1 ? null : args.splice(cartelaFlag, 2)[1];
+const playerFlag = args.indexOf('--player-seed');
+const playerSeed = playerFlag === -1 ? null : args.splice(playerFlag, 2)[1];
+const cardsFlag = args.indexOf('--cards');
+const cardNumbers = cardsFlag === -1
+  ? []
+  : args.splice(cardsFlag, 2)[1].split(',').map(n => parseInt(n, 10));
+
+const [serverSeed, clientSeed, serverSeedHash] = args;
+
+if (!serverSeed || !clientSeed) {
+  console.error('Usage: node src/scripts/verifyGame.js <serverSeed> <clientSeed> [serverSeedHash] [--cards 1,2,3] [--variant 90] [--cartela-seed <seed>] [--player-seed <seed>]');
+  process.exit(1);
+}
+
+const result = provablyFair.verifyGame({ serverSeed, serverSeedHash, clientSeed, playerSeed, variant });
+
+console.log(`Server seed hash: ${provablyFair.hashSeed(serverSeed)}`);
+if (serverSeedHash) {
+  console.log(`Matches published hash: ${result.hashMatches ? 'yes' : 'NO'}`);
+}
+
+console.log('\nDraw order:');
+console.log(result.drawOrder.map(n => `${n.letter || ''}${n.number}`).join(' '));
+
+cardNumbers.forEach(cardNumber => {
+  const card = cartelaSeed
+    ? provablyFair.generateCartela(cartelaSeed, cardNumber, variant)
+    : provablyFair.generateCard(serverSeed, clientSeed, cardNumber, variant);
+  console.log(`\nCard #${cardNumber}`);
+  if (variant === '75') console.log(' B   I   N   G   O');
+  card.forEach(row => {
+    console.log(row.map(cell => {
+      if (cell.free) return 'FR';
+      return cell.blank ? ' .' : String(cell.number).padStart(2);
+    }).join('  '));
+  });
+});
+
+process.exit(result.hashMatches === false ? 1 : 0);
@@ -0,0 +1,335 @@
+const { Op } = require('sequelize');
+const sequelize = require('../config/database');
+const { User, Game, Card, Bonus, LedgerAccount } = require('../models');
+const ledgerService = require('./ledgerService');
+
+// Bonus wallet.
+//
+// Bonus money (the welcome credit, promotions) is kept apart from cash in the
+// player's bonus wallet: it buys cards but can't be withdrawn. Each grant has
+// to be wagered BONUS_WAGERING_MULTIPLIER times on cards before it converts to
+// cash; stakes count once their game has finished. Cards are paid from the
+// wallet BONUS_SPEND_ORDER names first and the other covers the rest. Prizes
+// and refunds on a card are split the way the card was paid, so winnings made
+// with bonus money stay bonus money until the wagering is done. Grants that
+// aren't converted within BONUS_EXPIRY_DAYS are forfeited.
+
+const WELCOME_BONUS = parseFloat(process.env.WELCOME_BONUS || 100);
+const WAGERING_MULTIPLIER = parseFloat(process.env.BONUS_WAGERING_MULTIPLIER || 10);
+const EXPIRY_DAYS = parseFloat(process.env.BONUS_EXPIRY_DAYS || 30);
+const SPEND_ORDER = process.env.BONUS_SPEND_ORDER === 'cash_first' ? 'cash_first' : 'bonus_first';
+
+const toCents = (amount) => Math.round(parseFloat(amount) * 100);
+
+class BonusService {
+  listen(engine) {
+    engine.on('winnerDeclared', ({ gameId }) => this.recordWagers(gameId));
+    engine.on('gameEnded', ({ gameId, reason, outcome, amount }) => {
+      if (reason === 'voided') return;
+      // A refunded pot handed part of every stake back; only the rest was wagered
+      this.recordWagers(gameId, outcome === 'refund' ? amount : 0);
+    });
+  }
+  
+  async grant(userId, amount, { type = 'promotion', multiplier = WAGERING_MULTIPLIER, expiresInDays = EXPIRY_DAYS } = {}) {
+    const value = Math.round(parseFloat(amount) * 100) / 100;
+    if (!(value > 0)) {
+      throw new Error('Bonus amount must be positive');
+    }
+    
+    if (!(parseFloat(multiplier) >= 0)) {
+      throw new Error('Invalid wagering multiplier');
+    }
+    
+    if (!(await User.findByPk(userId, { attributes: ['id'] }))) {
+      throw new Error('User not found');
+    }
+    
+    const bonus = await sequelize.transaction(async (transaction) => {
+      const created = await Bonus.create({
+        user_id: userId,
+        type,
+        amount: value,
+        wagering_required: Math.round(value * parseFloat(multiplier) * 100) / 100,
+        expires_at: expiresInDays ? new Date(Date.now() + parseFloat(expiresInDays) * 24 * 60 * 60 * 1000) : null
+      }, { transaction });
+      
+      await ledgerService.transfer({
+        type: 'bonus',
+        from: ledgerService.bonusAccount(),
+        to: ledgerService.bonusWalletAccount(userId),
+        amount: value,
+        metadata: { bonus_id: created.id, bonus_type: type },
+        transaction
+      });
+      
+      return created;
+    });
+    
+    console.log(`🎁 Bonus Granted: $${value} ${type} bonus to user ${userId}`);
+    
+    // A grant with nothing to wager is cash straight away
+    if (toCents(bonus.wagering_required) === 0) {
+      await this.settle(bonus, 'converted');
+      await bonus.reload();
+    }
+    
+    return this.formatBonus(bonus);
+  }
+  
+  async grantWelcomeBonus(userId) {
+    if (!(WELCOME_BONUS > 0)) return null;
+    return this.grant(userId, WELCOME_BONUS, { type: 'welcome' });
+  }
+  
+  // Lock both of a player's wallets, in id order like ledger entries, so what
+  // we read stays true until our entry is posted
+  async lockWallets(userId, transaction) {
+    const cash = await ledgerService.getAccount(ledgerService.userAccount(userId), transaction);
+    const bonus = await ledgerService.getAccount(ledgerService.bonusWalletAccount(userId), transaction);
+    
+    const rows = await LedgerAccount.findAll({
+      where: { id: [cash.id, bonus.id] },
+      order: [['id', 'ASC']],
+      lock: transaction.LOCK.UPDATE,
+      transaction
+    });
+    const balance = (id) => toCents(rows.find(row => row.id === id).balance);
+    
+    return { cash: balance(cash.id), bonus: balance(bonus.id) };
+  }
+  
+  // Pay for a card from the player's wallets in the configured order and return
+  // the part paid with bonus money. Fails with 'Insufficient balance' if the
+  // wallets together fall short.
+  async chargeCard({ userId, gameId, cardNumber, amount, transaction }) {
+    const cents = toCents(amount);
+    const metadata = { game_id: gameId, card_number: cardNumber };
+    
+    // Players without bonus money pay from their cash wallet as always
+    const user = await User.findByPk(userId, { attributes: ['bonus_balance'], transaction });
+    if (!user || toCents(user.bonus_balance) <= 0) {
+      await ledgerService.transfer({
+        type: 'card_purchase',
+        from: ledgerService.userAccount(userId),
+        to: ledgerService.gameAccount(gameId),
+        amount: cents / 100,
+        metadata,
+        requireFunds: true,
+        transaction
+      });
+      return 0;
+    }
+    
+    const wallets = await this.lockWallets(userId, transaction);
+    const bonusCents = SPEND_ORDER === 'bonus_first'
+      ? Math.min(Math.max(wallets.bonus, 0), cents)
+      : Math.max(cents - Math.max(wallets.cash, 0), 0);
+    
+    await ledgerService.post('card_purchase', [
+      { account: ledgerService.userAccount(userId), amount: -(cents - bonusCents) / 100 },
+      { account: ledgerService.bonusWalletAccount(userId), amount: -bonusCents / 100 },
+      { account: ledgerService.gameAccount(gameId), amount: cents / 100 }
+    ], { metadata, requireFunds: true, transaction });
+    
+    return bonusCents / 100;
+  }
+  
+  // Pay a prize or refund on a card to its owner, into the bonus wallet in the
+  // proportion the card's price was paid with bonus money
+  async payCard(type, { from, userId, amount, bonusPaid, price, metadata, transaction }) {
+    const cents = toCents(amount);
+    const bonusCents = toCents(bonusPaid || 0) > 0
+      ? Math.floor(cents * toCents(bonusPaid) / toCents(price))
+      : 0;
+    
+    return ledgerService.post(type, [
+      { account: from, amount: -cents / 100 },
+      { account: ledgerService.userAccount(userId), amount: (cents - bonusCents) / 100 },
+      { account: ledgerService.bonusWalletAccount(userId), amount: bonusCents / 100 }
+    ], { metadata, transaction });
+  }
+  
+  // Stakes in a finished game count towards each player's active bonuses,
+  // oldest first; a bonus whose wagering is complete converts to cash.
+  // refunded is what went back to the cards, shared evenly between them.
+  async recordWagers(gameId, refunded = 0) {
+    try {
+      const cards = await Card.findAll({
+        where: { game_id: gameId, user_id: { [Op.ne]: null } },
+        attributes: ['user_id']
+      });
+      if (cards.length === 0) return;
+      
+      const game = await Game.findByPk(gameId, { attributes: ['settings'] });
+      const stakes = this.stakesByPlayer(cards, toCents(game.settings.bet_amount), toCents(refunded || 0));
+      if (stakes.size === 0) return;
+      
+      const bonuses = await Bonus.findAll({
+        where: { user_id: [...stakes.keys()], status: 'active' },
+        order: [['created_at', 'ASC']]
+      });
+      
+      for (const [userId, stake] of stakes) {
+        let left = stake;
+        
+        for (const bonus of bonuses.filter(b => b.user_id === userId)) {
+          if (left <= 0) break;
+          
+          const needed = toCents(bonus.wagering_required) - toCents(bonus.wagered);
+          const counted = Math.min(needed, left);
+          left -= counted;
+          
+          await Bonus.increment('wagered', {
+            by: counted / 100,
+            where: { id: bonus.id, status: 'active' }
+          });
+          
+          if (counted >= needed) {
+            await this.settle(bonus, 'converted');
+          }
+        }
+      }
+    } catch (error) {
+      console.error('Error recording bonus wagers:', error);
+    }
+  }
+  
+  // Player -> cents staked on their cards, less each card's share of a refund
+  stakesByPlayer(cards, bet, refunded = 0) {
+    const perCard = Math.max(bet - Math.floor(refunded / cards.length), 0);
+    const stakes = new Map();
+    if (perCard === 0) return stakes;
+    
+    cards.forEach(card => stakes.set(card.user_id, (stakes.get(card.user_id) || 0) + perCard));
+    return stakes;
+  }
+  
+  // Close an active bonus: converted bonuses become cash, expired ones go back
+  // to promotions. The player's last open bonus takes the whole bonus wallet,
+  // winnings included; otherwise up to the bonus amount leaves it.
+  async settle(bonus, status) {
+    const amount = await sequelize.transaction(async (transaction) => {
+      const [updated] = await Bonus.update(
+        { status, settled_at: new Date() },
+        { where: { id: bonus.id, status: 'active' }, transaction }
+      );
+      if (updated === 0) return null;
+      
+      const wallets = await this.lockWallets(bonus.user_id, transaction);
+      const stillOpen = await Bonus.count({ where: { user_id: bonus.user_id, status: 'active' }, transaction });
+      const available = Math.max(wallets.bonus, 0);
+      const cents = stillOpen > 0 ? Math.min(available, toCents(bonus.amount)) : available;
+      
+      await this.moveBonusMoney(bonus.user_id, cents, status, { bonus_id: bonus.id }, transaction);
+      await Bonus.update(
+        { settled_amount: cents / 100 },
+        { where: { id: bonus.id }, transaction }
+      );
+      
+      return cents / 100;
+    });
+    
+    if (amount !== null) {
+      console.log(status === 'converted'
+        ? `💵 Bonus Converted: $${amount} of bonus ${bonus.id} is now cash for user ${bonus.user_id}`
+        : `⌛ Bonus Expired: $${amount} of bonus ${bonus.id} forfeited by user ${bonus.user_id}`);
+    }
+    
+    return amount;
+  }
+  
+  async moveBonusMoney(userId, cents, status, metadata, transaction) {
+    if (cents <= 0) return;
+    
+    await ledgerService.transfer({
+      type: status === 'converted' ? 'bonus_conversion' : 'bonus_expired',
+      from: ledgerService.bonusWalletAccount(userId),
+      to: status === 'converted' ? ledgerService.userAccount(userId) : ledgerService.bonusAccount(),
+      amount: cents / 100,
+      metadata,
+      transaction
+    });
+  }
+  
+  // Hourly: forfeit bonuses past their expiry, then settle bonus money left
+  // without an open bonus (prizes and refunds on cards bought with a bonus that
+  // has settled since) the way that bonus went
+  async expireBonuses() {
+    const expired = await Bonus.findAll({
+      where: { status: 'active', expires_at: { [Op.lt]: new Date() } }
+    });
+    
+    for (const bonus of expired) {
+      await this.settle(bonus, 'expired');
+    }
+    
+    const wallets = await LedgerAccount.findAll({
+      where: { type: 'bonus_wallet', balance: { [Op.gt]: 0 } },
+      attributes: ['owner_id']
+    });
+    
+    for (const { owner_id: userId } of wallets) {
+      await sequelize.transaction(async (transaction) => {
+        const balances = await this.lockWallets(userId, transaction);
+        const open = await Bonus.count({ where: { user_id: userId, status: 'active' }, transaction });
+        if (open > 0 || balances.bonus <= 0) return;
+        
+        const last = await Bonus.findOne({
+          where: { user_id: userId, status: { [Op.ne]: 'active' } },
+          order: [['settled_at', 'DESC']],
+          transaction
+        });
+        await this.moveBonusMoney(userId, balances.bonus, last ? last.status : 'expired', {
+          bonus_id: last ? last.id : null,
+          leftover: true
+        }, transaction);
+      });
+    }
+    
+    if (expired.length > 0) {
+      console.log(`⌛ Expired ${expired.length} bonuses`);
+    }
+  }
+  
+  async getSummary(userId) {
+    const user = await User.findByPk(userId, { attributes: ['balance', 'bonus_balance'] });
+    if (!user) {
+      throw new Error('User not found');
+    }
+    
+    const bonuses = await Bonus.findAll({
+      where: { user_id: userId },
+      order: [['created_at', 'DESC']],
+      limit: 20
+    });
+    const wageringLeft = bonuses
+      .filter(bonus => bonus.status === 'active')
+      .reduce((sum, bonus) => sum + toCents(bonus.wagering_required) - toCents(bonus.wagered), 0);
+    
+    return {
+      cash: parseFloat(user.balance),
+      bonus: parseFloat(user.bonus_balance),
+      spend_order: SPEND_ORDER,
+      wagering_remaining: wageringLeft / 100,
+      bonuses: bonuses.map(bonus => this.formatBonus(bonus))
+    };
+  }
+  
+  formatBonus(bonus) {
+    return {
+      id: bonus.id,
+      type: bonus.type,
+      amount: parseFloat(bonus.amount),
+      wagering_required: parseFloat(bonus.wagering_required),
+      wagered: parseFloat(bonus.wagered),
+      status: bonus.status,
+      expires_at: bonus.expires_at,
+      settled_amount: bonus.settled_amount !== null ? parseFloat(bonus.settled_amount) : null,
+      settled_at: bonus.settled_at,
+      created_at: bonus.created_at
+    };
+  }
+}
+
+module.exports = new BonusService();
@@ -0,0 +1,69 @@
+// In-memory index of the sold cards of one running game.
+//
+// Every called number maps straight to the card cells holding it, so marking a
+// call only touches the cards that contain it. Each card keeps a bitmask of its
+// marked cells (bit = row * cols + col, same as patterns.js). Free cells and
+// 90-ball blanks start marked.
+
+class CardIndex {
+  constructor() {
+    this.cards = new Map();
+    this.cells = new Map();
+  }
+  
+  // card: { card_number, user_id, numbers }; calledSet holds already called keys (resumed games)
+  addCard(card, calledSet = new Set()) {
+    const cols = card.numbers[0].length;
+    
+    const entry = {
+      cardNumber: card.card_number,
+      userId: card.user_id,
+      mask: 0,
+      disqualified: false
+    };
+    
+    card.numbers.forEach((row, rowIndex) => {
+      row.forEach((cell, colIndex) => {
+        const cellRef = {
+          entry,
+          bit: 1 << (rowIndex * cols + colIndex)
+        };
+        
+        const alwaysMarked = cell.free || cell.blank;
+        if (alwaysMarked || calledSet.has(cell.number)) {
+          this.markCell(cellRef);
+        }
+        
+        if (!alwaysMarked) {
+          if (!this.cells.has(cell.number)) this.cells.set(cell.number, []);
+          this.cells.get(cell.number).push(cellRef);
+        }
+      });
+    });
+    
+    this.cards.set(entry.cardNumber, entry);
+    return entry;
+  }
+  
+  markCell(cellRef) {
+    cellRef.entry.mask |= cellRef.bit;
+  }
+  
+  // Mark a called number; returns the cards that contain it
+  mark(number) {
+    const cellRefs = this.cells.get(number.number) || [];
+    cellRefs.forEach(cellRef => this.markCell(cellRef));
+    return cellRefs.map(cellRef => cellRef.entry).filter(entry => !entry.disqualified);
+  }
+  
+  disqualify(cardNumber) {
+    const entry = this.cards.get(cardNumber);
+    if (entry) entry.disqualified = true;
+  }
+  
+  activeCards() {
+    return [...this.cards.values()].filter(entry => !entry.disqualified);
+  }
+}
+
+module.exports = CardIndex;
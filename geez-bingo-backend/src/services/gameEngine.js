@@ -1,7 +1,57 @@
 const EventEmitter = require('events');
+const os = require('os');
+const crypto = require('crypto');
+const cron = require('node-cron');
 const { v4: uuidv4 } = require('uuid');
+const { Op } = require('sequelize');
 const RedisClient = require('../config/redis');
-const { Game, Card, User } = require('../models');
+const sequelize = require('../config/database');
+const { Game, Card, User, GameWinner, Claim, Room, Jackpot } = require('../models');
+const provablyFair = require('./provablyFair');
+const patterns = require('./patterns');
+const CardIndex = require('./cardIndex');
+const variants = require('./variants');
+const telegramService = require('./telegramService');
+const tournamentService = require('./tournamentService');
+const subscriptionService = require('./subscriptionService');
+const ledgerService = require('./ledgerService');
+const idempotencyService = require('./idempotencyService');
+const bonusService = require('./bonusService');
+const referralService = require('./referralService');
+
+// Leases make sure only one backend instance schedules games and drives each
+// game; a lease that isn't renewed within LEASE_TTL is free for another instance
+const LEASE_TTL = parseInt(process.env.LEASE_TTL || 15000);
+const LEASE_RENEW_INTERVAL = Math.floor(LEASE_TTL / 3);
+const SCHEDULER_LEASE = 'lease:scheduler';
+const COMMAND_CHANNEL = 'game:commands';
+const CLAIM_RESULT_CHANNEL = 'game:claim-results';
+
+// How long a claim forwarded to the instance driving the game waits for its verdict
+const CLAIM_FORWARD_TIMEOUT = parseInt(process.env.CLAIM_FORWARD_TIMEOUT || 5000);
+
+// How far ahead special games can be scheduled (and their cards pre-sold);
+// well inside the ~24.8 days a single setTimeout can wait
+const MAX_PRESALE_DAYS = 14;
+
+// Minutes before a special game starts at which ticket holders are reminded
+const SPECIAL_GAME_REMINDERS = (process.env.SPECIAL_GAME_REMINDERS || '1440,30')
+  .split(',')
+  .map(minutes => parseInt(minutes, 10))
+  .sort((a, b) => b - a);
+
+// Private games start at most this many minutes after they are created
+const PRIVATE_GAME_MAX_WAIT = 24 * 60;
+
+// Invite codes leave out look-alike characters (0/O, 1/I/L)
+const INVITE_CODE_ALPHABET = 'ABCDEFGHJKMNPQRSTUVWXYZ23456789';
+const INVITE_CODE_LENGTH = 6;
+
+// Public seed of the fixed cartelas (settings.card_mode = 'fixed'); changing it
+// gives every card number a new grid
+const CARTELA_SEED = process.env.CARTELA_SEED || 'geez-bingo-cartelas';
+
+const MAX_FAVOURITE_CARDS = 10;
 
 class GameEngine extends EventEmitter {
   constructor() {
@@ -10,75 +60,424 @@ class GameEngine extends EventEmitter {
     this.waitingGames = new Map();
     this.gameTimers = new Map();
     this.cardGenerators = new Map();
+    this.gameSeeds = new Map();
+    this.drawOrders = new Map();
+    this.cardIndexes = new Map();
+    this.rooms = new Map();
+    this.creatingRooms = new Set();
+    this.forwardedClaims = new Map();
+    this.instanceId = `${os.hostname()}:${process.pid}:${uuidv4().slice(0, 8)}`;
   }
   
   async initialize() {
     console.log('🎮 Game Engine Initialized');
     
+    // Load room templates before any game is created
+    await this.loadRooms();
+    console.log(`🏠 Loaded ${this.rooms.size} rooms`);
+    
     // Load active games from database on restart
     await this.loadActiveGames();
     
+    // Keep our leases alive and adopt games whose owner went away
+    this.startLeaseKeeper();
+    
+    // Run commands for games this instance owns
+    await RedisClient.subscribe(COMMAND_CHANNEL, (command) => this.handleCommand(command));
+    
+    // Verdicts on claims this instance forwarded
+    await RedisClient.subscribe(CLAIM_RESULT_CHANNEL, (result) => {
+      const resolve = this.forwardedClaims.get(result.requestId);
+      if (resolve) resolve(result);
+    });
+    
     // Start game scheduler
     this.startScheduler();
     
+    // Score finished games for any tournament running in their room
+    tournamentService.listen(this);
+    
+    // Buy subscribed cards in each new room game
+    subscriptionService.listen(this);
+    
+    // Count finished games' stakes towards bonus wagering
+    bonusService.listen(this);
+    
+    // Pay referrers their commission on finished games
+    referralService.listen(this);
+    
+    // Remind ticket holders of upcoming special games
+    this.startReminderJob();
+    
     // Start cleanup job
     this.startCleanupJob();
   }
   
+  // Adopt waiting/active games that no instance holds a lease on
   async loadActiveGames() {
     try {
       const activeGames = await Game.findAll({
-        where: { status: ['waiting', 'active'] },
-        include: [{ model: Card, as: 'game_cards' }]
+        where: { status: ['waiting', 'active'] }
       });
+      let adopted = 0;
       
       for (const game of activeGames) {
+        if (this.ownsGame(game.id)) continue;
+        if (!(await this.acquireGameLease(game.id))) continue;
+        adopted++;
+        
         const gameData = game.toJSON();
+        this.gameSeeds.set(gameData.id, game.server_seed);
         
         if (gameData.status === 'waiting') {
           this.waitingGames.set(gameData.id, gameData);
           this.startCountdown(gameData.id);
         } else if (gameData.status === 'active') {
+          // Games started before the draw order was persisted rebuild it from the seeds
+          this.drawOrders.set(gameData.id, game.draw_order || provablyFair
+            .generateDrawOrder(
+              game.server_seed,
+              gameData.metadata.fairness.client_seed,
+              gameData.settings.variant,
+              gameData.metadata.fairness.player_seed
+            )
+            .map(number => ({ ...number, called: false })));
+          gameData.draw_index = game.draw_order ? game.draw_index : gameData.called_numbers.length;
           this.activeGames.set(gameData.id, gameData);
           this.resumeGame(gameData.id);
         }
       }
       
-      console.log(`✅ Loaded ${activeGames.length} active games`);
+      if (adopted > 0) {
+        console.log(`✅ Loaded ${adopted} active games`);
+      }
     } catch (error) {
       console.error('Error loading active games:', error);
     }
   }
   
+  // Room templates; a default room is created from the env config on first run
+  async loadRooms() {
+    try {
+      let rooms = await Room.findAll({
+        where: { is_active: true },
+        order: [['sort_order', 'ASC']]
+      });
+      
+      if (rooms.length === 0 && await Room.count() === 0) {
+        rooms = [await Room.create({
+          name: 'Standard',
+          slug: 'standard',
+          bet_amount: parseFloat(process.env.BET_AMOUNT || 10.00),
+          house_fee: parseFloat(process.env.HOUSE_FEE || 0.05),
+          game_duration: parseInt(process.env.GAME_DURATION || 180),
+          countdown_duration: parseInt(process.env.COUNTDOWN_DURATION || 30),
+          max_cards_per_player: parseInt(process.env.MAX_CARDS_PER_PLAYER || 5),
+          min_players: parseInt(process.env.MIN_PLAYERS || 1),
+          settings: {
+            patterns: process.env.WINNING_PATTERNS
+              ? process.env.WINNING_PATTERNS.split(',')
+              : patterns.DEFAULT_PATTERNS,
+            stages: this.parseStages(process.env.PRIZE_STAGES),
+            win_mode: process.env.WIN_MODE || 'auto',
+            claim_window: parseInt(process.env.CLAIM_WINDOW || 5)
+          }
+        })];
+      }
+      
+      this.rooms = new Map(rooms.map(room => [room.id, room.toJSON()]));
+    } catch (error) {
+      console.error('Error loading rooms:', error);
+    }
+  }
+  
+  ownsGame(gameId) {
+    return this.waitingGames.has(gameId) || this.activeGames.has(gameId);
+  }
+  
+  acquireGameLease(gameId) {
+    return RedisClient.acquireLock(`lease:game:${gameId}`, this.instanceId, LEASE_TTL);
+  }
+  
+  renewGameLease(gameId) {
+    return RedisClient.renewLock(`lease:game:${gameId}`, this.instanceId, LEASE_TTL);
+  }
+  
+  releaseGameLease(gameId) {
+    return RedisClient.releaseLock(`lease:game:${gameId}`, this.instanceId);
+  }
+  
+  // Renew the lease if we hold it, otherwise try to take it
+  async holdLease(key) {
+    if (await RedisClient.renewLock(key, this.instanceId, LEASE_TTL)) return true;
+    return RedisClient.acquireLock(key, this.instanceId, LEASE_TTL);
+  }
+  
+  startLeaseKeeper() {
+    setInterval(async () => {
+      for (const gameId of [...this.waitingGames.keys(), ...this.activeGames.keys()]) {
+        if (!(await this.renewGameLease(gameId))) {
+          this.dropGame(gameId);
+        }
+      }
+      
+      await this.loadActiveGames();
+    }, LEASE_RENEW_INTERVAL);
+  }
+  
+  // Stop driving a game whose lease has been lost to another instance
+  dropGame(gameId) {
+    if (!this.ownsGame(gameId)) return;
+    
+    if (this.gameTimers.has(gameId)) {
+      clearTimeout(this.gameTimers.get(gameId));
+      this.gameTimers.delete(gameId);
+    }
+    
+    this.waitingGames.delete(gameId);
+    this.activeGames.delete(gameId);
+    this.gameSeeds.delete(gameId);
+    this.drawOrders.delete(gameId);
+    this.cardIndexes.delete(gameId);
+    
+    console.log(`🔀 Lost lease on game ${gameId}, another instance has taken over`);
+  }
+  
+  // Commands from instances that received a request for a game owned here
+  async handleCommand(command) {
+    if (!this.ownsGame(command.gameId)) return;
+    
+    if (command.type === 'cancel') {
+      await this.cancelGame(command.gameId);
+      return;
+    }
+    
+    if (command.type === 'start') {
+      await this.startGame(command.gameId);
+      return;
+    }
+    
+    if (command.type === 'claim') {
+      let result;
+      try {
+        result = await this.claimBingo(command.gameId, command.userId, command.cardNumber);
+      } catch (error) {
+        result = { error: error.message };
+        this.emit('claimResult', {
+          gameId: command.gameId,
+          userId: command.userId,
+          cardNumber: command.cardNumber,
+          valid: false,
+          reason: error.message
+        });
+      }
+      
+      // The forwarding instance is waiting to answer the player
+      if (command.requestId) {
+        await RedisClient.publish(CLAIM_RESULT_CHANNEL, { requestId: command.requestId, ...result });
+      }
+    }
+  }
+  
+  // Run a command here when this instance drives the game, otherwise hand it to the one that does
+  async sendCommand(command) {
+    if (this.ownsGame(command.gameId)) {
+      await this.handleCommand(command);
+    } else {
+      await RedisClient.publish(COMMAND_CHANNEL, command);
+    }
+  }
+  
+  // An active game picked up after a restart or failover either carries on from
+  // its persisted draw position or is voided with every card refunded.
+  // RESUME_POLICY=resume|void, overridable per game with settings.resume_policy
+  async resumeGame(gameId) {
+    try {
+      const game = this.activeGames.get(gameId);
+      if (!game) return;
+      
+      const policy = game.settings.resume_policy || process.env.RESUME_POLICY || 'resume';
+      if (policy === 'void') {
+        await this.voidGame(gameId);
+        return;
+      }
+      
+      game.stage_started_at = Date.now();
+      await this.buildCardIndex(gameId, game);
+      this.callNumbers(gameId);
+      
+      const remaining = game.settings.game_duration - Math.floor((game.elapsed_ms || 0) / 1000);
+      console.log(`▶️ Game Resumed: ${gameId} at call ${game.draw_index}, ${remaining}s left`);
+      
+    } catch (error) {
+      console.error('Error resuming game:', error);
+    }
+  }
+  
+  async voidGame(gameId) {
+    try {
+      const game = this.activeGames.get(gameId);
+      if (!game) return;
+      
+      await Game.update(
+        { status: 'cancelled', end_time: new Date() },
+        { where: { id: gameId } }
+      );
+      
+      this.activeGames.delete(gameId);
+      this.drawOrders.delete(gameId);
+      this.cardIndexes.delete(gameId);
+      this.releaseGameLease(gameId);
+      
+      // Stages already paid stay paid; the rest of the prize pool is refunded
+      // and the house keeps its fee on them
+      const refunded = await this.refundPot(gameId, game, this.getUnpaidAmount(game));
+      await ledgerService.closeAccount(ledgerService.gameAccount(gameId), { game_id: gameId });
+      
+      const serverSeed = this.gameSeeds.get(gameId);
+      this.gameSeeds.delete(gameId);
+      
+      this.emit('gameEnded', {
+        gameId,
+        reason: 'voided',
+        refunded,
+        pot: game.pot,
+        serverSeed
+      });
+      
+      console.log(`🛑 Game Voided: ${gameId} - $${refunded} refunded`);
+      
+    } catch (error) {
+      console.error('Error voiding game:', error);
+    }
+  }
+  
   startScheduler() {
-    // Check for new games every 5 seconds
+    // Keep one waiting game per room, checking every 5 seconds; only the
+    // instance holding the scheduler lease creates games
     setInterval(async () => {
-      if (this.waitingGames.size < 5) {
-        await this.createNewGame();
+      await this.loadRooms();
+      
+      if (!(await this.holdLease(SCHEDULER_LEASE))) return;
+      
+      for (const room of this.rooms.values()) {
+        if (this.creatingRooms.has(room.id)) continue;
+        
+        this.creatingRooms.add(room.id);
+        try {
+          if (await this.getWaitingGameForRoom(room.id)) continue;
+          await this.createNewGame(room);
+        } catch (error) {
+          console.error(`Error scheduling game for room ${room.name}:`, error);
+        } finally {
+          this.creatingRooms.delete(room.id);
+        }
       }
     }, 5000);
   }
   
-  async createNewGame() {
+  // Read from the database since the game may be owned by another instance.
+  // Special and private games are created separately and never count as the room's game.
+  async getWaitingGameForRoom(roomId) {
+    const game = await Game.findOne({
+      where: { room_id: roomId, status: 'waiting', name: null, invite_code: null },
+      order: [['start_time', 'ASC']]
+    });
+    
+    return game ? game.toJSON() : null;
+  }
+  
+  // Game settings are copied from the room so later room edits don't touch running games
+  buildSettings(room) {
+    const variant = variants.getVariant((room.settings && room.settings.variant) || variants.DEFAULT_VARIANT);
+    // Seconds between calls; rooms may set their own (e.g. 1 for faster speed games)
+    const callInterval = Math.max((room.settings && room.settings.call_interval) || variant.callInterval, 1);
+    
+    return {
+      ...room.settings,
+      variant: variant.key,
+      bet_amount: parseFloat(room.bet_amount),
+      house_fee: parseFloat(room.house_fee),
+      // Games that run the whole draw last as long as it takes to call it
+      game_duration: variant.endsWithDraw
+        ? variant.balls * callInterval
+        : variant.gameDuration || room.game_duration,
+      countdown_duration: variant.countdownDuration || room.countdown_duration,
+      call_interval: callInterval,
+      max_cards_per_player: room.max_cards_per_player,
+      min_players: room.min_players,
+      // Below min_players the start is pushed back this many seconds, at most max_countdown_extensions times
+      countdown_extension: (room.settings && room.settings.countdown_extension) || parseInt(process.env.COUNTDOWN_EXTENSION || 30),
+      max_countdown_extensions: room.settings && room.settings.max_countdown_extensions !== undefined
+        ? room.settings.max_countdown_extensions
+        : parseInt(process.env.MAX_COUNTDOWN_EXTENSIONS || 3),
+      patterns: (room.settings && room.settings.patterns) || variant.defaultPatterns,
+      // Rooms that set neither patterns nor stages play the variant's own stages (90-ball)
+      stages: (room.settings && (room.settings.stages || room.settings.patterns))
+        ? room.settings.stages
+        : variant.defaultStages,
+      // 'fixed' keeps card N's grid the same in every game, 'random' deals new grids per game
+      card_mode: (room.settings && room.settings.card_mode) || process.env.CARD_MODE || 'random',
+      win_mode: (room.settings && room.settings.win_mode) || 'auto',
+      claim_window: (room.settings && room.settings.claim_window) || 5,
+      no_winner_policy: (room.settings && room.settings.no_winner_policy) || process.env.NO_WINNER_POLICY || 'refund',
+      jackpot_fee_share: (room.settings && room.settings.jackpot_fee_share) || parseFloat(process.env.JACKPOT_FEE_SHARE || 0),
+      jackpot_calls: (room.settings && room.settings.jackpot_calls) || parseInt(process.env.JACKPOT_CALLS || 0)
+    };
+  }
+  
+  // options: { name, startTime, guaranteedPrize, betAmount } for scheduled special games,
+  // { startTime, hostId, inviteCode, settings } for private games
+  async createNewGame(room = this.rooms.values().next().value, options = null) {
     try {
+      if (!room) {
+        throw new Error('No active rooms configured');
+      }
+      
       const gameId = `bingo_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
       
+      // Lease the game before it exists so no other instance adopts it
+      const id = uuidv4();
+      await this.acquireGameLease(id);
+      
+      // Commit to the server seed up front; only its hash is published. The
+      // draw also depends on the buyers' seeds, fixed when the game starts
+      const serverSeed = provablyFair.generateServerSeed();
+      const clientSeed = provablyFair.generateClientSeed();
+      const settings = {
+        ...this.buildSettings(room),
+        ...(options && options.settings)
+      };
+      if (options && options.betAmount) {
+        settings.bet_amount = options.betAmount;
+      }
+      
       const game = await Game.create({
+        id,
         game_id: gameId,
+        room_id: room.id,
+        name: (options && options.name) || null,
+        guaranteed_prize: (options && options.guaranteedPrize) || 0,
+        host_id: (options && options.hostId) || null,
+        invite_code: (options && options.inviteCode) || null,
         status: 'waiting',
         pot: 0.00,
-        start_time: new Date(Date.now() + 30000), // 30 seconds from now
-        settings: {
-          bet_amount: parseFloat(process.env.BET_AMOUNT || 10.00),
-          house_fee: parseFloat(process.env.HOUSE_FEE || 0.05),
-          game_duration: parseInt(process.env.GAME_DURATION || 180),
-          max_cards_per_player: parseInt(process.env.MAX_CARDS_PER_PLAYER || 5),
-          min_players: 1
+        start_time: options
+          ? options.startTime
+          : new Date(Date.now() + settings.countdown_duration * 1000),
+        settings,
+        server_seed: serverSeed,
+        metadata: {
+          fairness: {
+            version: provablyFair.FAIRNESS_VERSION,
+            server_seed_hash: provablyFair.hashSeed(serverSeed),
+            client_seed: clientSeed,
+            ...(settings.card_mode === 'fixed' && { cartela_seed: CARTELA_SEED })
+          }
         }
       });
       
-      // Generate cards for this game
-      await this.generateGameCards(game.id);
+      this.gameSeeds.set(game.id, serverSeed);
       
       const gameData = game.toJSON();
       this.waitingGames.set(game.id, gameData);
@@ -90,7 +489,13 @@ class GameEngine extends EventEmitter {
       this.startCountdown(game.id);
       
       this.emit('gameCreated', gameData);
-      console.log(`🆕 Game Created: ${gameId} (${game.id})`);
+      if (game.invite_code) {
+        console.log(`🔒 Private Game Created: ${game.id} (invite ${game.invite_code}) at ${game.start_time.toISOString()}`);
+      } else if (game.name) {
+        console.log(`🌟 Special Game Scheduled: ${game.name} (${game.id}) at ${game.start_time.toISOString()}`);
+      } else {
+        console.log(`🆕 Game Created: ${gameId} (${game.id}) in room ${room.name}`);
+      }
       
       return gameData;
     } catch (error) {
@@ -99,78 +504,378 @@ class GameEngine extends EventEmitter {
     }
   }
   
-  async generateGameCards(gameId) {
-    const cards = [];
+  // Admin-scheduled special game; the room supplies the variant, patterns and fees
+  async scheduleSpecialGame({ roomId, name, startTime, guaranteedPrize = 0, betAmount }) {
+    const room = this.rooms.get(roomId) || await Room.findByPk(roomId);
+    if (!room) {
+      throw new Error('Room not found');
+    }
+    
+    if (!name || !name.trim()) {
+      throw new Error('Special games need a name');
+    }
+    
+    const start = new Date(startTime);
+    const latest = Date.now() + MAX_PRESALE_DAYS * 24 * 60 * 60 * 1000;
+    if (isNaN(start.getTime()) || start.getTime() <= Date.now() || start.getTime() > latest) {
+      throw new Error(`Start time must be within the next ${MAX_PRESALE_DAYS} days`);
+    }
+    
+    if (!(parseFloat(guaranteedPrize) >= 0) || (betAmount !== undefined && !(parseFloat(betAmount) > 0))) {
+      throw new Error('Invalid prize or bet amount');
+    }
+    
+    return this.createNewGame(room.toJSON ? room.toJSON() : room, {
+      name: name.trim(),
+      startTime: start,
+      guaranteedPrize: parseFloat(guaranteedPrize),
+      betAmount: betAmount !== undefined ? parseFloat(betAmount) : undefined
+    });
+  }
+  
+  // Cancelled by the owning instance; every pre-sold card is refunded
+  async cancelSpecialGame(gameId) {
+    const game = await Game.findByPk(gameId, { attributes: ['id', 'name', 'status'] });
+    if (!game || !game.name) {
+      throw new Error('Special game not found');
+    }
+    
+    if (game.status !== 'waiting') {
+      throw new Error('Only games that have not started can be cancelled');
+    }
+    
+    await this.sendCommand({ type: 'cancel', gameId });
+  }
+  
+  // Calendar of upcoming special games for the lobby and the bot
+  async getSpecialGames() {
+    const games = await Game.findAll({
+      where: { name: { [Op.ne]: null }, status: 'waiting' },
+      order: [['start_time', 'ASC']]
+    });
+    
+    return Promise.all(games.map(async game => {
+      const variant = variants.getVariant(game.settings.variant);
+      const room = this.rooms.get(game.room_id);
+      
+      return {
+        id: game.id,
+        game_id: game.game_id,
+        name: game.name,
+        room_name: room ? room.name : null,
+        variant: variant.key,
+        variant_label: variant.label,
+        start_time: game.start_time,
+        bet_amount: game.settings.bet_amount,
+        guaranteed_prize: parseFloat(game.guaranteed_prize),
+        pot: parseFloat(game.pot),
+        cards_sold: await Card.count({ where: { game_id: game.id, user_id: { [Op.ne]: null } } })
+      };
+    }));
+  }
+  
+  // A player's own game, joined by invite code and never shown in the lobby. The
+  // room supplies the house fee and defaults; the host picks the stake, card
+  // limit, variant, patterns and how many minutes until it starts.
+  async createPrivateGame(hostId, { roomId, betAmount, maxCardsPerPlayer, variant, patterns: winningPatterns, startsIn = 30 } = {}) {
+    const room = roomId ? this.rooms.get(roomId) : this.rooms.values().next().value;
+    if (!room) {
+      throw new Error('Room not found');
+    }
     
-    for (let cardNum = 1; cardNum <= 400; cardNum++) {
-      const numbers = this.generateCardNumbers(cardNum, gameId);
+    const open = await Game.count({ where: { host_id: hostId, status: ['waiting', 'active'] } });
+    if (open > 0) {
+      throw new Error('You already have a private game open');
+    }
+    
+    const stake = betAmount !== undefined ? parseFloat(betAmount) : parseFloat(room.bet_amount);
+    if (!(stake > 0)) {
+      throw new Error('Invalid stake');
+    }
+    
+    const maxCards = maxCardsPerPlayer !== undefined ? parseInt(maxCardsPerPlayer, 10) : room.max_cards_per_player;
+    if (!(maxCards >= 1 && maxCards <= room.max_cards_per_player)) {
+      throw new Error(`Players can hold 1 to ${room.max_cards_per_player} cards`);
+    }
+    
+    const wait = parseInt(startsIn, 10);
+    if (!(wait >= 1 && wait <= PRIVATE_GAME_MAX_WAIT)) {
+      throw new Error(`Private games must start within ${PRIVATE_GAME_MAX_WAIT / 60} hours`);
+    }
+    
+    // A different variant or patterns replace the room's patterns and stages
+    const roomVariant = (room.settings && room.settings.variant) || variants.DEFAULT_VARIANT;
+    const variantKey = variant ? variants.getVariant(variant).key : roomVariant;
+    const roomSettings = { ...room.settings, variant: variantKey };
+    if (winningPatterns || String(variantKey) !== String(roomVariant)) {
+      delete roomSettings.patterns;
+      delete roomSettings.stages;
+    }
+    if (winningPatterns) {
+      patterns.resolvePatterns(winningPatterns, variantKey);
+      roomSettings.patterns = winningPatterns;
+    }
+    
+    const game = await this.createNewGame({ ...room, settings: roomSettings }, {
+      startTime: new Date(Date.now() + wait * 60 * 1000),
+      hostId,
+      inviteCode: await this.generateInviteCode(),
+      settings: {
+        bet_amount: stake,
+        max_cards_per_player: maxCards,
+        // Private pots stay with their players: nothing rolls over into the
+        // public games and the room jackpot is neither fed nor paid out
+        no_winner_policy: 'refund',
+        jackpot_fee_share: 0,
+        jackpot_calls: 0
+      }
+    });
+    
+    return this.formatPrivateGame(game);
+  }
+  
+  async generateInviteCode() {
+    for (;;) {
+      const code = Array.from(crypto.randomBytes(INVITE_CODE_LENGTH))
+        .map(byte => INVITE_CODE_ALPHABET[byte % INVITE_CODE_ALPHABET.length])
+        .join('');
       
-      cards.push({
-        game_id: gameId,
-        card_number: cardNum,
-        numbers: numbers
-      });
+      if (await Game.count({ where: { invite_code: code } }) === 0) return code;
     }
+  }
+  
+  // Telegram deep link that opens the game in the bot, like the referral links
+  getInviteLink(inviteCode) {
+    return `https://t.me/${process.env.TELEGRAM_BOT_USERNAME}?start=join_${inviteCode}`;
+  }
+  
+  formatPrivateGame(game) {
+    const variant = variants.getVariant(game.settings.variant);
     
-    // Bulk create cards
-    await Card.bulkCreate(cards);
-    console.log(`🃏 Generated 400 cards for game ${gameId}`);
+    return {
+      id: game.id,
+      game_id: game.game_id,
+      host_id: game.host_id,
+      invite_code: game.invite_code,
+      invite_link: this.getInviteLink(game.invite_code),
+      status: game.status,
+      start_time: game.start_time,
+      bet_amount: game.settings.bet_amount,
+      max_cards_per_player: game.settings.max_cards_per_player,
+      variant: variant.key,
+      variant_label: variant.label,
+      pot: parseFloat(game.pot)
+    };
   }
   
-  generateCardNumbers(cardNumber, gameId) {
-    const numbers = [];
-    const ranges = {
-      'B': [1, 15],
-      'I': [16, 30],
-      'N': [31, 45],
-      'G': [46, 60],
-      'O': [61, 75]
+  // Private game behind an invite code, while it is still open or running
+  async getPrivateGame(inviteCode) {
+    const game = await Game.findOne({
+      where: { invite_code: String(inviteCode).toUpperCase(), status: ['waiting', 'active'] },
+      include: [{ model: User, as: 'host', attributes: ['username'] }]
+    });
+    if (!game) return null;
+    
+    return {
+      ...this.formatPrivateGame(game),
+      host_name: game.host ? game.host.username : null,
+      cards_sold: await Card.count({ where: { game_id: game.id, user_id: { [Op.ne]: null } } })
     };
+  }
+  
+  // Waiting private game the user hosts, for the host controls
+  async getHostedGame(gameId, userId) {
+    const game = await Game.findByPk(gameId, { attributes: ['id', 'host_id', 'invite_code', 'status'] });
+    if (!game || !game.invite_code) {
+      throw new Error('Private game not found');
+    }
     
-    // Use deterministic seed
-    const seed = cardNumber + gameId;
-    const seededRandom = (index) => {
-      const x = Math.sin(seed + index) * 10000;
-      return x - Math.floor(x);
+    if (game.host_id !== userId) {
+      throw new Error('Only the host can do this');
+    }
+    
+    if (game.status !== 'waiting') {
+      throw new Error('The game has already started');
+    }
+    
+    return game;
+  }
+  
+  // Start before the countdown runs out once enough players hold cards
+  async startPrivateGame(gameId, userId) {
+    await this.getHostedGame(gameId, userId);
+    
+    const [players, game] = await Promise.all([
+      this.countPlayers(gameId),
+      Game.findByPk(gameId, { attributes: ['settings'] })
+    ]);
+    const minPlayers = game.settings.min_players || 1;
+    if (players < minPlayers) {
+      throw new Error(`At least ${minPlayers} players need cards before the game can start`);
+    }
+    
+    await this.sendCommand({ type: 'start', gameId });
+  }
+  
+  // Cancelled through the owning instance; every card bought is refunded
+  async cancelPrivateGame(gameId, userId) {
+    await this.getHostedGame(gameId, userId);
+    await this.sendCommand({ type: 'cancel', gameId });
+  }
+  
+  // PRIZE_STAGES="line:20,two_lines:30,full_house:50" (pattern:percent of the prize pool)
+  parseStages(definition) {
+    if (!definition) return undefined;
+    
+    return definition.split(',').map(stage => {
+      const [pattern, percent] = stage.split(':');
+      return {
+        key: pattern,
+        label: patterns.REGISTRY[pattern] ? patterns.REGISTRY[pattern].label : pattern,
+        patterns: [pattern],
+        prize_percent: parseFloat(percent)
+      };
+    });
+  }
+  
+  // Prize stages for a game; games without stages pay everything on settings.patterns
+  getStages(settings) {
+    if (settings.stages && settings.stages.length > 0) {
+      return settings.stages;
+    }
+    
+    return [{
+      key: 'bingo',
+      label: 'Bingo',
+      patterns: settings.patterns || patterns.DEFAULT_PATTERNS,
+      prize_percent: 100
+    }];
+  }
+  
+  // Cards are derived from the game seeds on demand; only bought cards get a row
+  async getServerSeed(gameId) {
+    if (this.gameSeeds.has(gameId)) {
+      return this.gameSeeds.get(gameId);
+    }
+    
+    const game = await Game.findByPk(gameId, { attributes: ['server_seed'] });
+    return game ? game.server_seed : null;
+  }
+  
+  async previewCard(gameId, cardNumber) {
+    const game = await Game.findByPk(gameId);
+    if (!game) {
+      throw new Error('Game not found');
+    }
+    
+    const variant = variants.getVariant(game.settings.variant);
+    if (!(cardNumber >= 1 && cardNumber <= variant.totalCards)) {
+      throw new Error('Invalid card number');
+    }
+    
+    const sold = await Card.count({ where: { game_id: gameId, card_number: cardNumber } });
+    
+    return {
+      cardNumber,
+      numbers: await this.generateGameCard(game, cardNumber),
+      available: sold === 0 && game.status === 'waiting'
     };
+  }
+  
+  // Fixed-cartela games take every card from the cartela seed, others from the game seeds
+  async generateGameCard(game, cardNumber) {
+    const { fairness } = game.metadata;
     
-    // Generate columns
-    Object.entries(ranges).forEach(([letter, [min, max]], colIndex) => {
-      const columnNumbers = [];
-      for (let num = min; num <= max; num++) {
-        columnNumbers.push(num);
-      }
+    if (fairness.cartela_seed) {
+      return provablyFair.generateCartela(fairness.cartela_seed, cardNumber, game.settings.variant);
+    }
+    
+    return provablyFair.generateCard(
+      await this.getServerSeed(game.id),
+      fairness.client_seed,
+      cardNumber,
+      game.settings.variant
+    );
+  }
+  
+  async getFavouriteCards(userId) {
+    const user = await User.findByPk(userId, { attributes: ['favourite_cards'] });
+    return user ? user.favourite_cards || [] : [];
+  }
+  
+  async setFavouriteCards(userId, cardNumbers) {
+    if (!Array.isArray(cardNumbers)) {
+      throw new Error('cardNumbers must be a list of card numbers');
+    }
+    
+    const maxCard = Math.max(...Object.values(provablyFair.VARIANTS).map(variant => variant.totalCards));
+    const favourites = [...new Set(cardNumbers.map(n => parseInt(n, 10)))];
+    
+    if (favourites.some(n => !(n >= 1 && n <= maxCard))) {
+      throw new Error(`Card numbers run from 1 to ${maxCard}`);
+    }
+    
+    if (favourites.length > MAX_FAVOURITE_CARDS) {
+      throw new Error(`Up to ${MAX_FAVOURITE_CARDS} favourite cards`);
+    }
+    
+    await User.update({ favourite_cards: favourites }, { where: { id: userId } });
+    return favourites;
+  }
+  
+  // Card for a purchase that names no number: the player's next favourite, in
+  // order. A favourite someone else bought is swapped for the nearest number
+  // that is free (or already the player's stand-in for it). Players without
+  // favourites left get a random free card.
+  async pickCardNumber(game, userId) {
+    const total = variants.getVariant(game.settings.variant).totalCards;
+    const cards = await Card.findAll({
+      where: { game_id: game.id },
+      attributes: ['card_number', 'user_id']
+    });
+    const owners = new Map(cards.map(card => [card.card_number, card.user_id]));
+    
+    const preferred = [];
+    const usable = (n) => n >= 1 && n <= total && !preferred.includes(n) &&
+      (!owners.has(n) || owners.get(n) === userId);
+    
+    for (const favourite of await this.getFavouriteCards(userId)) {
+      if (favourite > total) continue;
       
-      // Shuffle using seeded random
-      for (let i = columnNumbers.length - 1; i > 0; i--) {
-        const j = Math.floor(seededRandom(colIndex * 100 + i) * (i + 1));
-        [columnNumbers[i], columnNumbers[j]] = [columnNumbers[j], columnNumbers[i]];
+      for (let distance = 0; distance < total; distance++) {
+        const choice = [favourite - distance, favourite + distance].find(usable);
+        if (choice) {
+          preferred.push(choice);
+          break;
+        }
       }
-      
-      // Take first 5 for this column
-      const selectedNumbers = columnNumbers.slice(0, 5);
-      
-      // Distribute across rows
-      selectedNumbers.forEach((number, rowIndex) => {
-        if (!numbers[rowIndex]) numbers[rowIndex] = [];
-        numbers[rowIndex][colIndex] = {
-          letter,
-          number,
-          called: false,
-          row: rowIndex,
-          col: colIndex
-        };
-      });
-    });
+    }
     
-    // Mark center as free
-    numbers[2][2].called = true;
-    numbers[2][2].free = true;
+    const next = preferred.find(n => !owners.has(n));
+    if (next) return next;
     
-    return numbers;
+    const free = [];
+    for (let n = 1; n <= total; n++) {
+      if (!owners.has(n)) free.push(n);
+    }
+    
+    if (free.length === 0) {
+      throw new Error('Card not available');
+    }
+    
+    return free[Math.floor(Math.random() * free.length)];
   }
   
-  startCountdown(gameId) {
+  async getSoldCardNumbers(gameId) {
+    const cards = await Card.findAll({
+      where: { game_id: gameId },
+      attributes: ['card_number']
+    });
+    
+    return cards.map(card => card.card_number);
+  }
+  
+  startCountdown(gameId, extension = null) {
     const game = this.waitingGames.get(gameId);
     if (!game) return;
     
@@ -195,7 +900,47 @@ class GameEngine extends EventEmitter {
     this.gameTimers.set(gameId, timer);
     
     // Start broadcasting countdown
-    this.broadcastCountdown(gameId, Math.ceil(timeUntilStart / 1000));
+    this.broadcastCountdown(gameId, Math.ceil(timeUntilStart / 1000), extension);
+  }
+  
+  // Distinct buyers; one player holding several cards still plays alone
+  countPlayers(gameId) {
+    return Card.count({
+      where: { game_id: gameId, user_id: { [Op.ne]: null } },
+      distinct: true,
+      col: 'user_id'
+    });
+  }
+  
+  // Push the start back while fewer than min_players have bought cards; once
+  // the extensions run out the game is cancelled and every card refunded
+  async extendCountdown(gameId, game, players) {
+    // Read the metadata back so reminders sent by the scheduler aren't lost
+    const stored = await Game.findByPk(gameId, { attributes: ['metadata'] });
+    const extensions = stored.metadata.countdown_extensions || 0;
+    
+    if (extensions >= game.settings.max_countdown_extensions) {
+      console.log(`❌ Game ${gameId} cancelled - ${players}/${game.settings.min_players} players after ${extensions} extensions`);
+      await this.cancelGame(gameId);
+      return;
+    }
+    
+    game.start_time = new Date(Date.now() + game.settings.countdown_extension * 1000);
+    game.metadata = { ...stored.metadata, countdown_extensions: extensions + 1 };
+    
+    await Game.update(
+      { start_time: game.start_time, metadata: game.metadata },
+      { where: { id: gameId } }
+    );
+    await RedisClient.set(`game:${gameId}`, JSON.stringify(game), 7200);
+    
+    console.log(`⏳ Game ${gameId} has ${players}/${game.settings.min_players} players - start extended by ${game.settings.countdown_extension}s`);
+    
+    this.startCountdown(gameId, {
+      players,
+      extension: extensions + 1,
+      maxExtensions: game.settings.max_countdown_extensions
+    });
   }
   
   async startGame(gameId) {
@@ -203,32 +948,85 @@ class GameEngine extends EventEmitter {
       const game = this.waitingGames.get(gameId);
       if (!game) return;
       
+      // Hosts can start private games before the countdown runs out
+      if (this.gameTimers.has(gameId)) {
+        clearTimeout(this.gameTimers.get(gameId));
+        this.gameTimers.delete(gameId);
+      }
+      
       // Check if enough players
-      const cards = await Card.count({
-        where: { 
-          game_id: gameId,
-          user_id: { $not: null }
-        }
-      });
+      const players = await this.countPlayers(gameId);
       
-      if (cards < 1) {
+      if (players < 1) {
         console.log(`❌ Game ${gameId} cancelled - no cards purchased`);
         await this.cancelGame(gameId);
         return;
       }
       
-      // Update game status
-      await Game.update(
-        { status: 'active', start_time: new Date() },
-        { where: { id: gameId } }
-      );
+      if (players < (game.settings.min_players || 1)) {
+        await this.extendCountdown(gameId, game, players);
+        return;
+      }
+      
+      // Start under the game row lock purchases take, so every sale either
+      // commits before the status change or sees the game already running. The
+      // sold cards are final under the lock, so their seeds fix the player seed
+      // and with it the draw order, persisted so a restart can resume it. The
+      // pot is read after it, including cards sold through other instances.
+      const started = await sequelize.transaction(async (transaction) => {
+        const locked = await Game.findByPk(gameId, {
+          attributes: ['id', 'status', 'metadata'],
+          lock: transaction.LOCK.UPDATE,
+          transaction
+        });
+        if (!locked || locked.status !== 'waiting') return null;
+        
+        const purchases = await Card.findAll({
+          where: { game_id: gameId, user_id: { [Op.ne]: null } },
+          attributes: ['card_number', 'client_seed'],
+          transaction
+        });
+        const fairness = {
+          ...locked.metadata.fairness,
+          player_seed: provablyFair.derivePlayerSeed(purchases)
+        };
+        const drawOrder = provablyFair
+          .generateDrawOrder(this.gameSeeds.get(gameId), fairness.client_seed, game.settings.variant, fairness.player_seed)
+          .map(number => ({ ...number, called: false }));
+        const metadata = { ...locked.metadata, fairness };
+        
+        await Game.update(
+          { status: 'active', start_time: new Date(), draw_order: drawOrder, draw_index: 0, elapsed_ms: 0, metadata },
+          { where: { id: gameId, status: 'waiting' }, transaction }
+        );
+        
+        const stored = await Game.findByPk(gameId, { attributes: ['pot'], transaction });
+        return { pot: stored.pot, drawOrder, metadata };
+      });
+      
+      // Cancelled meanwhile
+      if (!started) {
+        this.waitingGames.delete(gameId);
+        this.gameSeeds.delete(gameId);
+        this.releaseGameLease(gameId);
+        return;
+      }
       
+      this.drawOrders.set(gameId, started.drawOrder);
+      game.metadata = started.metadata;
+      game.pot = parseFloat(started.pot);
       game.status = 'active';
+      game.draw_index = 0;
+      game.elapsed_ms = 0;
       game.start_time = new Date();
+      game.stage_started_at = Date.now();
       
       this.waitingGames.delete(gameId);
       this.activeGames.set(gameId, game);
       
+      // Cards can only be bought while waiting, so the sold set is final now
+      await this.buildCardIndex(gameId, game);
+      
       // Update Redis
       await RedisClient.set(`game:${gameId}`, JSON.stringify(game), 7200);
       
@@ -247,59 +1045,55 @@ class GameEngine extends EventEmitter {
     const game = this.activeGames.get(gameId);
     if (!game) return;
     
-    const allNumbers = [];
-    const ranges = [
-      { letter: 'B', start: 1, end: 15 },
-      { letter: 'I', start: 16, end: 30 },
-      { letter: 'N', start: 31, end: 45 },
-      { letter: 'G', start: 46, end: 60 },
-      { letter: 'O', start: 61, end: 75 }
-    ];
-    
-    // Generate all 75 numbers
-    ranges.forEach(({ letter, start, end }) => {
-      for (let num = start; num <= end; num++) {
-        allNumbers.push({ letter, number: num, called: false });
-      }
-    });
-    
-    // Shuffle
-    for (let i = allNumbers.length - 1; i > 0; i--) {
-      const j = Math.floor(Math.random() * (i + 1));
-      [allNumbers[i], allNumbers[j]] = [allNumbers[j], allNumbers[i]];
-    }
+    const allNumbers = this.drawOrders.get(gameId);
+    const { endsWithDraw } = variants.getVariant(game.settings.variant);
     
-    const startTime = Date.now();
-    let numberIndex = 0;
+    // Resumed games carry on from the persisted position and playing time
+    const startTime = Date.now() - (game.elapsed_ms || 0);
+    let numberIndex = game.draw_index || 0;
     
-    const callInterval = setInterval(async () => {
+    const callNext = async () => {
       // Check if game should end
       if (!this.activeGames.has(gameId)) {
         clearInterval(callInterval);
         return;
       }
       
+      // Calling is paused while claims are being settled
+      if (game.paused) return;
+      
+      // Never call a number on a game another instance has taken over
+      if (!(await this.renewGameLease(gameId))) {
+        clearInterval(callInterval);
+        this.dropGame(gameId);
+        return;
+      }
+      
       const elapsed = Date.now() - startTime;
-      if (elapsed > game.settings.game_duration * 1000 || numberIndex >= allNumbers.length) {
+      const timeUp = !endsWithDraw && elapsed > game.settings.game_duration * 1000;
+      if (timeUp || numberIndex >= allNumbers.length) {
         clearInterval(callInterval);
         await this.endGame(gameId);
         return;
       }
       
       // Call next number
-      const number = allNumbers[numberIndex];
-      number.called = true;
+      const number = { ...allNumbers[numberIndex], called: true, called_at: Date.now() };
       numberIndex++;
       
       // Update game state
       game.called_numbers.push(number);
       game.current_calls = game.called_numbers.slice(-3);
+      game.draw_index = numberIndex;
+      game.elapsed_ms = elapsed;
       
       // Update in database
       await Game.update(
         {
           called_numbers: game.called_numbers,
-          current_calls: game.current_calls
+          current_calls: game.current_calls,
+          draw_index: game.draw_index,
+          elapsed_ms: game.elapsed_ms
         },
         { where: { id: gameId } }
       );
@@ -307,41 +1101,83 @@ class GameEngine extends EventEmitter {
       // Update Redis
       await RedisClient.set(`game:${gameId}`, JSON.stringify(game), 7200);
       
-      // Mark on cards
-      await this.markNumberOnCards(gameId, number);
+      // Mark on the in-memory index; the database copy is written in the background
+      const touchedCards = this.cardIndexes.get(gameId).mark(number);
+      this.markNumberOnCards(gameId, number, touchedCards.map(entry => entry.cardNumber));
       
       // Broadcast
       this.emit('numberCalled', {
         gameId,
         number,
         calledNumbers: game.called_numbers.length,
-        currentCalls: game.current_calls
+        currentCalls: game.current_calls,
+        timeLeft: Math.max(game.settings.game_duration - Math.floor(elapsed / 1000), 0)
       });
       
-      // Check for winners
-      await this.checkForWinners(gameId);
-      
-    }, 3000); // Every 3 seconds
+      // Check for winners; in claim mode players must claim themselves
+      if (game.settings.win_mode !== 'claim') {
+        await this.checkForWinners(gameId, touchedCards);
+      }
+    };
+    
+    // A slow call (database writes, winner checks) must finish before the next
+    // one starts, otherwise the game could end while a winner is being settled
+    let calling = false;
+    const callInterval = setInterval(async () => {
+      if (calling) return;
+      calling = true;
+      try {
+        await callNext();
+      } catch (error) {
+        console.error('Error calling number:', error);
+      } finally {
+        calling = false;
+      }
+    }, (game.settings.call_interval || 3) * 1000);
+  }
+  
+  // Index of the game's sold cards, marked with whatever has been called so far
+  async buildCardIndex(gameId, game) {
+    const cards = await Card.findAll({
+      where: { 
+        game_id: gameId,
+        user_id: { [Op.ne]: null }
+      },
+      attributes: ['card_number', 'user_id', 'numbers', 'is_disqualified']
+    });
+    
+    const calledSet = new Set(game.called_numbers.map(n => n.number));
+    const index = new CardIndex();
+    
+    cards.forEach(card => {
+      index.addCard(card, calledSet);
+      if (card.is_disqualified) index.disqualify(card.card_number);
+    });
+    
+    this.cardIndexes.set(gameId, index);
+    return index;
   }
   
-  async markNumberOnCards(gameId, number) {
+  // Display form of a call: B12 on 75-ball, 12 on 90-ball
+  formatNumber(number) {
+    return `${number.letter || ''}${number.number}`;
+  }
+  
+  // Fire-and-forget: the engine works from the index, the rows are a record
+  async markNumberOnCards(gameId, number, cardNumbers) {
+    if (cardNumbers.length === 0) return;
+    
     try {
-      // Update in database
+      const key = JSON.stringify([this.formatNumber(number)]);
+      
       await Card.update(
         {
-          marked_numbers: sequelize.fn('array_append', sequelize.col('marked_numbers'), `${number.letter}${number.number}`)
+          marked_numbers: sequelize.literal(`marked_numbers || ${sequelize.escape(key)}::jsonb`)
         },
         {
           where: {
             game_id: gameId,
-            numbers: {
-              [sequelize.Op.contains]: [
-                {
-                  letter: number.letter,
-                  number: number.number
-                }
-              ]
-            }
+            card_number: cardNumbers
           }
         }
       );
@@ -351,173 +1187,465 @@ class GameEngine extends EventEmitter {
     }
   }
   
-  async checkForWinners(gameId) {
+  // Only cards holding the number just called can have completed a pattern, so
+  // those are checked first; once a stage is won every card is checked against
+  // the next stage, which may already be complete
+  async checkForWinners(gameId, touchedCards) {
     try {
       const game = this.activeGames.get(gameId);
-      if (!game) return;
+      const index = this.cardIndexes.get(gameId);
+      if (!game || !index || game.settling) return;
       
-      // Get all cards for this game
-      const cards = await Card.findAll({
-        where: { 
-          game_id: gameId,
-          user_id: { $not: null }
-        },
-        include: [{ model: User, as: 'owner' }]
-      });
+      const stages = this.getStages(game.settings);
+      let candidates = touchedCards;
       
-      for (const card of cards) {
-        if (this.checkCardForBingo(card.numbers, game.called_numbers)) {
-          await this.declareWinner(gameId, card.user_id, card.card_number);
-          return;
+      // One call can settle several stages at once (e.g. two lines completed together)
+      while (this.activeGames.has(gameId) && game.current_stage < stages.length) {
+        const allowedPatterns = patterns.resolvePatterns(stages[game.current_stage].patterns, game.settings.variant);
+        
+        // Collect every card completed on this call so simultaneous winners share the prize
+        const winningCards = [];
+        for (const entry of candidates) {
+          const pattern = patterns.findWinningPattern(entry.mask, allowedPatterns);
+          if (pattern) {
+            winningCards.push({ userId: entry.userId, cardNumber: entry.cardNumber, pattern });
+          }
         }
+        
+        if (winningCards.length === 0) break;
+        
+        const stageBefore = game.current_stage;
+        await this.declareWinner(gameId, winningCards);
+        if (game.current_stage === stageBefore) break;
+        
+        candidates = index.activeCards();
       }
     } catch (error) {
       console.error('Error checking for winners:', error);
     }
   }
   
-  checkCardForBingo(cardNumbers, calledNumbers) {
-    const calledSet = new Set();
-    calledNumbers.forEach(n => calledSet.add(`${n.letter}${n.number}`));
+  // Pays the current stage to its winning cards and advances to the next stage;
+  // the last stage completes the game
+  async declareWinner(gameId, winningCards) {
+    const game = this.activeGames.get(gameId);
+    if (!game || game.settling) return;
+    game.settling = true;
     
-    // Check rows
-    for (let row = 0; row < 5; row++) {
-      let complete = true;
-      for (let col = 0; col < 5; col++) {
-        const cell = cardNumbers[row][col];
-        if (cell.free) continue;
-        if (!calledSet.has(`${cell.letter}${cell.number}`)) {
-          complete = false;
-          break;
+    try {
+      const stages = this.getStages(game.settings);
+      const stageIndex = game.current_stage;
+      const stage = stages[stageIndex];
+      const isFinalStage = stageIndex === stages.length - 1;
+      
+      // Split the stage's share of the prize pool evenly per winning card,
+      // rounded down to the cent; any remainder stays with the house
+      const pot = parseFloat(game.pot);
+      const prizePool = this.getPrizePool(game);
+      const prize = prizePool * (stage.prize_percent / 100);
+      const houseTopUp = Math.max(prizePool - pot * (1 - game.settings.house_fee), 0) * (stage.prize_percent / 100);
+      const share = Math.floor((prize / winningCards.length) * 100) / 100;
+      const totalPaid = Math.round(share * winningCards.length * 100) / 100;
+      const bonusPaid = await this.getBonusPaid(gameId, winningCards);
+      
+      // The stage is paid out of the game's pot account and the game moved on to
+      // the next stage (or completed) in one transaction, so a failure can't
+      // leave a paid stage to be settled again
+      await sequelize.transaction(async (transaction) => {
+        if (houseTopUp > 0) {
+          await ledgerService.transfer({
+            type: 'guarantee_top_up',
+            from: ledgerService.houseAccount(),
+            to: ledgerService.gameAccount(gameId),
+            amount: houseTopUp,
+            metadata: { game_id: gameId, stage: stage.key },
+            transaction
+          });
         }
-      }
-      if (complete) return true;
-    }
-    
-    // Check columns
-    for (let col = 0; col < 5; col++) {
-      let complete = true;
-      for (let row = 0; row < 5; row++) {
-        const cell = cardNumbers[row][col];
-        if (cell.free) continue;
-        if (!calledSet.has(`${cell.letter}${cell.number}`)) {
-          complete = false;
-          break;
+        
+        for (const { userId, cardNumber, pattern } of winningCards) {
+          // One prize entry per card
+          await bonusService.payCard('prize', {
+            from: ledgerService.gameAccount(gameId),
+            userId,
+            amount: share,
+            bonusPaid: bonusPaid.get(cardNumber),
+            price: game.settings.bet_amount,
+            metadata: {
+              game_id: gameId,
+              card_number: cardNumber,
+              stage: stage.key,
+              pattern: pattern.key,
+              pot,
+              winning_cards: winningCards.length
+            },
+            transaction
+          });
+          
+          await User.increment('total_won', {
+            by: share,
+            where: { id: userId },
+            transaction
+          });
+          
+          // Mark winning card
+          await Card.update(
+            { is_winner: true },
+            { where: { game_id: gameId, card_number: cardNumber }, transaction }
+          );
+          
+          await GameWinner.create({
+            game_id: gameId,
+            stage: stage.key,
+            stage_index: stageIndex,
+            user_id: userId,
+            card_number: cardNumber,
+            pattern: pattern.key,
+            amount: share,
+            call_count: game.called_numbers.length
+          }, { transaction });
         }
-      }
-      if (complete) return true;
-    }
-    
-    // Check diagonals
-    let diag1 = true;
-    let diag2 = true;
-    
-    for (let i = 0; i < 5; i++) {
-      // Main diagonal
-      const cell1 = cardNumbers[i][i];
-      if (!cell1.free && !calledSet.has(`${cell1.letter}${cell1.number}`)) {
-        diag1 = false;
-      }
-      
-      // Anti-diagonal
-      const cell2 = cardNumbers[i][4 - i];
-      if (!cell2.free && !calledSet.has(`${cell2.letter}${cell2.number}`)) {
-        diag2 = false;
-      }
-    }
-    
-    return diag1 || diag2;
-  }
-  
-  async declareWinner(gameId, userId, cardNumber) {
-    try {
-      const game = this.activeGames.get(gameId);
-      if (!game || game.winner_id) return;
-      
-      // Calculate winnings
-      const winnings = game.pot * (1 - game.settings.house_fee);
+        
+        await Game.update(
+          isFinalStage
+            ? { status: 'completed', outcome: 'winner', current_stage: stageIndex + 1, end_time: new Date() }
+            : { current_stage: stageIndex + 1 },
+          { where: { id: gameId }, transaction }
+        );
+      });
       
-      // Update game
-      await Game.update(
-        {
-          status: 'completed',
-          winner_id: userId,
-          winning_card: cardNumber,
-          end_time: new Date()
-        },
-        { where: { id: gameId } }
-      );
+      game.current_stage = stageIndex + 1;
+      game.stage_started_at = Date.now();
       
-      // Update user balance
-      await User.increment('balance', {
-        by: winnings,
-        where: { id: userId }
-      });
+      if (houseTopUp > 0) {
+        console.log(`🏦 House topped up ${stage.label} in game ${gameId} by $${houseTopUp.toFixed(2)} to meet the guaranteed prize`);
+      }
       
-      await User.increment('total_won', {
-        by: winnings,
-        where: { id: userId }
-      });
+      // Part of the house fee on this stage feeds the progressive jackpot
+      await this.feedJackpot(game, pot * game.settings.house_fee * (stage.prize_percent / 100));
+      const jackpot = await this.awardJackpot(gameId, game, winningCards);
       
-      await User.increment('games_won', {
-        by: 1,
-        where: { id: userId }
-      });
+      // Count each winning player once per game, however many cards or stages they won
+      game.winner_ids = game.winner_ids || [];
+      const winnerIds = [...new Set(winningCards.map(card => card.userId))];
+      const firstTimeWinners = winnerIds.filter(id => !game.winner_ids.includes(id));
+      game.winner_ids.push(...firstTimeWinners);
       
-      // Mark winning card
-      await Card.update(
-        { is_winner: true },
-        { where: { game_id: gameId, card_number: cardNumber } }
-      );
+      if (firstTimeWinners.length > 0) {
+        await User.increment('games_won', {
+          by: 1,
+          where: { id: firstTimeWinners }
+        });
+      }
       
-      // Get winner info
-      const winner = await User.findByPk(userId);
+      const users = await User.findAll({ where: { id: winnerIds } });
+      const usersById = new Map(users.map(user => [user.id, user]));
       
-      // Create transaction
-      await Transaction.create({
-        user_id: userId,
-        type: 'win',
-        amount: winnings,
-        status: 'completed',
-        metadata: {
-          game_id: gameId,
-          card_number: cardNumber,
-          pot: game.pot
-        }
-      });
+      const winners = winningCards.map(({ userId, cardNumber, pattern }) => ({
+        id: userId,
+        username: usersById.get(userId).username,
+        avatar: usersById.get(userId).avatar,
+        cardNumber,
+        pattern: { key: pattern.key, label: pattern.label },
+        winnings: share
+      }));
+      
+      const stageInfo = {
+        key: stage.key,
+        label: stage.label,
+        index: stageIndex,
+        prizePercent: stage.prize_percent
+      };
+      
+      const names = winnerIds.map(id => usersById.get(id).username).join(', ');
+      console.log(`🏆 ${stage.label} won by ${names}: $${totalPaid} (${winningCards.length} cards) in game ${gameId}`);
+      
+      if (!isFinalStage) {
+        this.emit('stageWon', {
+          gameId,
+          stage: stageInfo,
+          nextStage: stages[game.current_stage],
+          winners,
+          winnings: totalPaid,
+          pot,
+          jackpot
+        });
+        return;
+      }
       
       // Update game object
       game.status = 'completed';
-      game.winner_id = userId;
-      game.winning_card = cardNumber;
       game.end_time = new Date();
       
       // Remove from active games
       this.activeGames.delete(gameId);
+      this.releaseGameLease(gameId);
       
-      // Broadcast winner
-      this.emit('winnerDeclared', {
+      // The rest of the pot is the house fee
+      await ledgerService.closeAccount(ledgerService.gameAccount(gameId), { game_id: gameId });
+      
+      // Reveal the server seed now that the game is over
+      const serverSeed = this.gameSeeds.get(gameId);
+      this.gameSeeds.delete(gameId);
+      this.drawOrders.delete(gameId);
+      this.cardIndexes.delete(gameId);
+      
+      this.emit('stageWon', {
         gameId,
-        winner: {
-          id: userId,
-          username: winner.username,
-          avatar: winner.avatar
-        },
-        winningCard: cardNumber,
-        winnings,
-        pot: game.pot
+        stage: stageInfo,
+        nextStage: null,
+        winners,
+        winnings: totalPaid,
+        pot,
+        jackpot
       });
       
-      console.log(`🏆 Winner Declared: ${winner.username} won $${winnings} in game ${gameId}`);
-      
-      // Start new game after delay
-      setTimeout(() => {
-        this.createNewGame();
-      }, 10000); // 10 seconds delay
+      // Broadcast winners
+      this.emit('winnerDeclared', {
+        gameId,
+        stage: stageInfo,
+        winners,
+        winnings: totalPaid,
+        pot,
+        jackpot,
+        serverSeed
+      });
       
     } catch (error) {
       console.error('Error declaring winner:', error);
+    } finally {
+      game.settling = false;
+    }
+  }
+  
+  // Pot minus the house fee, raised to the guaranteed prize of special games
+  getPrizePool(game) {
+    const netPot = parseFloat(game.pot) * (1 - game.settings.house_fee);
+    return Math.max(netPot, parseFloat(game.guaranteed_prize || 0));
+  }
+  
+  // settings.jackpot_fee_share of the house fee goes into the game's jackpot pool
+  async feedJackpot(game, houseFee) {
+    const contribution = Math.floor(houseFee * (game.settings.jackpot_fee_share || 0) * 100) / 100;
+    if (contribution <= 0) return;
+    
+    const key = game.settings.jackpot_key || 'main';
+    await ledgerService.transfer({
+      type: 'jackpot_contribution',
+      from: ledgerService.gameAccount(game.id),
+      to: ledgerService.jackpotAccount(key),
+      amount: contribution,
+      metadata: { game_id: game.id }
+    });
+    
+    const jackpot = await Jackpot.findOne({ where: { key } });
+    this.emit('jackpotUpdated', { key, amount: parseFloat(jackpot.amount) });
+  }
+  
+  // Full house within settings.jackpot_calls calls wins the whole jackpot,
+  // split between the cards that got there on the same call
+  async awardJackpot(gameId, game, winningCards) {
+    const threshold = game.settings.jackpot_calls;
+    if (!threshold || game.called_numbers.length > threshold) return null;
+    
+    const jackpotCards = winningCards.filter(card => card.pattern.key === 'full_house');
+    if (jackpotCards.length === 0) return null;
+    
+    const key = game.settings.jackpot_key || 'main';
+    const jackpot = await Jackpot.findOne({ where: { key } });
+    const amount = jackpot ? parseFloat(jackpot.amount) : 0;
+    if (amount <= 0) return null;
+    
+    const share = Math.floor((amount / jackpotCards.length) * 100) / 100;
+    const totalPaid = Math.round(share * jackpotCards.length * 100) / 100;
+    const bonusPaid = await this.getBonusPaid(gameId, jackpotCards);
+    
+    // Paid out share by share so contributions made meanwhile are kept
+    await sequelize.transaction(async (transaction) => {
+      for (const { userId, cardNumber } of jackpotCards) {
+        await bonusService.payCard('jackpot_prize', {
+          from: ledgerService.jackpotAccount(key),
+          userId,
+          amount: share,
+          bonusPaid: bonusPaid.get(cardNumber),
+          price: game.settings.bet_amount,
+          metadata: {
+            game_id: gameId,
+            card_number: cardNumber,
+            jackpot: key,
+            call_count: game.called_numbers.length
+          },
+          transaction
+        });
+        
+        await User.increment('total_won', {
+          by: share,
+          where: { id: userId },
+          transaction
+        });
+      }
+      
+      await Jackpot.update(
+        { last_won_at: new Date(), last_winner_id: jackpotCards[0].userId },
+        { where: { key }, transaction }
+      );
+    });
+    
+    console.log(`💰 Jackpot of $${totalPaid} won in ${game.called_numbers.length} calls in game ${gameId}`);
+    this.emit('jackpotUpdated', { key, amount: Math.round((amount - totalPaid) * 100) / 100 });
+    
+    return {
+      key,
+      amount: totalPaid,
+      share,
+      calls: game.called_numbers.length,
+      winners: jackpotCards.map(({ userId, cardNumber }) => ({ id: userId, cardNumber }))
+    };
+  }
+  
+  async getJackpotInfo(settings) {
+    if (!settings.jackpot_calls) return null;
+    
+    const jackpot = await Jackpot.findOne({ where: { key: settings.jackpot_key || 'main' } });
+    return {
+      amount: jackpot ? parseFloat(jackpot.amount) : 0,
+      calls: settings.jackpot_calls
+    };
+  }
+  
+  // Player-initiated claim (claim mode). The card must have completed the current
+  // stage and be claimed within `claim_window` seconds of the completing call;
+  // a claim on an incomplete card disqualifies it for the rest of the game.
+  async claimBingo(gameId, userId, cardNumber) {
+    // Claims are settled by the instance driving the game
+    if (!this.activeGames.has(gameId)) {
+      const stored = await Game.findByPk(gameId, { attributes: ['status'] });
+      if (stored && stored.status === 'active') {
+        return this.forwardClaim(gameId, userId, cardNumber);
+      }
+    }
+    
+    const game = this.activeGames.get(gameId);
+    if (!game || game.settings.win_mode !== 'claim') {
+      throw new Error('Game is not accepting claims');
+    }
+    
+    if (game.settling) {
+      throw new Error('Prize is being settled, please wait');
+    }
+    
+    const card = await Card.findOne({
+      where: { game_id: gameId, card_number: cardNumber, user_id: userId }
+    });
+    
+    if (!card) {
+      throw new Error('Card not found');
+    }
+    
+    if (card.is_disqualified) {
+      throw new Error('Card is disqualified for this game');
+    }
+    
+    const stages = this.getStages(game.settings);
+    const stage = stages[game.current_stage];
+    const completion = patterns.findCompletingCall(
+      card.numbers,
+      game.called_numbers,
+      patterns.resolvePatterns(stage.patterns, game.settings.variant)
+    );
+    
+    let reason = 'accepted';
+    if (!completion) {
+      reason = 'not_complete';
+    } else {
+      // The window opens on the completing call, or when this stage opened if later
+      const completedAt = game.called_numbers[completion.index].called_at;
+      const windowStart = Math.max(completedAt, game.stage_started_at);
+      if (Date.now() > windowStart + game.settings.claim_window * 1000) {
+        reason = 'window_expired';
+      }
+    }
+    
+    const valid = reason === 'accepted';
+    
+    await Claim.create({
+      game_id: gameId,
+      user_id: userId,
+      card_number: cardNumber,
+      stage: stage.key,
+      call_count: game.called_numbers.length,
+      valid,
+      reason
+    });
+    
+    if (reason === 'not_complete') {
+      await card.update({ is_disqualified: true });
+      if (this.cardIndexes.has(gameId)) {
+        this.cardIndexes.get(gameId).disqualify(cardNumber);
+      }
+      console.log(`🚫 False claim: card #${cardNumber} disqualified in game ${gameId}`);
+      this.emit('cardDisqualified', { gameId, userId, cardNumber });
+    }
+    
+    this.emit('claimResult', { gameId, userId, cardNumber, valid, reason, stage: stage.key });
+    
+    if (valid) {
+      this.acceptClaim(gameId, { userId, cardNumber, pattern: completion.pattern });
+    }
+    
+    return { valid, reason, stage: stage.key };
+  }
+  
+  // Hand a claim to the instance driving the game and wait for its verdict
+  async forwardClaim(gameId, userId, cardNumber) {
+    const requestId = uuidv4();
+    
+    const verdict = new Promise((resolve) => {
+      const timer = setTimeout(() => resolve(null), CLAIM_FORWARD_TIMEOUT);
+      this.forwardedClaims.set(requestId, (result) => {
+        clearTimeout(timer);
+        resolve(result);
+      });
+    });
+    
+    let result;
+    try {
+      await RedisClient.publish(COMMAND_CHANNEL, { type: 'claim', gameId, userId, cardNumber, requestId });
+      result = await verdict;
+    } finally {
+      this.forwardedClaims.delete(requestId);
     }
+    
+    if (!result) {
+      throw new Error('Your claim is still being checked, watch the game for the result');
+    }
+    if (result.error) {
+      throw new Error(result.error);
+    }
+    
+    return { valid: result.valid, reason: result.reason, stage: result.stage };
+  }
+  
+  // Hold the call while the claim window runs so every card completed on the
+  // same call can still claim, then settle them together
+  acceptClaim(gameId, winningCard) {
+    const game = this.activeGames.get(gameId);
+    if (!game) return;
+    
+    game.pending_claims = game.pending_claims || [];
+    if (game.pending_claims.some(claim => claim.cardNumber === winningCard.cardNumber)) return;
+    game.pending_claims.push(winningCard);
+    
+    if (game.paused) return;
+    game.paused = true;
+    
+    setTimeout(async () => {
+      const claims = game.pending_claims;
+      game.pending_claims = [];
+      
+      await this.declareWinner(gameId, claims);
+      game.paused = false;
+    }, game.settings.claim_window * 1000);
   }
   
   async endGame(gameId) {
@@ -533,25 +1661,142 @@ class GameEngine extends EventEmitter {
       
       // Remove from active games
       this.activeGames.delete(gameId);
+      this.releaseGameLease(gameId);
+      
+      // Nobody claimed the (remaining) prize: apply the game's no-winner policy
+      const settlement = await this.settleUnwonPot(gameId, game);
+      await ledgerService.closeAccount(ledgerService.gameAccount(gameId), { game_id: gameId });
+      await Game.update(
+        { outcome: settlement.outcome, metadata: { ...game.metadata, settlement } },
+        { where: { id: gameId } }
+      );
+      
+      const serverSeed = this.gameSeeds.get(gameId);
+      this.gameSeeds.delete(gameId);
+      this.drawOrders.delete(gameId);
+      this.cardIndexes.delete(gameId);
       
       this.emit('gameEnded', {
         gameId,
         reason: 'timeout',
-        pot: game.pot
+        pot: game.pot,
+        outcome: settlement.outcome,
+        amount: settlement.amount,
+        nextGameId: settlement.next_game_id,
+        serverSeed
       });
       
-      console.log(`⏰ Game Ended: ${gameId} - No winner`);
-      
-      // Start new game
-      setTimeout(() => {
-        this.createNewGame();
-      }, 5000);
+      console.log(`⏰ Game Ended: ${gameId} - No winner, $${settlement.amount} ${settlement.outcome}`);
       
     } catch (error) {
       console.error('Error ending game:', error);
     }
   }
   
+  // settings.no_winner_policy: 'rollover' into the room's next game, 'refund' the
+  // card purchases, or credit the 'jackpot' pool. If earlier stages were already
+  // paid only the unpaid share of the prize pool is settled.
+  async settleUnwonPot(gameId, game) {
+    const amount = this.getUnpaidAmount(game);
+    const policy = game.settings.no_winner_policy || 'refund';
+    
+    if (amount <= 0) {
+      return { outcome: policy, amount: 0 };
+    }
+    
+    if (policy === 'rollover') {
+      const nextGameId = await this.rollOver(gameId, game, amount);
+      if (nextGameId) {
+        return { outcome: 'rollover', amount, next_game_id: nextGameId };
+      }
+      
+      console.log(`⚠️ No next game to roll game ${gameId} into, refunding instead`);
+    }
+    
+    if (policy === 'jackpot') {
+      const key = game.settings.jackpot_key || 'main';
+      await ledgerService.transfer({
+        type: 'jackpot_contribution',
+        from: ledgerService.gameAccount(gameId),
+        to: ledgerService.jackpotAccount(key),
+        amount,
+        metadata: { game_id: gameId, unwon_pot: true }
+      });
+      
+      return { outcome: 'jackpot', amount, jackpot_key: key };
+    }
+    
+    return { outcome: 'refund', amount: await this.refundPot(gameId, game, amount) };
+  }
+  
+  // Move money from a game into the room's waiting game; returns that game's id,
+  // or null when the room has none. The waiting game is locked and rechecked
+  // since it may start between the lookup and the move; a game that has left
+  // 'waiting' counts as none, so the caller settles the money another way.
+  async rollOver(gameId, game, amount) {
+    const nextGame = await this.getWaitingGameForRoom(game.room_id);
+    if (!nextGame) return null;
+    
+    const pot = await sequelize.transaction(async (transaction) => {
+      const locked = await Game.findByPk(nextGame.id, {
+        attributes: ['id', 'status'],
+        lock: transaction.LOCK.UPDATE,
+        transaction
+      });
+      if (!locked || locked.status !== 'waiting') return null;
+      
+      await ledgerService.transfer({
+        type: 'rollover',
+        from: ledgerService.gameAccount(gameId),
+        to: ledgerService.gameAccount(nextGame.id),
+        amount,
+        metadata: { game_id: gameId, next_game_id: nextGame.id },
+        transaction
+      });
+      
+      await Game.increment({ pot: amount, rollover_amount: amount }, {
+        where: { id: nextGame.id },
+        transaction
+      });
+      
+      const stored = await Game.findByPk(nextGame.id, { attributes: ['pot'], transaction });
+      return parseFloat(stored.pot);
+    });
+    if (pot === null) return null;
+    
+    if (this.waitingGames.has(nextGame.id)) {
+      this.waitingGames.get(nextGame.id).pot = pot;
+    }
+    
+    return nextGame.id;
+  }
+  
+  // What is left of the pot to settle: all of it before any stage was won,
+  // otherwise the unpaid stages' share of the prize pool
+  getUnpaidAmount(game) {
+    const pot = parseFloat(game.pot);
+    if (!(game.current_stage > 0)) return pot;
+    
+    const unpaidPercent = this.getStages(game.settings)
+      .slice(game.current_stage)
+      .reduce((sum, stage) => sum + stage.prize_percent, 0);
+    return Math.floor(pot * (1 - game.settings.house_fee) * unpaidPercent) / 100;
+  }
+  
+  // Split an amount evenly over the sold cards, rounded down to the cent, and
+  // return what was refunded
+  async refundPot(gameId, game, amount) {
+    const cardCount = await Card.count({
+      where: { game_id: gameId, user_id: { [Op.ne]: null } }
+    });
+    if (cardCount === 0 || amount <= 0) return 0;
+    
+    const perCard = Math.floor((amount / cardCount) * 100) / 100;
+    await this.refundCards(gameId, game, perCard);
+    
+    return Math.round(perCard * cardCount * 100) / 100;
+  }
+  
   async cancelGame(gameId) {
     try {
       const game = this.waitingGames.get(gameId);
@@ -563,31 +1808,15 @@ class GameEngine extends EventEmitter {
         { where: { id: gameId } }
       );
       
-      // Refund all card purchases
-      const cards = await Card.findAll({
-        where: { 
-          game_id: gameId,
-          user_id: { $not: null }
-        }
-      });
-      
-      for (const card of cards) {
-        await User.increment('balance', {
-          by: game.settings.bet_amount,
-          where: { id: card.user_id }
-        });
-        
-        await Transaction.create({
-          user_id: card.user_id,
-          type: 'refund',
-          amount: game.settings.bet_amount,
-          status: 'completed',
-          metadata: { game_id: gameId, card_number: card.card_number }
-        });
-      }
+      // Refund all card purchases; a rollover the game was holding moves on
+      await this.refundCards(gameId, game);
+      await this.carryRollover(gameId, game);
+      await ledgerService.closeAccount(ledgerService.gameAccount(gameId), { game_id: gameId });
       
       // Remove from waiting games
       this.waitingGames.delete(gameId);
+      this.gameSeeds.delete(gameId);
+      this.releaseGameLease(gameId);
       
       // Clear timer
       if (this.gameTimers.has(gameId)) {
@@ -597,53 +1826,256 @@ class GameEngine extends EventEmitter {
       
       console.log(`❌ Game Cancelled: ${gameId}`);
       
-      // Start new game
-      this.createNewGame();
-      
     } catch (error) {
       console.error('Error cancelling game:', error);
     }
   }
   
-  broadcastCountdown(gameId, secondsLeft) {
+  // What a cancelled game had rolled in from unwon games is still in its
+  // account once the cards are refunded. It goes to the room's next game, which
+  // is opened now since the cancelled game was the room's waiting one, or to the
+  // room's jackpot if there is no next game to hold it.
+  async carryRollover(gameId, game) {
+    const stored = await Game.findByPk(gameId, { attributes: ['rollover_amount'] });
+    const amount = parseFloat(stored.rollover_amount);
+    if (!(amount > 0)) return;
+    
+    let nextGameId = await this.rollOver(gameId, game, amount);
+    
+    const room = this.rooms.get(game.room_id);
+    if (!nextGameId && room && !this.creatingRooms.has(room.id)) {
+      this.creatingRooms.add(room.id);
+      try {
+        await this.createNewGame(room);
+      } catch (error) {
+        console.error(`Error opening the next game in room ${room.name}:`, error);
+      } finally {
+        this.creatingRooms.delete(room.id);
+      }
+      nextGameId = await this.rollOver(gameId, game, amount);
+    }
+    
+    if (nextGameId) {
+      console.log(`🔁 Rollover of $${amount} carried from cancelled game ${gameId} to ${nextGameId}`);
+      return;
+    }
+    
+    const key = game.settings.jackpot_key || 'main';
+    await ledgerService.transfer({
+      type: 'jackpot_contribution',
+      from: ledgerService.gameAccount(gameId),
+      to: ledgerService.jackpotAccount(key),
+      amount,
+      metadata: { game_id: gameId, unwon_pot: true }
+    });
+    console.log(`⚠️ No next game for the rollover in cancelled game ${gameId}, $${amount} added to the ${key} jackpot`);
+  }
+  
+  async refundCards(gameId, game, amount = game.settings.bet_amount) {
+    const cards = await Card.findAll({
+      where: { 
+        game_id: gameId,
+        user_id: { [Op.ne]: null }
+      }
+    });
+    
+    await sequelize.transaction(async (transaction) => {
+      for (const card of cards) {
+        await bonusService.payCard('refund', {
+          from: ledgerService.gameAccount(gameId),
+          userId: card.user_id,
+          amount,
+          bonusPaid: card.bonus_paid,
+          price: game.settings.bet_amount,
+          metadata: { game_id: gameId, card_number: card.card_number },
+          transaction
+        });
+      }
+    });
+  }
+  
+  // Card number -> part of its price paid with bonus money, for paying prizes
+  async getBonusPaid(gameId, winningCards) {
+    const cards = await Card.findAll({
+      where: { game_id: gameId, card_number: winningCards.map(card => card.cardNumber) },
+      attributes: ['card_number', 'bonus_paid']
+    });
+    
+    return new Map(cards.map(card => [card.card_number, card.bonus_paid]));
+  }
+  
+  // Clients count down locally from this; the timings let them size the game timer
+  // extension ({ players, extension, maxExtensions }) is set when the start was
+  // pushed back for lack of players
+  broadcastCountdown(gameId, secondsLeft, extension = null) {
+    const game = this.waitingGames.get(gameId);
+    
     this.emit('gameCountdown', {
       gameId,
       secondsLeft,
-      status: 'waiting'
+      status: 'waiting',
+      countdownDuration: game.settings.countdown_duration,
+      gameDuration: game.settings.game_duration,
+      callInterval: game.settings.call_interval,
+      minPlayers: game.settings.min_players || 1,
+      extended: Boolean(extension),
+      ...extension
     });
   }
   
-  startCleanupJob() {
-    // Clean up old games every hour
-    setInterval(async () => {
+  // Every minute the scheduler lease holder sends the reminders that have come
+  // due; sent offsets are recorded on the game so no instance repeats them
+  startReminderJob() {
+    cron.schedule('* * * * *', async () => {
       try {
-        const oneDayAgo = new Date(Date.now() - 24 * 60 * 60 * 1000);
+        if (!(await this.holdLease(SCHEDULER_LEASE))) return;
         
-        await Game.destroy({
-          where: {
-            status: 'completed',
-            end_time: { $lt: oneDayAgo }
-          }
+        const horizon = new Date(Date.now() + SPECIAL_GAME_REMINDERS[0] * 60 * 1000);
+        const games = await Game.findAll({
+          where: { name: { [Op.ne]: null }, status: 'waiting', start_time: { [Op.lte]: horizon } }
         });
         
-        console.log('🧹 Cleaned up old games');
+        for (const game of games) {
+          const minutesLeft = (new Date(game.start_time).getTime() - Date.now()) / 60000;
+          const sent = game.metadata.reminders_sent || [];
+          const due = SPECIAL_GAME_REMINDERS.filter(minutes => minutesLeft <= minutes && !sent.includes(minutes));
+          if (due.length === 0) continue;
+          
+          await Game.update(
+            { metadata: { ...game.metadata, reminders_sent: [...sent, ...due] } },
+            { where: { id: game.id } }
+          );
+          
+          // One message per ticket holder, however many cards they hold
+          const cards = await Card.findAll({
+            where: { game_id: game.id, user_id: { [Op.ne]: null } },
+            attributes: ['user_id']
+          });
+          const holders = await User.findAll({
+            where: {
+              id: [...new Set(cards.map(card => card.user_id))],
+              telegram_id: { [Op.ne]: null }
+            },
+            attributes: ['telegram_id']
+          });
+          
+          await telegramService.sendSpecialGameReminder(
+            holders.map(user => user.telegram_id),
+            game.toJSON()
+          );
+          console.log(`⏰ Reminded ${holders.length} ticket holders of ${game.name}`);
+        }
       } catch (error) {
-        console.error('Error cleaning up games:', error);
+        console.error('Error sending special game reminders:', error);
+      }
+    });
+  }
+  
+  // Finished games are never removed: their seeds, hash commitment, draw and
+  // cards are what GET /api/games/:gameId/verify recomputes
+  startCleanupJob() {
+    setInterval(async () => {
+      try {
+        await idempotencyService.purgeExpired();
+        await bonusService.expireBonuses();
+        await referralService.rewardDeposits();
+      } catch (error) {
+        console.error('Error in cleanup job:', error);
       }
     }, 60 * 60 * 1000); // Every hour
   }
   
   async getGameState(gameId) {
-    const game = this.waitingGames.get(gameId) || this.activeGames.get(gameId);
+    let game = this.waitingGames.get(gameId) || this.activeGames.get(gameId);
     if (!game) {
-      return await Game.findByPk(gameId);
+      game = await Game.findByPk(gameId);
+      if (!game) return null;
+      game = game.toJSON();
     }
-    return game;
+    
+    // Include the prize stages and the patterns currently in play for rendering
+    const stages = this.getStages(game.settings);
+    const currentStage = stages[Math.min(game.current_stage || 0, stages.length - 1)];
+    
+    const room = this.rooms.get(game.room_id);
+    const variant = variants.getVariant(game.settings.variant);
+    
+    // Seconds until the start while waiting, of playing time once running
+    let timeLeft = 0;
+    if (game.status === 'waiting') {
+      timeLeft = Math.max(Math.ceil((new Date(game.start_time).getTime() - Date.now()) / 1000), 0);
+    } else if (game.status === 'active') {
+      timeLeft = Math.max(game.settings.game_duration - Math.floor((game.elapsed_ms || 0) / 1000), 0);
+    }
+    
+    return {
+      ...game,
+      timeLeft,
+      room_name: room ? room.name : null,
+      invite_link: game.invite_code ? this.getInviteLink(game.invite_code) : null,
+      variant: {
+        key: variant.key,
+        label: variant.label,
+        balls: variant.balls,
+        rows: variant.rows,
+        cols: variant.cols,
+        total_cards: variant.totalCards
+      },
+      jackpot: await this.getJackpotInfo(game.settings),
+      stages: stages.map(({ key, label, prize_percent }) => ({ key, label, prize_percent })),
+      patterns: patterns.describePatterns(currentStage.patterns, variant.key)
+    };
+  }
+  
+  // Rooms with the game currently selling cards in each, for the lobby
+  async getLobby() {
+    const rooms = [...this.rooms.values()];
+    
+    return Promise.all(rooms.map(async room => {
+      const settings = this.buildSettings(room);
+      const stages = this.getStages(settings);
+      const variant = variants.getVariant(settings.variant);
+      const game = await this.getWaitingGameForRoom(room.id);
+      const cardsSold = game
+        ? await Card.count({ where: { game_id: game.id, user_id: { [Op.ne]: null } } })
+        : 0;
+      
+      return {
+        id: room.id,
+        name: room.name,
+        slug: room.slug,
+        bet_amount: parseFloat(room.bet_amount),
+        house_fee: parseFloat(room.house_fee),
+        max_cards_per_player: room.max_cards_per_player,
+        variant: variant.key,
+        variant_label: variant.label,
+        // Prize stages when the room has several, otherwise the winning patterns
+        patterns: (stages.length > 1 ? stages : patterns.resolvePatterns(settings.patterns, variant.key))
+          .map(({ key, label }) => ({ key, label })),
+        game: game && {
+          id: game.id,
+          game_id: game.game_id,
+          pot: parseFloat(game.pot),
+          start_time: game.start_time,
+          cards_sold: cardsSold
+        }
+      };
+    }));
+  }
+  
+  // Waiting game from memory, or from the database when another instance owns it
+  async findWaitingGame(gameId) {
+    if (this.waitingGames.has(gameId)) {
+      return this.waitingGames.get(gameId);
+    }
+    
+    const game = await Game.findOne({ where: { id: gameId, status: 'waiting' } });
+    return game ? game.toJSON() : null;
   }
   
   async joinGame(gameId, userId) {
     try {
-      const game = this.waitingGames.get(gameId);
+      const game = await this.findWaitingGame(gameId);
       if (!game || game.status !== 'waiting') {
         throw new Error('Game not available for joining');
       }
@@ -668,67 +2100,126 @@ class GameEngine extends EventEmitter {
     }
   }
   
-  async purchaseCard(gameId, userId, cardNumber) {
+  // Without a card number the player's favourites are tried first (pickCardNumber).
+  // REST, socket and bot purchases pass their idempotency key so a retry doesn't buy twice.
+  // clientSeed: optional seed of the buyer's choosing that goes into the draw
+  async purchaseCard(gameId, userId, cardNumber = null, idempotencyKey = null, clientSeed = null) {
     try {
-      const game = this.waitingGames.get(gameId);
+      const request = { gameId, cardNumber, clientSeed };
+      
+      // A retry of a purchase that went through gets the card it bought
+      if (idempotencyKey) {
+        const replay = await idempotencyService.findReplay(userId, idempotencyKey, 'purchase_card', request);
+        if (replay) return replay.body;
+      }
+      
+      const game = await this.findWaitingGame(gameId);
       if (!game || game.status !== 'waiting') {
         throw new Error('Game not available for card purchase');
       }
       
-      // Check if card is available
-      const card = await Card.findOne({
-        where: {
-          game_id: gameId,
-          card_number: cardNumber,
-          user_id: null
-        }
-      });
-      
-      if (!card) {
-        throw new Error('Card not available');
+      if (!cardNumber) {
+        cardNumber = await this.pickCardNumber(game, userId);
       }
       
-      // Check user balance
-      const user = await User.findByPk(userId);
-      if (user.balance < game.settings.bet_amount) {
-        throw new Error('Insufficient balance');
+      if (!(cardNumber >= 1 && cardNumber <= variants.getVariant(game.settings.variant).totalCards)) {
+        throw new Error('Invalid card number');
       }
       
-      // Deduct balance
-      await User.decrement('balance', {
-        by: game.settings.bet_amount,
-        where: { id: userId }
-      });
-      
-      // Update card ownership
-      card.user_id = userId;
-      card.purchased_at = new Date();
-      await card.save();
-      
-      // Update game pot
-      game.pot += game.settings.bet_amount;
-      await Game.update(
-        { pot: game.pot },
-        { where: { id: gameId } }
-      );
-      
-      // Update in memory
-      this.waitingGames.set(gameId, game);
+      if (clientSeed !== null && (typeof clientSeed !== 'string' || clientSeed.length > 64)) {
+        throw new Error('Client seed must be a string of at most 64 characters');
+      }
       
-      // Create transaction
-      await Transaction.create({
-        user_id: userId,
-        type: 'bet',
-        amount: game.settings.bet_amount,
-        status: 'completed',
-        metadata: { game_id: gameId, card_number: cardNumber }
+      const bet = game.settings.bet_amount;
+      const numbers = await this.generateGameCard(game, cardNumber);
+      
+      // Everything in one transaction: the game row lock orders purchases against
+      // each other and against startGame's status change, the unique (game_id,
+      // card_number) index rejects a second sale of the card and the ledger
+      // refuses to take the wallets below zero
+      const { card, pot, replay } = await sequelize.transaction(async (transaction) => {
+        // The key is claimed and its result stored in this transaction, so
+        // they commit or roll back with the purchase
+        const claim = idempotencyKey
+          ? await idempotencyService.begin(userId, idempotencyKey, 'purchase_card', request, transaction)
+          : null;
+        if (claim && claim.replay) {
+          return { replay: claim.replay.body };
+        }
+        
+        const locked = await Game.findByPk(gameId, {
+          attributes: ['id', 'status'],
+          lock: transaction.LOCK.UPDATE,
+          transaction
+        });
+        if (!locked || locked.status !== 'waiting') {
+          throw new Error('Game not available for card purchase');
+        }
+        
+        // Counted under the lock, so manual buys and subscriptions together
+        // can't take a player past the limit
+        const held = await Card.count({
+          where: { game_id: gameId, user_id: userId },
+          transaction
+        });
+        if (held >= game.settings.max_cards_per_player) {
+          throw new Error('Maximum cards per player reached');
+        }
+        
+        let card;
+        try {
+          card = await Card.create({
+            game_id: gameId,
+            card_number: cardNumber,
+            numbers,
+            user_id: userId,
+            client_seed: clientSeed,
+            purchased_at: new Date()
+          }, { transaction });
+        } catch (error) {
+          if (error.name === 'SequelizeUniqueConstraintError') {
+            throw new Error('Card not available');
+          }
+          throw error;
+        }
+        
+        const bonusPaid = await bonusService.chargeCard({
+          userId,
+          gameId,
+          cardNumber,
+          amount: bet,
+          transaction
+        });
+        if (bonusPaid > 0) {
+          await card.update({ bonus_paid: bonusPaid }, { transaction });
+        }
+        
+        await Game.increment('pot', {
+          by: bet,
+          where: { id: gameId },
+          transaction
+        });
+        
+        await User.increment('games_played', {
+          by: 1,
+          where: { id: userId },
+          transaction
+        });
+        
+        const stored = await Game.findByPk(gameId, { attributes: ['pot'], transaction });
+        
+        // Retries get the card as it was stored, so the first caller does too
+        if (claim) {
+          const body = JSON.parse(JSON.stringify(card));
+          await idempotencyService.complete(claim.record, 200, body, transaction);
+          return { card: body, pot: parseFloat(stored.pot) };
+        }
+        
+        return { card, pot: parseFloat(stored.pot) };
       });
+      if (replay) return replay;
       
-      // Increment user games played
-      await User.increment('games_played', {
-        by: 1,
-        where: { id: userId }
-      });
+      game.pot = pot;
       
       this.emit('cardPurchased', {
         gameId,
@@ -0,0 +1,112 @@
+const crypto = require('crypto');
+const { Op } = require('sequelize');
+const sequelize = require('../config/database');
+const { IdempotencyKey } = require('../models');
+
+// Idempotency keys.
+//
+// Mobile and Telegram clients retry on flaky networks. A money-moving request
+// can carry a key (the Idempotency-Key header on REST, an idempotencyKey field
+// on socket and bot actions); the first request with a key claims it and its
+// response is stored, and a retry with the same key gets that response back
+// instead of running the operation again. Keys are per player and kept for a
+// day. A request that fails frees its key so it can be retried: purchases,
+// registrations etc. run in one transaction, so a failure left nothing behind.
+//
+// Card purchases claim their key and store the result inside the purchase's
+// own transaction, so the key can't outlive or miss the purchase. Keys claimed
+// by the REST middleware are written around the request instead; one still
+// pending after PENDING_TIMEOUT belongs to a request that died and is freed.
+
+const KEY_TTL = 24 * 60 * 60 * 1000;
+const PENDING_TIMEOUT = 2 * 60 * 1000;
+const MAX_KEY_LENGTH = 255;
+
+const requestError = (message, statusCode) => Object.assign(new Error(message), { statusCode });
+
+class IdempotencyService {
+  fingerprint(action, request) {
+    return crypto.createHash('sha256').update(JSON.stringify({ action, request })).digest('hex');
+  }
+  
+  checkKey(key) {
+    if (typeof key !== 'string' || key.length === 0 || key.length > MAX_KEY_LENGTH) {
+      throw requestError(`Idempotency keys must be 1 to ${MAX_KEY_LENGTH} characters`, 400);
+    }
+  }
+  
+  // Expired keys, and pending ones whose request died, can be claimed afresh
+  isStale(record) {
+    const age = Date.now() - new Date(record.created_at).getTime();
+    return age > KEY_TTL || (record.status === 'pending' && age > PENDING_TIMEOUT);
+  }
+  
+  // Claim a key for a request. Returns { record } when the request should run
+  // or { replay: { status, body } } when it already ran. Inside a transaction
+  // the claim commits or rolls back with it, and a concurrent request with the
+  // same key waits on the key until this one is done.
+  async begin(userId, key, action, request = {}, transaction = null) {
+    this.checkKey(key);
+    const fingerprint = this.fingerprint(action, request);
+    
+    try {
+      // A savepoint keeps the transaction usable after a duplicate key
+      const create = (options) => IdempotencyKey.create({ user_id: userId, key, action, fingerprint }, options);
+      const record = transaction
+        ? await sequelize.transaction({ transaction }, savepoint => create({ transaction: savepoint }))
+        : await create();
+      return { record };
+    } catch (error) {
+      if (error.name !== 'SequelizeUniqueConstraintError') throw error;
+    }
+    
+    const existing = await IdempotencyKey.findOne({ where: { user_id: userId, key }, transaction });
+    
+    // Freed or stale in the meantime: claim it afresh
+    if (!existing || this.isStale(existing)) {
+      if (existing) await existing.destroy({ transaction });
+      return this.begin(userId, key, action, request, transaction);
+    }
+    
+    if (existing.fingerprint !== fingerprint) {
+      throw requestError('Idempotency key was already used for a different request', 422);
+    }
+    
+    if (existing.status === 'pending') {
+      throw requestError('A request with this idempotency key is still in progress', 409);
+    }
+    
+    return { replay: { status: existing.response_status, body: existing.response } };
+  }
+  
+  // The stored response for a request that already ran, if any; lets a retry
+  // skip straight to it before doing any work
+  async findReplay(userId, key, action, request = {}) {
+    this.checkKey(key);
+    
+    const existing = await IdempotencyKey.findOne({ where: { user_id: userId, key } });
+    if (!existing || existing.status !== 'completed' || this.isStale(existing)) return null;
+    
+    if (existing.fingerprint !== this.fingerprint(action, request)) {
+      throw requestError('Idempotency key was already used for a different request', 422);
+    }
+    
+    return { status: existing.response_status, body: existing.response };
+  }
+  
+  async complete(record, status, body, transaction = null) {
+    await record.update({ status: 'completed', response_status: status, response: body }, { transaction });
+  }
+  
+  async release(record) {
+    await record.destroy();
+  }
+  
+  async purgeExpired() {
+    return IdempotencyKey.destroy({
+      where: { created_at: { [Op.lt]: new Date(Date.now() - KEY_TTL) } }
+    });
+  }
+}
+
+module.exports = new IdempotencyService();
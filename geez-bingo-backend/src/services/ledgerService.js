@@ -0,0 +1,413 @@
+const { Op, fn, col } = require('sequelize');
+const { v4: uuidv4 } = require('uuid');
+const sequelize = require('../config/database');
+const {
+  User,
+  Jackpot,
+  Transaction,
+  LedgerAccount,
+  LedgerEntry,
+  LedgerPosting
+} = require('../models');
+
+// Double-entry ledger.
+//
+// Every money movement is an entry whose postings sum to zero: what leaves one
+// account arrives in another. Accounts are keyed by what they hold:
+//   user:<id>         a player's wallet; User.balance is a cache of it
+//   bonus_wallet:<id> a player's bonus money; User.bonus_balance is a cache of it
+//   game:<id>         a game's pot while it is played, emptied when it settles
+//   tournament:<id>   a tournament's buy-ins until they are paid out
+//   jackpot:<key>     a progressive jackpot; Jackpot.amount is a cache of it
+//   house:revenue     house fees; pays guaranteed prize top-ups and referral commissions
+//   bonus:promotions  bonuses, promotional credit and referral sign-up bonuses
+//   equity:opening    balances that existed before the ledger
+// Accounts are opened on first use. Wallets and jackpots open with the money
+// they already held, booked against equity:opening, so the books balance from
+// the first entry on; game and tournament accounts open empty.
+
+const HOUSE = 'house:revenue';
+const BONUS = 'bonus:promotions';
+const OPENING = 'equity:opening';
+
+// Entries on a player's wallets also show in their transaction history, one
+// transaction per player and entry with the bonus part noted in its metadata
+const PLAYER_ACCOUNTS = ['user', 'bonus_wallet'];
+const TRANSACTION_TYPES = {
+  card_purchase: 'bet',
+  tournament_buy_in: 'bet',
+  prize: 'win',
+  jackpot_prize: 'win',
+  tournament_prize: 'win',
+  refund: 'refund',
+  bonus: 'bonus',
+  referral: 'referral'
+};
+
+const toCents = (amount) => Math.round(parseFloat(amount) * 100);
+
+class LedgerService {
+  constructor() {
+    // Account key -> { id, type, owner_id } of accounts known to exist
+    this.accounts = new Map();
+  }
+  
+  userAccount(userId) {
+    return `user:${userId}`;
+  }
+  
+  bonusWalletAccount(userId) {
+    return `bonus_wallet:${userId}`;
+  }
+  
+  gameAccount(gameId) {
+    return `game:${gameId}`;
+  }
+  
+  tournamentAccount(tournamentId) {
+    return `tournament:${tournamentId}`;
+  }
+  
+  jackpotAccount(key) {
+    return `jackpot:${key}`;
+  }
+  
+  houseAccount() {
+    return HOUSE;
+  }
+  
+  bonusAccount() {
+    return BONUS;
+  }
+  
+  // Move `amount` from one account to another as a single entry. With
+  // requireFunds a player's wallets may not go below zero ('Insufficient balance').
+  async transfer({ type, from, to, amount, metadata = {}, requireFunds = false, transaction }) {
+    return this.post(type, [
+      { account: from, amount: -amount },
+      { account: to, amount }
+    ], { metadata, requireFunds, transaction });
+  }
+  
+  // Record an entry of postings ({ account: key, amount }, positive = money in)
+  // that must sum to zero. Runs in the given transaction or its own.
+  async post(type, postings, { metadata = {}, requireFunds = false, transaction } = {}) {
+    if (!transaction) {
+      return sequelize.transaction(t => this.post(type, postings, { metadata, requireFunds, transaction: t }));
+    }
+    
+    const lines = postings
+      .map(({ account, amount }) => ({ key: account, cents: toCents(amount) }))
+      .filter(line => line.cents !== 0);
+    
+    if (lines.reduce((sum, line) => sum + line.cents, 0) !== 0) {
+      throw new Error(`Unbalanced ledger entry: ${type}`);
+    }
+    if (lines.length === 0) return null;
+    
+    for (const line of lines) {
+      line.account = await this.getAccount(line.key, transaction);
+    }
+    
+    const entry = await LedgerEntry.create({ type, metadata }, { transaction });
+    
+    // Accounts are updated in id order so concurrent entries can't deadlock
+    const ordered = [...lines].sort((a, b) => (a.account.id < b.account.id ? -1 : 1));
+    
+    for (const { account, cents } of ordered) {
+      const amount = cents / 100;
+      const isPlayer = PLAYER_ACCOUNTS.includes(account.type);
+      const where = { id: account.id };
+      if (requireFunds && cents < 0 && isPlayer) {
+        where.balance = { [Op.gte]: -amount };
+      }
+      
+      const [updated, rows] = await LedgerAccount.update(
+        { balance: sequelize.literal(`balance + ${sequelize.escape(amount)}`) },
+        { where, returning: true, transaction }
+      );
+      if (updated === 0) {
+        throw new Error(isPlayer ? 'Insufficient balance' : `Ledger account ${account.key} not found`);
+      }
+      
+      await LedgerPosting.create({
+        entry_id: entry.id,
+        account_id: account.id,
+        amount,
+        balance_after: rows[0].balance
+      }, { transaction });
+      
+      await this.updateCache(account, amount, transaction);
+    }
+    
+    if (TRANSACTION_TYPES[type]) {
+      await this.recordTransactions(type, entry, lines, metadata, transaction);
+    }
+    
+    return entry;
+  }
+  
+  async recordTransactions(type, entry, lines, metadata, transaction) {
+    const players = new Map();
+    for (const { account, cents } of lines) {
+      if (!PLAYER_ACCOUNTS.includes(account.type)) continue;
+      const totals = players.get(account.owner_id) || { cents: 0, bonusCents: 0 };
+      totals.cents += cents;
+      if (account.type === 'bonus_wallet') totals.bonusCents += cents;
+      players.set(account.owner_id, totals);
+    }
+    
+    for (const [userId, { cents, bonusCents }] of players) {
+      if (cents === 0) continue;
+      
+      await Transaction.create({
+        user_id: userId,
+        type: TRANSACTION_TYPES[type],
+        amount: Math.abs(cents) / 100,
+        status: 'completed',
+        metadata: {
+          ...metadata,
+          ledger_entry_id: entry.id,
+          ...(bonusCents !== 0 && { bonus_amount: Math.abs(bonusCents) / 100 })
+        }
+      }, { transaction });
+    }
+  }
+  
+  // Keep the balances shown elsewhere in step with the ledger
+  async updateCache(account, amount, transaction) {
+    if (account.type === 'user') {
+      await User.update(
+        { balance: sequelize.literal(`balance + ${sequelize.escape(amount)}`) },
+        { where: { id: account.owner_id }, transaction }
+      );
+    } else if (account.type === 'bonus_wallet') {
+      await User.update(
+        { bonus_balance: sequelize.literal(`bonus_balance + ${sequelize.escape(amount)}`) },
+        { where: { id: account.owner_id }, transaction }
+      );
+    } else if (account.type === 'jackpot') {
+      await Jackpot.update(
+        { amount: sequelize.literal(`amount + ${sequelize.escape(amount)}`) },
+        { where: { key: account.key.slice('jackpot:'.length) }, transaction }
+      );
+    }
+  }
+  
+  // Find or open the account for a key. A newly opened account is only
+  // remembered once its transaction commits.
+  async getAccount(key, transaction) {
+    if (this.accounts.has(key)) {
+      return this.accounts.get(key);
+    }
+    
+    // Insert-or-nothing: an account opened concurrently is simply found below
+    const [type, ownerId] = key.split(':');
+    const id = uuidv4();
+    await LedgerAccount.bulkCreate([{
+      id,
+      key,
+      type,
+      owner_id: ['user', 'bonus_wallet', 'game', 'tournament'].includes(type) ? ownerId : null
+    }], { ignoreDuplicates: true, transaction });
+    
+    const account = await LedgerAccount.findOne({ where: { key }, transaction });
+    const known = { id: account.id, key, type: account.type, owner_id: account.owner_id };
+    
+    if (account.id === id) {
+      await this.openAccount(known, transaction);
+      transaction.afterCommit(() => this.accounts.set(key, known));
+    } else {
+      this.accounts.set(key, known);
+    }
+    
+    return known;
+  }
+  
+  // Book what a new account already held before the ledger existed
+  async openAccount(account, transaction) {
+    const cents = toCents(await this.getOpeningBalance(account, transaction));
+    if (cents === 0) return;
+    
+    const equity = await this.getAccount(OPENING, transaction);
+    const entry = await LedgerEntry.create({ type: 'opening_balance', metadata: { account: account.key } }, { transaction });
+    
+    for (const [target, amount] of [[account, cents / 100], [equity, -cents / 100]]) {
+      const [, rows] = await LedgerAccount.update(
+        { balance: sequelize.literal(`balance + ${sequelize.escape(amount)}`) },
+        { where: { id: target.id }, returning: true, transaction }
+      );
+      
+      await LedgerPosting.create({
+        entry_id: entry.id,
+        account_id: target.id,
+        amount,
+        balance_after: rows[0].balance
+      }, { transaction });
+    }
+  }
+  
+  async getOpeningBalance(account, transaction) {
+    switch (account.type) {
+      case 'user': {
+        const user = await User.findByPk(account.owner_id, { attributes: ['balance'], transaction });
+        return user ? user.balance : 0;
+      }
+      case 'bonus_wallet': {
+        const user = await User.findByPk(account.owner_id, { attributes: ['bonus_balance'], transaction });
+        return user ? user.bonus_balance : 0;
+      }
+      case 'jackpot': {
+        const [jackpot] = await Jackpot.findOrCreate({
+          where: { key: account.key.slice('jackpot:'.length) },
+          transaction
+        });
+        return jackpot.amount;
+      }
+      default:
+        return 0;
+    }
+  }
+  
+  // Whatever is left in a settled game or tournament goes to the house (or is
+  // covered by it when the house topped prizes up)
+  async closeAccount(key, metadata = {}) {
+    return sequelize.transaction(async (transaction) => {
+      const account = await LedgerAccount.findOne({
+        where: { key },
+        lock: transaction.LOCK.UPDATE,
+        transaction
+      });
+      if (!account || toCents(account.balance) === 0) return null;
+      
+      return this.transfer({
+        type: 'house_fee',
+        from: key,
+        to: HOUSE,
+        amount: parseFloat(account.balance),
+        metadata,
+        transaction
+      });
+    });
+  }
+  
+  // Postings on one account, newest first
+  async getStatement(key, { limit = 50, offset = 0 } = {}) {
+    // A player's wallets are opened on demand; other accounts must exist
+    let stored = await LedgerAccount.findOne({ where: { key } });
+    if (!stored && (key.startsWith('user:') || key.startsWith('bonus_wallet:'))) {
+      await sequelize.transaction(transaction => this.getAccount(key, transaction));
+      stored = await LedgerAccount.findOne({ where: { key } });
+    }
+    if (!stored) {
+      throw new Error('Account not found');
+    }
+    
+    const postings = await LedgerPosting.findAll({
+      where: { account_id: stored.id },
+      include: [{
+        model: LedgerEntry,
+        as: 'entry',
+        include: [{
+          model: LedgerPosting,
+          as: 'postings',
+          include: [{ model: LedgerAccount, as: 'account', attributes: ['key'] }]
+        }]
+      }],
+      order: [['created_at', 'DESC']],
+      limit: Math.min(parseInt(limit, 10) || 50, 200),
+      offset: parseInt(offset, 10) || 0
+    });
+    
+    return {
+      account: key,
+      type: stored.type,
+      balance: parseFloat(stored.balance),
+      postings: postings.map(posting => ({
+        entry_id: posting.entry_id,
+        type: posting.entry.type,
+        amount: parseFloat(posting.amount),
+        balance_after: parseFloat(posting.balance_after),
+        counterparties: posting.entry.postings
+          .filter(other => other.account_id !== stored.id)
+          .map(other => other.account.key),
+        metadata: posting.entry.metadata,
+        created_at: posting.created_at
+      }))
+    };
+  }
+  
+  // The books balance when every entry sums to zero, every account balance is
+  // the sum of its postings and the cached wallet and jackpot balances agree
+  async checkBooks() {
+    const entrySums = await LedgerPosting.findAll({
+      attributes: ['entry_id', [fn('SUM', col('amount')), 'total']],
+      group: ['entry_id'],
+      raw: true
+    });
+    const unbalancedEntries = entrySums
+      .filter(row => toCents(row.total) !== 0)
+      .map(row => ({ entry_id: row.entry_id, total: parseFloat(row.total) }));
+    
+    const accountSums = await LedgerPosting.findAll({
+      attributes: ['account_id', [fn('SUM', col('amount')), 'total']],
+      group: ['account_id'],
+      raw: true
+    });
+    const postedCents = new Map(accountSums.map(row => [row.account_id, toCents(row.total)]));
+    
+    const accounts = await LedgerAccount.findAll();
+    const accountMismatches = accounts
+      .filter(account => toCents(account.balance) !== (postedCents.get(account.id) || 0))
+      .map(account => ({
+        account: account.key,
+        balance: parseFloat(account.balance),
+        posted: (postedCents.get(account.id) || 0) / 100
+      }));
+    
+    const playerAccounts = accounts.filter(account => PLAYER_ACCOUNTS.includes(account.type));
+    const users = await User.findAll({
+      where: { id: [...new Set(playerAccounts.map(account => account.owner_id))] },
+      attributes: ['id', 'balance', 'bonus_balance']
+    });
+    const userBalances = new Map(users.map(user => [user.id, toCents(user.balance)]));
+    const bonusBalances = new Map(users.map(user => [user.id, toCents(user.bonus_balance)]));
+    const cachedBalance = (account) => {
+      if (account.type === 'user') return userBalances.get(account.owner_id);
+      if (account.type === 'bonus_wallet') return bonusBalances.get(account.owner_id);
+      return jackpotAmounts.get(account.key);
+    };
+    
+    const jackpots = await Jackpot.findAll({ attributes: ['key', 'amount'] });
+    const jackpotAmounts = new Map(jackpots.map(jackpot => [`jackpot:${jackpot.key}`, toCents(jackpot.amount)]));
+    
+    const cacheMismatches = accounts
+      .filter(account => [...PLAYER_ACCOUNTS, 'jackpot'].includes(account.type))
+      .map(account => ({
+        account: account.key,
+        balance: toCents(account.balance),
+        cached: cachedBalance(account)
+      }))
+      .filter(({ balance, cached }) => balance !== cached)
+      .map(({ account, balance, cached }) => ({
+        account,
+        balance: balance / 100,
+        cached: cached === undefined ? null : cached / 100
+      }));
+    
+    const totalCents = accounts.reduce((sum, account) => sum + toCents(account.balance), 0);
+    
+    return {
+      balanced: unbalancedEntries.length === 0 && accountMismatches.length === 0 &&
+        cacheMismatches.length === 0 && totalCents === 0,
+      entries: entrySums.length,
+      accounts: accounts.length,
+      total: totalCents / 100,
+      unbalancedEntries,
+      accountMismatches,
+      cacheMismatches
+    };
+  }
+}
+
+module.exports = new LedgerService();
@@ -0,0 +1,240 @@
+// Winning pattern registry.
+//
+// A card is a grid and a pattern is a list of bitmasks over its cells
+// (bit = row * cols + col); the pattern is complete when every bit of any one
+// of its masks is marked. Free cells and the blanks of 90-ball tickets count as
+// marked. Each variant has its own registry. Games list their allowed patterns
+// in `settings.patterns`, either by key or as a custom `{ key, label, mask }`
+// where mask is a rows x cols array of 0/1 or a string of 0/1 (25 characters
+// for 75-ball).
+
+const { getVariantGeometry } = require('./provablyFair');
+
+const SIZE = 5;
+const FULL_MASK = (1 << (SIZE * SIZE)) - 1;
+
+const DEFAULT_PATTERNS = ['line'];
+
+const bit = (row, col) => 1 << (row * SIZE + col);
+
+const cellsToMask = (cells) => cells.reduce((mask, [row, col]) => mask | bit(row, col), 0);
+
+const range = (n) => Array.from({ length: n }, (_, i) => i);
+
+const ROWS = range(SIZE).map(row => cellsToMask(range(SIZE).map(col => [row, col])));
+const COLUMNS = range(SIZE).map(col => cellsToMask(range(SIZE).map(row => [row, col])));
+const DIAGONALS = [
+  cellsToMask(range(SIZE).map(i => [i, i])),
+  cellsToMask(range(SIZE).map(i => [i, SIZE - 1 - i]))
+];
+const LINES = [...ROWS, ...COLUMNS, ...DIAGONALS];
+
+// Every combination of two distinct lines
+const TWO_LINES = LINES.reduce((masks, line, i) => {
+  LINES.slice(i + 1).forEach(other => masks.push(line | other));
+  return masks;
+}, []);
+
+const REGISTRY = {
+  line: {
+    label: 'Any Line',
+    masks: LINES
+  },
+  two_lines: {
+    label: 'Two Lines',
+    masks: TWO_LINES
+  },
+  four_corners: {
+    label: 'Four Corners',
+    masks: [cellsToMask([[0, 0], [0, 4], [4, 0], [4, 4]])]
+  },
+  postage_stamp: {
+    label: 'Postage Stamp',
+    masks: [
+      cellsToMask([[0, 0], [0, 1], [1, 0], [1, 1]]),
+      cellsToMask([[0, 3], [0, 4], [1, 3], [1, 4]]),
+      cellsToMask([[3, 0], [3, 1], [4, 0], [4, 1]]),
+      cellsToMask([[3, 3], [3, 4], [4, 3], [4, 4]])
+    ]
+  },
+  x: {
+    label: 'X',
+    masks: [DIAGONALS[0] | DIAGONALS[1]]
+  },
+  letter_l: {
+    label: 'Letter L',
+    masks: [COLUMNS[0] | ROWS[4]]
+  },
+  letter_t: {
+    label: 'Letter T',
+    masks: [ROWS[0] | COLUMNS[2]]
+  },
+  letter_h: {
+    label: 'Letter H',
+    masks: [COLUMNS[0] | COLUMNS[4] | ROWS[2]]
+  },
+  full_house: {
+    label: 'Full House',
+    masks: [FULL_MASK]
+  }
+};
+
+// 30-ball speed bingo: 3x3 cards, won on the full card
+const REGISTRY_30 = {
+  full_house: {
+    label: 'Full House',
+    masks: [(1 << 9) - 1]
+  }
+};
+
+// 90-ball: 3x9 tickets where a line is a whole row
+const TICKET_ROWS = range(3).map(row =>
+  range(9).reduce((mask, col) => mask | (1 << (row * 9 + col)), 0)
+);
+
+const REGISTRY_90 = {
+  one_line: {
+    label: 'One Line',
+    masks: TICKET_ROWS
+  },
+  two_lines: {
+    label: 'Two Lines',
+    masks: [
+      TICKET_ROWS[0] | TICKET_ROWS[1],
+      TICKET_ROWS[0] | TICKET_ROWS[2],
+      TICKET_ROWS[1] | TICKET_ROWS[2]
+    ]
+  },
+  full_house: {
+    label: 'Full House',
+    masks: [TICKET_ROWS[0] | TICKET_ROWS[1] | TICKET_ROWS[2]]
+  }
+};
+
+const REGISTRIES = {
+  75: REGISTRY,
+  90: REGISTRY_90,
+  30: REGISTRY_30
+};
+
+function getRegistry(variant = '75') {
+  getVariantGeometry(variant);
+  return REGISTRIES[variant];
+}
+
+function parseMask(mask, variant) {
+  const { rows, cols } = getVariantGeometry(variant);
+  const cells = typeof mask === 'string' ? mask.split('') : [].concat(...mask);
+  
+  if (cells.length !== rows * cols) {
+    throw new Error(`Pattern mask must have ${rows * cols} cells`);
+  }
+  
+  const value = cells.reduce((acc, cell, index) => (Number(cell) ? acc | (1 << index) : acc), 0);
+  if (value === 0) {
+    throw new Error('Pattern mask must mark at least one cell');
+  }
+  
+  return value;
+}
+
+// Turn `settings.patterns` into [{ key, label, masks }]
+function resolvePatterns(patterns = DEFAULT_PATTERNS, variant = '75') {
+  const registry = getRegistry(variant);
+  
+  return patterns.map(pattern => {
+    if (typeof pattern === 'string') {
+      if (!registry[pattern]) {
+        throw new Error(`Unknown winning pattern: ${pattern}`);
+      }
+      return { key: pattern, ...registry[pattern] };
+    }
+    
+    const masks = (pattern.masks || [pattern.mask]).map(mask => parseMask(mask, variant));
+    return {
+      key: pattern.key || 'custom',
+      label: pattern.label || 'Custom Pattern',
+      masks
+    };
+  });
+}
+
+const isAlwaysMarked = (cell) => cell.free || cell.blank;
+
+// Bitmask of the marked cells on a card; calledSet holds the called numbers
+function markedMask(cardNumbers, calledSet) {
+  const cols = cardNumbers[0].length;
+  let mask = 0;
+  
+  cardNumbers.forEach((row, rowIndex) => {
+    row.forEach((cell, colIndex) => {
+      if (isAlwaysMarked(cell) || calledSet.has(cell.number)) {
+        mask |= 1 << (rowIndex * cols + colIndex);
+      }
+    });
+  });
+  
+  return mask;
+}
+
+// First resolved pattern fully covered by the marked cells, or null
+function findWinningPattern(mask, resolvedPatterns) {
+  return resolvedPatterns.find(pattern =>
+    pattern.masks.some(patternMask => (mask & patternMask) === patternMask)
+  ) || null;
+}
+
+// Index of the call that first completed one of the patterns on the card, or null
+function findCompletingCall(cardNumbers, calledNumbers, resolvedPatterns) {
+  const cols = cardNumbers[0].length;
+  const cellBits = new Map();
+  let mask = 0;
+  
+  cardNumbers.forEach((row, rowIndex) => {
+    row.forEach((cell, colIndex) => {
+      if (isAlwaysMarked(cell)) {
+        mask |= 1 << (rowIndex * cols + colIndex);
+      } else {
+        cellBits.set(cell.number, 1 << (rowIndex * cols + colIndex));
+      }
+    });
+  });
+  
+  for (let index = 0; index < calledNumbers.length; index++) {
+    const called = cellBits.get(calledNumbers[index].number);
+    if (!called) continue;
+    
+    mask |= called;
+    const pattern = findWinningPattern(mask, resolvedPatterns);
+    if (pattern) {
+      return { index, pattern };
+    }
+  }
+  
+  return null;
+}
+
+const maskToGrid = (mask, { rows, cols }) =>
+  range(rows).map(row => range(cols).map(col => ((mask & (1 << (row * cols + col))) ? 1 : 0)));
+
+// Pattern details for clients that render them
+function describePatterns(patterns = DEFAULT_PATTERNS, variant = '75') {
+  const geometry = getVariantGeometry(variant);
+  
+  return resolvePatterns(patterns, variant).map(({ key, label, masks }) => ({
+    key,
+    label,
+    grids: masks.map(mask => maskToGrid(mask, geometry))
+  }));
+}
+
+module.exports = {
+  DEFAULT_PATTERNS,
+  REGISTRY,
+  getRegistry,
+  resolvePatterns,
+  markedMask,
+  findWinningPattern,
+  findCompletingCall,
+  describePatterns
+};
@@ -0,0 +1,321 @@
+const crypto = require('crypto');
+
+// Provably fair card generation and draw order.
+//
+// Every game commits to a secret server seed by publishing its SHA-256 hash
+// when the game is created, together with a public client seed. Cards are
+// derived from HMAC-SHA256(serverSeed, clientSeed:label). The draw order also
+// mixes in a player seed: the hash of the seeds buyers send with their cards,
+// fixed when the game starts, after the commitment was published. The server
+// cannot choose it, so it cannot pick the draw either. Once the server seed is
+// revealed at the end of the game anyone can recompute both. This module only depends on Node's crypto so players and
+// auditors can run it on its own (see scripts/verifyGame.js).
+
+const FAIRNESS_VERSION = 2;
+
+const COLUMNS = [
+  { letter: 'B', min: 1, max: 15 },
+  { letter: 'I', min: 16, max: 30 },
+  { letter: 'N', min: 31, max: 45 },
+  { letter: 'G', min: 46, max: 60 },
+  { letter: 'O', min: 61, max: 75 }
+];
+
+const TOTAL_CARDS = 400;
+
+// Card geometry and ball count of each game variant (settings.variant)
+const VARIANTS = {
+  75: { balls: 75, rows: 5, cols: 5, totalCards: TOTAL_CARDS },
+  // 3x9 tickets sold in strips of six that hold every number 1-90 once
+  90: { balls: 90, rows: 3, cols: 9, totalCards: 600, stripSize: 6 },
+  // Speed bingo: 3x3 cards, columns 1-10, 11-20 and 21-30, no free cell
+  30: { balls: 30, rows: 3, cols: 3, totalCards: 200 }
+};
+
+function getVariantGeometry(variant = '75') {
+  if (!VARIANTS[variant]) {
+    throw new Error(`Unknown game variant: ${variant}`);
+  }
+  return VARIANTS[variant];
+}
+
+function generateServerSeed() {
+  return crypto.randomBytes(32).toString('hex');
+}
+
+function generateClientSeed() {
+  return crypto.randomBytes(16).toString('hex');
+}
+
+function hashSeed(serverSeed) {
+  return crypto.createHash('sha256').update(serverSeed).digest('hex');
+}
+
+// Player seed of a game from its sold cards ({ card_number, client_seed }),
+// in card order so it does not depend on when each card was bought
+function derivePlayerSeed(purchases) {
+  const lines = purchases
+    .slice()
+    .sort((a, b) => a.card_number - b.card_number)
+    .map(purchase => `${purchase.card_number}:${purchase.client_seed || ''}`);
+  
+  return crypto.createHash('sha256').update(lines.join('\n')).digest('hex');
+}
+
+// Deterministic stream of floats in [0, 1) for a single purpose (a card, the draw)
+function createRandom(serverSeed, clientSeed, label) {
+  let counter = 0;
+  let buffer = Buffer.alloc(0);
+  let offset = 0;
+  
+  return () => {
+    if (offset + 4 > buffer.length) {
+      buffer = crypto
+        .createHmac('sha256', serverSeed)
+        .update(`${clientSeed}:${label}:${counter++}`)
+        .digest();
+      offset = 0;
+    }
+    
+    const value = buffer.readUInt32BE(offset);
+    offset += 4;
+    return value / 0x100000000;
+  };
+}
+
+// Fisher-Yates shuffle driven by a seeded random stream
+function shuffle(items, random) {
+  const result = items.slice();
+  
+  for (let i = result.length - 1; i > 0; i--) {
+    const j = Math.floor(random() * (i + 1));
+    [result[i], result[j]] = [result[j], result[i]];
+  }
+  
+  return result;
+}
+
+function generateCard(serverSeed, clientSeed, cardNumber, variant = '75') {
+  getVariantGeometry(variant);
+  
+  if (String(variant) === '90') {
+    const { stripSize } = VARIANTS[90];
+    const strip = generateStrip(serverSeed, clientSeed, Math.ceil(cardNumber / stripSize));
+    return strip[(cardNumber - 1) % stripSize];
+  }
+  
+  if (String(variant) === '30') {
+    return generateSpeedCard(serverSeed, clientSeed, cardNumber);
+  }
+  
+  return generateBingoCard(serverSeed, clientSeed, cardNumber);
+}
+
+// Fixed cartelas: card N is derived from a public cartela seed instead of the
+// game seeds, so it has the same grid in every game and players can keep
+// "their" numbers. The draw order still comes from the committed game seeds.
+function generateCartela(cartelaSeed, cardNumber, variant = '75') {
+  return generateCard(cartelaSeed, 'cartela', cardNumber, variant);
+}
+
+function generateBingoCard(serverSeed, clientSeed, cardNumber) {
+  const random = createRandom(serverSeed, clientSeed, `card:${cardNumber}`);
+  const numbers = [];
+  
+  COLUMNS.forEach(({ letter, min, max }, colIndex) => {
+    const columnNumbers = [];
+    for (let num = min; num <= max; num++) {
+      columnNumbers.push(num);
+    }
+    
+    // Take the first 5 of the shuffled column and distribute across rows
+    shuffle(columnNumbers, random).slice(0, 5).forEach((number, rowIndex) => {
+      if (!numbers[rowIndex]) numbers[rowIndex] = [];
+      numbers[rowIndex][colIndex] = {
+        letter,
+        number,
+        called: false,
+        row: rowIndex,
+        col: colIndex
+      };
+    });
+  });
+  
+  // Mark center as free
+  numbers[2][2].called = true;
+  numbers[2][2].free = true;
+  
+  return numbers;
+}
+
+function generateSpeedCard(serverSeed, clientSeed, cardNumber) {
+  const random = createRandom(serverSeed, clientSeed, `card:${cardNumber}`);
+  const { rows, cols, balls } = VARIANTS[30];
+  const perColumn = balls / cols;
+  const numbers = Array.from({ length: rows }, () => []);
+  
+  for (let col = 0; col < cols; col++) {
+    const columnNumbers = Array.from({ length: perColumn }, (_, i) => col * perColumn + i + 1);
+    
+    shuffle(columnNumbers, random).slice(0, rows).forEach((number, row) => {
+      numbers[row][col] = { number, called: false, row, col };
+    });
+  }
+  
+  return numbers;
+}
+
+// 90-ball columns hold 1-9, 10-19, ..., 80-90
+const column90 = (number) => Math.min(Math.floor(number / 10), 8);
+
+// How many numbers each of the six tickets gets from each column: 1 to 3 per
+// column and 15 per ticket. Returns null on a dead end so the caller can redraw.
+function distributeStripCounts(columnSizes, random) {
+  const tickets = VARIANTS[90].stripSize;
+  const counts = Array.from({ length: tickets }, () => new Array(columnSizes.length).fill(1));
+  const totals = new Array(tickets).fill(columnSizes.length);
+  
+  // Fullest columns first leaves the most freedom for the rest
+  const order = columnSizes
+    .map((size, col) => col)
+    .sort((a, b) => columnSizes[b] - columnSizes[a]);
+  
+  for (const col of order) {
+    for (let extra = columnSizes[col] - tickets; extra > 0; extra--) {
+      const open = counts
+        .map((ticketCounts, ticket) => ticket)
+        .filter(ticket => totals[ticket] < 15 && counts[ticket][col] < 3);
+      
+      if (open.length === 0) return null;
+      
+      const ticket = open[Math.floor(random() * open.length)];
+      counts[ticket][col]++;
+      totals[ticket]++;
+    }
+  }
+  
+  return counts;
+}
+
+// Place a ticket's numbers on 3 rows of 5. Columns with more numbers go first
+// and always into the emptiest rows, which keeps the rows within one of each
+// other and so ends at exactly 5 each. Numbers run top to bottom in a column.
+function layoutTicket(ticketColumns, random) {
+  const { rows, cols } = VARIANTS[90];
+  const grid = Array.from({ length: rows }, (_, row) =>
+    Array.from({ length: cols }, (_, col) => ({ number: null, blank: true, called: false, row, col }))
+  );
+  const rowFill = new Array(rows).fill(0);
+  
+  const order = shuffle([...Array(cols).keys()], random)
+    .sort((a, b) => ticketColumns[b].length - ticketColumns[a].length);
+  
+  order.forEach(col => {
+    const numbers = ticketColumns[col];
+    const targetRows = shuffle([...Array(rows).keys()], random)
+      .sort((a, b) => rowFill[a] - rowFill[b])
+      .slice(0, numbers.length)
+      .sort((a, b) => a - b);
+    
+    targetRows.forEach((row, i) => {
+      grid[row][col] = { number: numbers[i], called: false, row, col };
+      rowFill[row]++;
+    });
+  });
+  
+  return grid;
+}
+
+function generateStrip(serverSeed, clientSeed, stripNumber) {
+  const random = createRandom(serverSeed, clientSeed, `strip:${stripNumber}`);
+  const columns = Array.from({ length: VARIANTS[90].cols }, () => []);
+  for (let num = 1; num <= VARIANTS[90].balls; num++) {
+    columns[column90(num)].push(num);
+  }
+  
+  let counts = null;
+  while (!counts) {
+    counts = distributeStripCounts(columns.map(column => column.length), random);
+  }
+  
+  // Deal each shuffled column out to the tickets
+  const dealt = columns.map(column => shuffle(column, random));
+  
+  return counts.map(ticketCounts => {
+    const ticketColumns = ticketCounts.map((count, col) =>
+      dealt[col].splice(0, count).sort((a, b) => a - b)
+    );
+    return layoutTicket(ticketColumns, random);
+  });
+}
+
+// Games from before FAIRNESS_VERSION 2 have no player seed
+function generateDrawOrder(serverSeed, clientSeed, variant = '75', playerSeed = null) {
+  const allNumbers = [];
+  
+  if (String(variant) === '75') {
+    COLUMNS.forEach(({ letter, min, max }) => {
+      for (let num = min; num <= max; num++) {
+        allNumbers.push({ letter, number: num });
+      }
+    });
+  } else {
+    for (let num = 1; num <= getVariantGeometry(variant).balls; num++) {
+      allNumbers.push({ number: num });
+    }
+  }
+  
+  const drawSeed = playerSeed ? `${clientSeed}:${playerSeed}` : clientSeed;
+  return shuffle(allNumbers, createRandom(serverSeed, drawSeed, 'draw'));
+}
+
+// Recompute a finished game and compare it with what was published.
+// `calledNumbers` and `cards` ({ card_number, numbers }) are optional;
+// `cartelaSeed` is set on fixed-cartela games. `purchases` ({ card_number,
+// client_seed }) recompute the published `playerSeed`.
+function verifyGame({ serverSeed, serverSeedHash, clientSeed, playerSeed, purchases, variant = '75', cartelaSeed, calledNumbers = [], cards = [] }) {
+  const derivedPlayerSeed = purchases ? derivePlayerSeed(purchases) : playerSeed;
+  const drawOrder = generateDrawOrder(serverSeed, clientSeed, variant, derivedPlayerSeed);
+  
+  const drawMatches = calledNumbers.every((called, index) =>
+    drawOrder[index].number === called.number
+  );
+  
+  const mismatchedCards = cards
+    .filter(card => {
+      const expected = cartelaSeed
+        ? generateCartela(cartelaSeed, card.card_number, variant)
+        : generateCard(serverSeed, clientSeed, card.card_number, variant);
+      return expected.some((row, rowIndex) =>
+        row.some((cell, colIndex) => cell.number !== card.numbers[rowIndex][colIndex].number)
+      );
+    })
+    .map(card => card.card_number);
+  
+  return {
+    hashMatches: serverSeedHash ? hashSeed(serverSeed) === serverSeedHash : null,
+    playerSeedMatches: purchases && playerSeed ? derivedPlayerSeed === playerSeed : null,
+    drawMatches,
+    cardsMatch: mismatchedCards.length === 0,
+    mismatchedCards,
+    drawOrder
+  };
+}
+
+module.exports = {
+  FAIRNESS_VERSION,
+  TOTAL_CARDS,
+  VARIANTS,
+  getVariantGeometry,
+  generateServerSeed,
+  generateClientSeed,
+  hashSeed,
+  derivePlayerSeed,
+  createRandom,
+  shuffle,
+  generateCard,
+  generateCartela,
+  generateStrip,
+  generateDrawOrder,
+  verifyGame
+};
@@ -0,0 +1,264 @@
+const crypto = require('crypto');
+const { Op } = require('sequelize');
+const sequelize = require('../config/database');
+const { User, Card, Transaction, LedgerAccount, LedgerEntry, LedgerPosting } = require('../models');
+const ledgerService = require('./ledgerService');
+
+// Referral programme.
+//
+// A player who signs up with someone's referral code is their referee. The
+// referrer earns REFERRAL_SIGNUP_BONUS once the referee makes a first deposit,
+// and for REFERRAL_COMMISSION_DAYS after the referee signed up a
+// REFERRAL_COMMISSION_SHARE of the house fee on the referee's cards in every
+// finished game. Rewards are paid to the referrer's cash wallet as referral
+// transactions: sign-up bonuses from promotions, commissions from house revenue.
+
+const SIGNUP_BONUS = parseFloat(process.env.REFERRAL_SIGNUP_BONUS || 20);
+const COMMISSION_SHARE = parseFloat(process.env.REFERRAL_COMMISSION_SHARE || 0.1);
+const COMMISSION_DAYS = parseFloat(process.env.REFERRAL_COMMISSION_DAYS || 90);
+
+// Like invite codes: no look-alike characters (0/O, 1/I/L)
+const REFERRAL_CODE_ALPHABET = 'ABCDEFGHJKMNPQRSTUVWXYZ23456789';
+const REFERRAL_CODE_LENGTH = 8;
+
+const DAY = 24 * 60 * 60 * 1000;
+const toCents = (amount) => Math.round(parseFloat(amount) * 100);
+
+class ReferralService {
+  listen(engine) {
+    engine.on('winnerDeclared', ({ gameId }) => this.payCommissions(gameId));
+    engine.on('gameEnded', ({ gameId, reason }) => {
+      if (reason !== 'voided') this.payCommissions(gameId);
+    });
+  }
+  
+  // Link a new player to the owner of a referral code; players can't refer
+  // themselves and are only ever referred once
+  async applyReferralCode(userId, code) {
+    if (!code) return false;
+    
+    const referrer = await User.findOne({
+      where: { referral_code: String(code) },
+      attributes: ['id']
+    });
+    if (!referrer || referrer.id === userId) return false;
+    
+    const [updated] = await User.update(
+      { referred_by: referrer.id },
+      { where: { id: userId, referred_by: null } }
+    );
+    
+    if (updated > 0) {
+      console.log(`👥 Referral: user ${userId} referred by ${referrer.id}`);
+    }
+    return updated > 0;
+  }
+  
+  async getReferralCode(userId) {
+    const user = await User.findByPk(userId, { attributes: ['id', 'referral_code'] });
+    if (!user) {
+      throw new Error('User not found');
+    }
+    if (user.referral_code) return user.referral_code;
+    
+    for (;;) {
+      const code = Array.from(crypto.randomBytes(REFERRAL_CODE_LENGTH))
+        .map(byte => REFERRAL_CODE_ALPHABET[byte % REFERRAL_CODE_ALPHABET.length])
+        .join('');
+      
+      try {
+        const [updated] = await User.update(
+          { referral_code: code },
+          { where: { id: userId, referral_code: null } }
+        );
+        if (updated > 0) return code;
+        
+        // Someone gave the player a code meanwhile
+        return (await User.findByPk(userId, { attributes: ['referral_code'] })).referral_code;
+      } catch (error) {
+        if (error.name !== 'SequelizeUniqueConstraintError') throw error;
+      }
+    }
+  }
+  
+  getReferralLink(code) {
+    return `https://t.me/${process.env.TELEGRAM_BOT_USERNAME}?start=${code}`;
+  }
+  
+  // Pay the referrer's sign-up bonus for a referee's first deposit. The deposit
+  // flow can call this straight away; rewardDeposits catches up on the rest.
+  async rewardFirstDeposit(refereeId) {
+    if (!(SIGNUP_BONUS > 0)) return null;
+    
+    const referrerId = await sequelize.transaction(async (transaction) => {
+      const referee = await User.findByPk(refereeId, {
+        attributes: ['id', 'referred_by'],
+        transaction
+      });
+      if (!referee || !referee.referred_by) return null;
+      
+      // Marking the referee first means the bonus is paid at most once
+      const [updated] = await User.update(
+        { referral_rewarded_at: new Date() },
+        { where: { id: refereeId, referral_rewarded_at: null }, transaction }
+      );
+      if (updated === 0) return null;
+      
+      await ledgerService.transfer({
+        type: 'referral',
+        from: ledgerService.bonusAccount(),
+        to: ledgerService.userAccount(referee.referred_by),
+        amount: SIGNUP_BONUS,
+        metadata: { referee_id: refereeId, reward: 'signup' },
+        transaction
+      });
+      
+      return referee.referred_by;
+    });
+    
+    if (referrerId) {
+      console.log(`👥 Referral Bonus: $${SIGNUP_BONUS} to ${referrerId} for ${refereeId}'s first deposit`);
+    }
+    return referrerId;
+  }
+  
+  // Referees with a completed deposit whose referrer hasn't been paid yet
+  async rewardDeposits() {
+    if (!(SIGNUP_BONUS > 0)) return;
+    
+    const referees = await User.findAll({
+      where: { referred_by: { [Op.ne]: null }, referral_rewarded_at: null },
+      attributes: ['id']
+    });
+    if (referees.length === 0) return;
+    
+    const deposits = await Transaction.findAll({
+      where: { user_id: referees.map(referee => referee.id), type: 'deposit', status: 'completed' },
+      attributes: ['user_id']
+    });
+    
+    for (const userId of new Set(deposits.map(deposit => deposit.user_id))) {
+      await this.rewardFirstDeposit(userId);
+    }
+  }
+  
+  // What the house kept from a game: its fee less any prize top-up it paid
+  async getHouseTake(gameId) {
+    const account = await LedgerAccount.findOne({ where: { key: ledgerService.gameAccount(gameId) } });
+    if (!account) return 0;
+    
+    const postings = await LedgerPosting.findAll({
+      where: { account_id: account.id },
+      include: [{
+        model: LedgerEntry,
+        as: 'entry',
+        where: { type: ['house_fee', 'guarantee_top_up'] },
+        attributes: ['type']
+      }],
+      attributes: ['amount']
+    });
+    
+    return -postings.reduce((sum, posting) => sum + toCents(posting.amount), 0) / 100;
+  }
+  
+  // Commission on a finished game: each referee's cards' share of the house take
+  async payCommissions(gameId) {
+    try {
+      if (!(COMMISSION_SHARE > 0)) return;
+      
+      const cards = await Card.findAll({
+        where: { game_id: gameId, user_id: { [Op.ne]: null } },
+        attributes: ['user_id']
+      });
+      if (cards.length === 0) return;
+      
+      const referees = await User.findAll({
+        where: {
+          id: [...new Set(cards.map(card => card.user_id))],
+          referred_by: { [Op.ne]: null },
+          created_at: { [Op.gte]: new Date(Date.now() - COMMISSION_DAYS * DAY) }
+        },
+        attributes: ['id', 'referred_by']
+      });
+      if (referees.length === 0) return;
+      
+      const houseTake = await this.getHouseTake(gameId);
+      if (houseTake <= 0) return;
+      
+      for (const referee of referees) {
+        const refereeCards = cards.filter(card => card.user_id === referee.id).length;
+        const commission = Math.floor(houseTake * (refereeCards / cards.length) * COMMISSION_SHARE * 100) / 100;
+        if (commission <= 0) continue;
+        
+        await ledgerService.transfer({
+          type: 'referral',
+          from: ledgerService.houseAccount(),
+          to: ledgerService.userAccount(referee.referred_by),
+          amount: commission,
+          metadata: { referee_id: referee.id, reward: 'commission', game_id: gameId }
+        });
+        
+        console.log(`👥 Referral Commission: $${commission} to ${referee.referred_by} from game ${gameId}`);
+      }
+    } catch (error) {
+      console.error('Error paying referral commissions:', error);
+    }
+  }
+  
+  // Dashboard: the player's code, what they earned and how each referee is doing
+  async getSummary(userId) {
+    const code = await this.getReferralCode(userId);
+    
+    const referees = await User.findAll({
+      where: { referred_by: userId },
+      attributes: ['id', 'username', 'games_played', 'referral_rewarded_at', 'created_at'],
+      order: [['created_at', 'DESC']]
+    });
+    
+    const rewards = await Transaction.findAll({
+      where: { user_id: userId, type: 'referral', status: 'completed' },
+      attributes: ['amount', 'metadata']
+    });
+    
+    const earnings = { total: 0, signup: 0, commission: 0 };
+    const earnedFrom = new Map();
+    rewards.forEach(({ amount, metadata }) => {
+      const cents = toCents(amount);
+      earnings.total += cents;
+      earnings[metadata.reward === 'signup' ? 'signup' : 'commission'] += cents;
+      earnedFrom.set(metadata.referee_id, (earnedFrom.get(metadata.referee_id) || 0) + cents);
+    });
+    
+    return {
+      referral_code: code,
+      referral_link: this.getReferralLink(code),
+      rewards: {
+        signup_bonus: SIGNUP_BONUS,
+        commission_share: COMMISSION_SHARE,
+        commission_days: COMMISSION_DAYS
+      },
+      count: referees.length,
+      rewarded: referees.filter(referee => referee.referral_rewarded_at).length,
+      earnings: {
+        total: earnings.total / 100,
+        signup: earnings.signup / 100,
+        commission: earnings.commission / 100
+      },
+      referees: referees.map(referee => {
+        const commissionUntil = new Date(new Date(referee.created_at).getTime() + COMMISSION_DAYS * DAY);
+        
+        return {
+          username: referee.username,
+          joined_at: referee.created_at,
+          signup_bonus_paid: Boolean(referee.referral_rewarded_at),
+          games_played: referee.games_played,
+          earned: (earnedFrom.get(referee.id) || 0) / 100,
+          commission_until: commissionUntil,
+          commission_active: commissionUntil > new Date()
+        };
+      })
+    };
+  }
+}
+
+module.exports = new ReferralService();
@@ -0,0 +1,252 @@
+const { Op } = require('sequelize');
+const { User, Room, Game, CardSubscription } = require('../models');
+const telegramService = require('./telegramService');
+
+// Card subscriptions.
+//
+// A subscription buys the same number of cards in every new room game for a
+// number of games or until a spend cap, optionally only in one room or at one
+// bet amount. Special and private games are left out. The instance that
+// creates a game fills the subscriptions for it, one after another, through the
+// normal card purchase so balances, pots and transactions stay consistent.
+// A subscription without a room plays one game at a time: it joins the next
+// game opened in any room once its last game is over, rather than every room's
+// game of the same round.
+
+class SubscriptionService {
+  listen(engine) {
+    this.engine = engine;
+    
+    engine.on('gameCreated', (game) => {
+      if (!game.name && !game.invite_code) this.fulfilSubscriptions(game);
+    });
+  }
+  
+  async createSubscription(userId, { cardsPerGame, games, spendCap, roomId, betAmount }) {
+    const cards = parseInt(cardsPerGame, 10);
+    if (!(cards >= 1)) {
+      throw new Error('Subscriptions need at least one card per game');
+    }
+    
+    const gameCount = games !== undefined && games !== null && games !== '' ? parseInt(games, 10) : null;
+    const cap = spendCap !== undefined && spendCap !== null && spendCap !== '' ? parseFloat(spendCap) : null;
+    if (gameCount === null && cap === null) {
+      throw new Error('Set a number of games or a spend cap');
+    }
+    
+    if ((gameCount !== null && !(gameCount >= 1)) || (cap !== null && !(cap > 0))) {
+      throw new Error('Invalid number of games or spend cap');
+    }
+    
+    const bet = betAmount !== undefined && betAmount !== null && betAmount !== '' ? parseFloat(betAmount) : null;
+    if (bet !== null && !(bet > 0)) {
+      throw new Error('Invalid bet amount');
+    }
+    
+    if (roomId) {
+      const room = await Room.findByPk(roomId);
+      if (!room) {
+        throw new Error('Room not found');
+      }
+      
+      if (cards > room.max_cards_per_player) {
+        throw new Error(`Players can hold at most ${room.max_cards_per_player} cards in ${room.name}`);
+      }
+    }
+    
+    const subscription = await CardSubscription.create({
+      user_id: userId,
+      cards_per_game: cards,
+      games_remaining: gameCount,
+      spend_cap: cap,
+      room_id: roomId || null,
+      bet_amount: bet
+    });
+    
+    console.log(`🔁 Subscription Created: ${subscription.id}, ${cards} cards per game for user ${userId}`);
+    return this.formatSubscription(subscription);
+  }
+  
+  async listSubscriptions(userId) {
+    const subscriptions = await CardSubscription.findAll({
+      where: { user_id: userId },
+      include: [{ model: Room, as: 'room', attributes: ['name'] }],
+      order: [['created_at', 'DESC']]
+    });
+    
+    return subscriptions.map(subscription => this.formatSubscription(subscription));
+  }
+  
+  formatSubscription(subscription) {
+    return {
+      id: subscription.id,
+      status: subscription.status,
+      cards_per_game: subscription.cards_per_game,
+      games_remaining: subscription.games_remaining,
+      games_played: subscription.games_played,
+      spend_cap: subscription.spend_cap !== null ? parseFloat(subscription.spend_cap) : null,
+      total_spent: parseFloat(subscription.total_spent),
+      room_id: subscription.room_id,
+      room_name: subscription.room ? subscription.room.name : null,
+      bet_amount: subscription.bet_amount !== null ? parseFloat(subscription.bet_amount) : null,
+      created_at: subscription.created_at
+    };
+  }
+  
+  async cancelSubscription(subscriptionId, userId) {
+    const [updated] = await CardSubscription.update(
+      { status: 'cancelled' },
+      { where: { id: subscriptionId, user_id: userId, status: 'active' } }
+    );
+    if (updated === 0) {
+      throw new Error('No active subscription found');
+    }
+    
+    console.log(`🛑 Subscription Cancelled: ${subscriptionId}`);
+  }
+  
+  async fulfilSubscriptions(game) {
+    try {
+      const subscriptions = await CardSubscription.findAll({
+        where: {
+          status: 'active',
+          [Op.and]: [
+            { [Op.or]: [{ room_id: null }, { room_id: game.room_id }] },
+            { [Op.or]: [{ bet_amount: null }, { bet_amount: game.settings.bet_amount }] }
+          ]
+        },
+        order: [['created_at', 'ASC']]
+      });
+      
+      for (const subscription of subscriptions) {
+        await this.fulfil(subscription, game);
+      }
+    } catch (error) {
+      console.error('Error fulfilling card subscriptions:', error);
+    }
+  }
+  
+  async fulfil(subscription, game) {
+    if (subscription.room_id === null && !(await this.claimGame(subscription, game))) return;
+    
+    const bet = game.settings.bet_amount;
+    let count = Math.min(subscription.cards_per_game, game.settings.max_cards_per_player);
+    
+    const user = await User.findByPk(subscription.user_id, { attributes: ['id', 'balance', 'bonus_balance', 'telegram_id'] });
+    
+    // Whatever is left under the cap buys fewer cards; none at all ends the subscription
+    if (subscription.spend_cap !== null) {
+      const left = parseFloat(subscription.spend_cap) - parseFloat(subscription.total_spent);
+      count = Math.min(count, Math.floor(Math.round(left * 100) / Math.round(bet * 100)));
+      
+      if (count < 1) {
+        await this.complete(subscription, user);
+        return;
+      }
+    }
+    
+    // Cards can be paid with cash and bonus money alike
+    if (parseFloat(user.balance) + parseFloat(user.bonus_balance) < count * bet) {
+      await this.skip(subscription, user, game, count * bet);
+      return;
+    }
+    
+    const bought = await this.buyCards(game, subscription.user_id, count);
+    if (bought.length === 0) return;
+    
+    const where = { id: subscription.id };
+    await CardSubscription.increment('total_spent', {
+      by: bought.length * bet,
+      where
+    });
+    
+    await CardSubscription.increment('games_played', {
+      by: 1,
+      where
+    });
+    
+    if (subscription.games_remaining !== null) {
+      await CardSubscription.decrement('games_remaining', {
+        by: 1,
+        where
+      });
+    }
+    
+    await CardSubscription.update(
+      { consecutive_skips: 0, last_game_id: game.id },
+      { where }
+    );
+    await subscription.reload();
+    
+    console.log(`🔁 Subscription ${subscription.id}: bought cards ${bought.join(', ')} in game ${game.id}`);
+    
+    const capReached = subscription.spend_cap !== null &&
+      parseFloat(subscription.total_spent) + bet > parseFloat(subscription.spend_cap);
+    if (subscription.games_remaining === 0 || capReached) {
+      await this.complete(subscription, user);
+    }
+  }
+  
+  // Take the game for a subscription without a room unless its last game is
+  // still waiting or running. The swap of last_game_id only succeeds for one of
+  // several instances opening games in different rooms at once.
+  async claimGame(subscription, game) {
+    if (subscription.last_game_id) {
+      const last = await Game.findByPk(subscription.last_game_id, { attributes: ['status'] });
+      if (last && ['waiting', 'active'].includes(last.status)) return false;
+    }
+    
+    const [claimed] = await CardSubscription.update(
+      { last_game_id: game.id },
+      { where: { id: subscription.id, status: 'active', last_game_id: subscription.last_game_id } }
+    );
+    return claimed > 0;
+  }
+  
+  // The player's favourite cartelas first (see GameEngine#pickCardNumber); a card
+  // sold to someone else in the meantime is picked again
+  async buyCards(game, userId, count) {
+    const bought = [];
+    
+    for (let attempt = 0; bought.length < count && attempt < count * 3; attempt++) {
+      try {
+        const card = await this.engine.purchaseCard(game.id, userId);
+        bought.push(card.card_number);
+      } catch (error) {
+        if (error.message !== 'Card not available') break;
+      }
+    }
+    
+    return bought;
+  }
+  
+  // Games are skipped while the balance is short; the player hears about it once
+  async skip(subscription, user, game, needed) {
+    await CardSubscription.increment('consecutive_skips', {
+      by: 1,
+      where: { id: subscription.id }
+    });
+    
+    console.log(`⏭️ Subscription ${subscription.id} skipped game ${game.id} - insufficient balance`);
+    
+    if (subscription.consecutive_skips === 0 && user.telegram_id) {
+      await telegramService.sendSubscriptionSkipped(user.telegram_id, subscription, needed);
+    }
+  }
+  
+  async complete(subscription, user) {
+    const [updated] = await CardSubscription.update(
+      { status: 'completed' },
+      { where: { id: subscription.id, status: 'active' } }
+    );
+    if (updated === 0) return;
+    
+    console.log(`✅ Subscription Completed: ${subscription.id}`);
+    
+    if (user.telegram_id) {
+      await telegramService.sendSubscriptionCompleted(user.telegram_id, subscription);
+    }
+  }
+}
+
+module.exports = new SubscriptionService();
@@ -127,6 +127,72 @@ class TelegramService {
         }
     }
     
+    // Reminders go straight to each ticket holder's private chat
+    async sendSpecialGameReminder(chatIds, game) {
+        const message = this.formatSpecialGameReminderMessage(game);
+        const options = {
+            reply_markup: {
+                inline_keyboard: [[
+                    { text: '🎮 Open Game', url: `${process.env.WEB_APP_URL}/game/${game.id}` }
+                ]]
+            }
+        };
+        
+        for (const chatId of chatIds) {
+            await this.sendMessage(chatId, message, options);
+        }
+    }
+    
+    formatSpecialGameReminderMessage(game) {
+        const minutesLeft = Math.max(Math.round((new Date(game.start_time).getTime() - Date.now()) / 60000), 0);
+        const startsIn = minutesLeft >= 120
+            ? `${Math.round(minutesLeft / 60)} hours`
+            : `${minutesLeft} minutes`;
+        
+        return `
+🌟 <b>${this.escapeHtml(game.name)}</b> starts in ${startsIn}!
+
+Guaranteed prize: $${parseFloat(game.guaranteed_prize).toFixed(2)}
+Pot so far: $${parseFloat(game.pot).toFixed(2)}
+
+You hold cards for this game. Good luck!
+        `;
+    }
+    
+    // Card subscriptions tell the player once when a game is skipped for lack of
+    // balance, and when the subscription has run out
+    async sendSubscriptionSkipped(chatId, subscription, needed) {
+        const message = `
+⏭️ <b>Card subscription paused</b>
+
+Your balance is too low to buy ${subscription.cards_per_game} cards ($${needed.toFixed(2)}) for the next game.
+Top up and your cards are bought again from the next game on.
+        `;
+        
+        await this.sendMessage(chatId, message, {
+            reply_markup: {
+                inline_keyboard: [[
+                    { text: '💰 Deposit', url: `${process.env.WEB_APP_URL}/wallet` }
+                ]]
+            }
+        });
+    }
+    
+    async sendSubscriptionCompleted(chatId, subscription) {
+        const message = `
+✅ <b>Card subscription finished</b>
+
+Played ${subscription.games_played} games for $${parseFloat(subscription.total_spent).toFixed(2)}.
+Use /subscribe to start a new one.
+        `;
+        
+        await this.sendMessage(chatId, message);
+    }
+    
+    escapeHtml(text) {
+        return String(text).replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+    }
+    
     formatGameStartingMessage(gameId, data) {
         return `
 🎮 <b>Game Starting Soon!</b>
@@ -140,9 +206,9 @@ Game starts in ${data.timeLeft} seconds!
     }
     
     formatNumberCalledMessage(data) {
-        const currentCalls = data.currentCalls.map(n => `<b>${n.letter}${n.number}</b>`).join(' | ');
+        const currentCalls = data.currentCalls.map(n => `<b>${n.letter || ''}${n.number}</b>`).join(' | ');
         return `
-📢 <b>${data.letter}${data.number}</b> called!
+📢 <b>${data.letter || ''}${data.number}</b> called!
 
 Current calls: ${currentCalls}
 
@@ -163,10 +229,15 @@ Winning card: #${data.winningCard}
 Your new balance: $${data.newBalance.toFixed(2)}
             `;
         } else {
+            // Simultaneous winners share the pot
+            const winners = data.winners || [{ username: data.winnerName }];
+            const names = [...new Set(winners.map(w => w.username))].join(', ');
+            const split = winners.length > 1 ? ` (split between ${winners.length} cards)` : '';
+            
             return `
-🎉 <b>Game Winner!</b>
+🎉 <b>Game Winner${winners.length > 1 ? 's' : ''}!</b>
 
-<b>${data.winnerName}</b> won <b>$${data.amount.toFixed(2)}</b>!
+<b>${names}</b> won <b>$${data.amount.toFixed(2)}</b>${split}!
 
 Better luck next time! 🍀
             `;
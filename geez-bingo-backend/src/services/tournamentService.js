@@ -0,0 +1,437 @@
+const { Op } = require('sequelize');
+const sequelize = require('../config/database');
+const { Game, Card, User, GameWinner, Room, Tournament, TournamentEntry } = require('../models');
+const patterns = require('./patterns');
+const ledgerService = require('./ledgerService');
+
+// Multi-game tournaments.
+//
+// A tournament runs over the next `game_count` games of one room that start
+// after `starts_at`. Every finished game scores its registered players: points
+// for each prize stage they won and, among everyone who missed the final
+// stage, for the cards that came closest to completing it. When the last game
+// is scored the prize pool is paid out by leaderboard position.
+
+const DEFAULT_POINTS = {
+  // Per prize stage won, by stage key; a player scores each stage once per game
+  stages: { default: 10, two_lines: 15, full_house: 25 },
+  // By position among the players who did not win the final stage
+  closest: [5, 3, 1]
+};
+
+const DEFAULT_PAYOUTS = [50, 30, 20];
+
+const countBits = (mask) => {
+  let count = 0;
+  for (let value = mask; value; value &= value - 1) count++;
+  return count;
+};
+
+class TournamentService {
+  // Score games as the engine finishes them; events only fire on the instance
+  // driving the game, so each game is scored once
+  listen(engine) {
+    this.engine = engine;
+    
+    engine.on('winnerDeclared', ({ gameId }) => this.scoreGame(gameId));
+    engine.on('gameEnded', ({ gameId, reason }) => {
+      if (reason !== 'voided') this.scoreGame(gameId);
+    });
+  }
+  
+  async createTournament({ name, roomId, gameCount, startsAt, buyIn = 0, prizePool = 0, payouts = DEFAULT_PAYOUTS, points = DEFAULT_POINTS }) {
+    if (!name || !name.trim()) {
+      throw new Error('Tournaments need a name');
+    }
+    
+    const room = await Room.findByPk(roomId);
+    if (!room) {
+      throw new Error('Room not found');
+    }
+    
+    if (!(parseInt(gameCount, 10) > 0)) {
+      throw new Error('A tournament needs at least one game');
+    }
+    
+    const start = new Date(startsAt);
+    if (isNaN(start.getTime())) {
+      throw new Error('Invalid start time');
+    }
+    
+    if (!(parseFloat(buyIn) >= 0) || !(parseFloat(prizePool) >= 0)) {
+      throw new Error('Invalid buy-in or prize pool');
+    }
+    
+    const payoutTotal = payouts.reduce((sum, percent) => sum + percent, 0);
+    if (payouts.length === 0 || payoutTotal > 100 || payouts.some(percent => !(percent > 0))) {
+      throw new Error('Payouts must be positive percentages adding up to at most 100');
+    }
+    
+    // What the house adds to the prize pool moves into the tournament's account
+    const tournament = await sequelize.transaction(async (transaction) => {
+      const tournament = await Tournament.create({
+        name: name.trim(),
+        room_id: room.id,
+        game_count: parseInt(gameCount, 10),
+        starts_at: start,
+        buy_in: parseFloat(buyIn),
+        prize_pool: parseFloat(prizePool),
+        settings: { payouts, points }
+      }, { transaction });
+      
+      await ledgerService.transfer({
+        type: 'tournament_prize_fund',
+        from: ledgerService.houseAccount(),
+        to: ledgerService.tournamentAccount(tournament.id),
+        amount: parseFloat(prizePool),
+        metadata: { tournament_id: tournament.id },
+        transaction
+      });
+      
+      return tournament;
+    });
+    
+    console.log(`🏁 Tournament Created: ${tournament.name} (${tournament.id}), ${tournament.game_count} games in room ${room.name}`);
+    return tournament.toJSON();
+  }
+  
+  async listTournaments() {
+    const tournaments = await Tournament.findAll({
+      where: {
+        [Op.or]: [
+          { status: ['registration', 'running'] },
+          { status: 'completed', ended_at: { [Op.gte]: new Date(Date.now() - 7 * 24 * 60 * 60 * 1000) } }
+        ]
+      },
+      include: [{ model: Room, as: 'room', attributes: ['name'] }],
+      order: [['starts_at', 'ASC']]
+    });
+    
+    return Promise.all(tournaments.map(async tournament => ({
+      ...this.formatTournament(tournament),
+      players: await TournamentEntry.count({ where: { tournament_id: tournament.id } })
+    })));
+  }
+  
+  async getTournament(tournamentId) {
+    const tournament = await Tournament.findByPk(tournamentId, {
+      include: [{ model: Room, as: 'room', attributes: ['name'] }]
+    });
+    if (!tournament) return null;
+    
+    return {
+      ...this.formatTournament(tournament),
+      leaderboard: await this.getLeaderboard(tournamentId)
+    };
+  }
+  
+  formatTournament(tournament) {
+    return {
+      id: tournament.id,
+      name: tournament.name,
+      room_id: tournament.room_id,
+      room_name: tournament.room ? tournament.room.name : null,
+      status: tournament.status,
+      buy_in: parseFloat(tournament.buy_in),
+      prize_pool: parseFloat(tournament.prize_pool),
+      game_count: tournament.game_count,
+      games_played: tournament.games_played,
+      starts_at: tournament.starts_at,
+      ended_at: tournament.ended_at,
+      payouts: tournament.settings.payouts || DEFAULT_PAYOUTS,
+      points: tournament.settings.points || DEFAULT_POINTS
+    };
+  }
+  
+  async getLeaderboard(tournamentId) {
+    const entries = await TournamentEntry.findAll({
+      where: { tournament_id: tournamentId },
+      include: [{ model: User, as: 'user', attributes: ['username', 'avatar'] }],
+      order: [['points', 'DESC'], ['games_played', 'DESC'], ['created_at', 'ASC']]
+    });
+    
+    return entries.map((entry, index) => ({
+      position: entry.rank || index + 1,
+      user_id: entry.user_id,
+      username: entry.user.username,
+      avatar: entry.user.avatar,
+      points: entry.points,
+      games_played: entry.games_played,
+      prize: parseFloat(entry.prize)
+    }));
+  }
+  
+  async register(tournamentId, userId) {
+    const tournament = await Tournament.findByPk(tournamentId);
+    if (!tournament || tournament.status !== 'registration') {
+      throw new Error('Tournament is not open for registration');
+    }
+    
+    const buyIn = parseFloat(tournament.buy_in);
+    const user = await User.findByPk(userId);
+    if (!user) {
+      throw new Error('User not found');
+    }
+    
+    if (parseFloat(user.balance) < buyIn) {
+      throw new Error('Insufficient balance');
+    }
+    
+    // The unique (tournament_id, user_id) index rejects a second registration
+    // before any money moves; the entry is dropped again if the buy-in fails
+    const entry = await sequelize.transaction(async (transaction) => {
+      let entry;
+      try {
+        entry = await TournamentEntry.create({
+          tournament_id: tournamentId,
+          user_id: userId
+        }, { transaction });
+      } catch (error) {
+        if (error.name === 'SequelizeUniqueConstraintError') {
+          throw new Error('Already registered');
+        }
+        throw error;
+      }
+      
+      if (buyIn > 0) {
+        await ledgerService.transfer({
+          type: 'tournament_buy_in',
+          from: ledgerService.userAccount(userId),
+          to: ledgerService.tournamentAccount(tournamentId),
+          amount: buyIn,
+          metadata: { tournament_id: tournamentId, buy_in: true },
+          requireFunds: true,
+          transaction
+        });
+        
+        await Tournament.increment('prize_pool', {
+          by: buyIn,
+          where: { id: tournamentId },
+          transaction
+        });
+      }
+      
+      return entry;
+    });
+    
+    console.log(`📝 ${user.username} registered for tournament ${tournament.name}`);
+    return entry.toJSON();
+  }
+  
+  // Cancel before the last game is scored; buy-ins are refunded
+  async cancelTournament(tournamentId) {
+    const tournament = await Tournament.findByPk(tournamentId);
+    if (!tournament) {
+      throw new Error('Tournament not found');
+    }
+    
+    const [updated] = await Tournament.update(
+      { status: 'cancelled', ended_at: new Date() },
+      { where: { id: tournamentId, status: ['registration', 'running'] } }
+    );
+    if (updated === 0) {
+      throw new Error('Tournament has already finished');
+    }
+    
+    const buyIn = parseFloat(tournament.buy_in);
+    if (buyIn > 0) {
+      const entries = await TournamentEntry.findAll({ where: { tournament_id: tournamentId } });
+      
+      await sequelize.transaction(async (transaction) => {
+        for (const entry of entries) {
+          await ledgerService.transfer({
+            type: 'refund',
+            from: ledgerService.tournamentAccount(tournamentId),
+            to: ledgerService.userAccount(entry.user_id),
+            amount: buyIn,
+            metadata: { tournament_id: tournamentId },
+            transaction
+          });
+        }
+      });
+    }
+    
+    // Anything the house added goes back to it
+    await ledgerService.closeAccount(ledgerService.tournamentAccount(tournamentId), { tournament_id: tournamentId });
+    
+    console.log(`❌ Tournament Cancelled: ${tournament.name}`);
+  }
+  
+  async scoreGame(gameId) {
+    try {
+      const game = await Game.findByPk(gameId);
+      // Special and private games are one-offs and never part of a room's tournament
+      if (!game || !game.room_id || game.name || game.invite_code) return;
+      
+      const tournaments = await Tournament.findAll({
+        where: {
+          room_id: game.room_id,
+          status: ['registration', 'running'],
+          starts_at: { [Op.lte]: game.start_time }
+        }
+      });
+      
+      for (const tournament of tournaments) {
+        await this.scoreTournamentGame(tournament, game);
+      }
+    } catch (error) {
+      console.error('Error scoring tournament game:', error);
+    }
+  }
+  
+  async scoreTournamentGame(tournament, game) {
+    if (tournament.status === 'registration') {
+      await Tournament.update(
+        { status: 'running' },
+        { where: { id: tournament.id, status: 'registration' } }
+      );
+    }
+    
+    const entries = await TournamentEntry.findAll({ where: { tournament_id: tournament.id } });
+    const points = await this.getGamePoints(game, entries.map(entry => entry.user_id), tournament.settings.points || DEFAULT_POINTS);
+    
+    for (const [userId, earned] of points) {
+      const where = { tournament_id: tournament.id, user_id: userId };
+      
+      await TournamentEntry.increment('points', {
+        by: earned,
+        where
+      });
+      
+      await TournamentEntry.increment('games_played', {
+        by: 1,
+        where
+      });
+    }
+    
+    await Tournament.increment('games_played', {
+      by: 1,
+      where: { id: tournament.id }
+    });
+    await tournament.reload();
+    
+    console.log(`📊 Tournament ${tournament.name}: game ${tournament.games_played}/${tournament.game_count} scored`);
+    
+    if (tournament.games_played >= tournament.game_count) {
+      await this.completeTournament(tournament);
+    }
+  }
+  
+  // Points each registered player with cards in the game earned: Map<userId, points>
+  async getGamePoints(game, userIds, scheme) {
+    const cards = await Card.findAll({
+      where: { game_id: game.id, user_id: userIds },
+      attributes: ['user_id', 'numbers']
+    });
+    
+    const points = new Map(cards.map(card => [card.user_id, 0]));
+    if (points.size === 0) return points;
+    
+    // Stage wins, once per player and stage however many cards won it
+    const wins = await GameWinner.findAll({
+      where: { game_id: game.id, user_id: [...points.keys()] },
+      attributes: ['user_id', 'stage']
+    });
+    const stageWins = new Set(wins.map(win => `${win.user_id}:${win.stage}`));
+    
+    stageWins.forEach(key => {
+      const [userId, stage] = key.split(':');
+      const stagePoints = scheme.stages[stage] !== undefined ? scheme.stages[stage] : scheme.stages.default;
+      points.set(userId, points.get(userId) + stagePoints);
+    });
+    
+    // Everyone else is ranked by how few numbers their best card missed
+    const stages = this.engine.getStages(game.settings);
+    const finalStage = stages[stages.length - 1];
+    const finalPatterns = patterns.resolvePatterns(finalStage.patterns, game.settings.variant);
+    const calledSet = new Set(game.called_numbers.map(n => n.number));
+    
+    const missing = new Map();
+    cards.forEach(card => {
+      if (stageWins.has(`${card.user_id}:${finalStage.key}`)) return;
+      
+      const marked = patterns.markedMask(card.numbers, calledSet);
+      const cardMissing = Math.min(...finalPatterns.map(pattern =>
+        Math.min(...pattern.masks.map(mask => countBits(mask & ~marked)))
+      ));
+      
+      if (!missing.has(card.user_id) || cardMissing < missing.get(card.user_id)) {
+        missing.set(card.user_id, cardMissing);
+      }
+    });
+    
+    // Ties share the higher position
+    const ranked = [...missing.entries()].sort((a, b) => a[1] - b[1]);
+    ranked.forEach(([userId, count]) => {
+      const position = ranked.findIndex(([, other]) => other === count);
+      if (position < scheme.closest.length) {
+        points.set(userId, points.get(userId) + scheme.closest[position]);
+      }
+    });
+    
+    return points;
+  }
+  
+  // Players level on points split the payouts of the positions they share,
+  // rounded down to the cent; any remainder stays with the house. The status
+  // change and every payout commit together, so a failure pays nobody.
+  async completeTournament(tournament) {
+    const payouts = tournament.settings.payouts || DEFAULT_PAYOUTS;
+    const prizePool = parseFloat(tournament.prize_pool);
+    
+    const completed = await sequelize.transaction(async (transaction) => {
+      const [updated] = await Tournament.update(
+        { status: 'completed', ended_at: new Date() },
+        { where: { id: tournament.id, status: ['registration', 'running'] }, transaction }
+      );
+      if (updated === 0) return false;
+      
+      const entries = await TournamentEntry.findAll({
+        where: { tournament_id: tournament.id },
+        order: [['points', 'DESC']],
+        transaction
+      });
+      
+      let position = 0;
+      while (position < entries.length) {
+        const level = entries.filter(entry => entry.points === entries[position].points);
+        const percent = payouts
+          .slice(position, position + level.length)
+          .reduce((sum, share) => sum + share, 0);
+        const prize = Math.floor((prizePool * percent / 100 / level.length) * 100) / 100;
+        
+        for (const entry of level) {
+          await entry.update({ rank: position + 1, prize }, { transaction });
+          if (prize <= 0) continue;
+          
+          await ledgerService.transfer({
+            type: 'tournament_prize',
+            from: ledgerService.tournamentAccount(tournament.id),
+            to: ledgerService.userAccount(entry.user_id),
+            amount: prize,
+            metadata: { tournament_id: tournament.id, rank: position + 1, points: entry.points },
+            transaction
+          });
+          
+          await User.increment('total_won', {
+            by: prize,
+            where: { id: entry.user_id },
+            transaction
+          });
+        }
+        
+        position += level.length;
+      }
+      
+      return true;
+    });
+    if (!completed) return;
+    
+    // Rounding remainders (or the whole pool if nobody played) go to the house
+    await ledgerService.closeAccount(ledgerService.tournamentAccount(tournament.id), { tournament_id: tournament.id });
+    
+    console.log(`🏆 Tournament Completed: ${tournament.name}, $${prizePool} paid by leaderboard`);
+  }
+}
+
+module.exports = new TournamentService();
@@ -0,0 +1,49 @@
+// Game variants, selectable per game with `settings.variant`.
+//
+// Card geometry and ball counts live in provablyFair.js so the standalone
+// verifier can rebuild any variant; this adds what the engine needs to run one.
+// `callInterval` is the default seconds between calls; variants with their own
+// `gameDuration` / `countdownDuration` (seconds) override the room's timings.
+// `endsWithDraw` variants have no time limit and end when the last ball is out.
+
+const provablyFair = require('./provablyFair');
+
+const DEFAULT_VARIANT = '75';
+
+const VARIANTS = {
+  75: {
+    label: '75-Ball',
+    defaultPatterns: ['line'],
+    callInterval: 3
+  },
+  90: {
+    label: '90-Ball',
+    defaultPatterns: ['full_house'],
+    callInterval: 3,
+    // Classic UK prizes, used unless the game sets its own patterns or stages
+    defaultStages: [
+      { key: 'one_line', label: 'One Line', patterns: ['one_line'], prize_percent: 20 },
+      { key: 'two_lines', label: 'Two Lines', patterns: ['two_lines'], prize_percent: 30 },
+      { key: 'full_house', label: 'Full House', patterns: ['full_house'], prize_percent: 50 }
+    ]
+  },
+  // Quick games between regular rounds, about 60 seconds at the default
+  // interval; every ball is called, so every card can complete
+  30: {
+    label: 'Speed 30',
+    defaultPatterns: ['full_house'],
+    callInterval: 2,
+    endsWithDraw: true,
+    countdownDuration: 15
+  }
+};
+
+function getVariant(key = DEFAULT_VARIANT) {
+  const geometry = provablyFair.getVariantGeometry(key);
+  return { key: String(key), ...geometry, ...VARIANTS[key] };
+}
+
+module.exports = {
+  DEFAULT_VARIANT,
+  getVariant
+};
@@ -0,0 +1,55 @@
+const EventEmitter = require('events');
+const bonusService = require('../src/services/bonusService');
+
+describe('wagering credit', () => {
+  const cards = [{ user_id: 'ann' }, { user_id: 'ann' }, { user_id: 'ben' }];
+
+  it('counts the full stake on every card', () => {
+    const stakes = bonusService.stakesByPlayer(cards, 1000);
+
+    expect(Object.fromEntries(stakes)).toEqual({ ann: 2000, ben: 1000 });
+  });
+
+  it('leaves out the part of each stake a refunded pot handed back', () => {
+    // A 30.00 pot refunded over three 10.00 cards at 9.00 each
+    const stakes = bonusService.stakesByPlayer(cards, 1000, 2700);
+
+    expect(Object.fromEntries(stakes)).toEqual({ ann: 200, ben: 100 });
+  });
+
+  it('credits nothing when every stake came back', () => {
+    expect(bonusService.stakesByPlayer(cards, 1000, 3000).size).toBe(0);
+  });
+});
+
+describe('game events', () => {
+  let engine;
+  let recordWagers;
+
+  beforeEach(() => {
+    engine = new EventEmitter();
+    recordWagers = jest.spyOn(bonusService, 'recordWagers').mockResolvedValue();
+    bonusService.listen(engine);
+  });
+
+  afterEach(() => recordWagers.mockRestore());
+
+  it('passes a timeout refund on so only the kept stake is wagered', () => {
+    engine.emit('gameEnded', { gameId: 'g1', reason: 'timeout', outcome: 'refund', amount: 27 });
+
+    expect(recordWagers).toHaveBeenCalledWith('g1', 27);
+  });
+
+  it('counts the whole stake when the pot rolled over or fed a jackpot', () => {
+    engine.emit('gameEnded', { gameId: 'g1', reason: 'timeout', outcome: 'rollover', amount: 30 });
+    engine.emit('gameEnded', { gameId: 'g2', reason: 'timeout', outcome: 'jackpot', amount: 30 });
+
+    expect(recordWagers.mock.calls).toEqual([['g1', 0], ['g2', 0]]);
+  });
+
+  it('skips voided games', () => {
+    engine.emit('gameEnded', { gameId: 'g1', reason: 'voided' });
+
+    expect(recordWagers).not.toHaveBeenCalled();
+  });
+});
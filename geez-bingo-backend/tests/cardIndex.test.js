@@ -0,0 +1,130 @@
+const CardIndex = require('../src/services/cardIndex');
+const patterns = require('../src/services/patterns');
+const provablyFair = require('../src/services/provablyFair');
+
+const SERVER_SEED = 'a'.repeat(64);
+const CLIENT_SEED = 'b'.repeat(32);
+const CARD_COUNT = 40;
+
+const WINNING_PATTERNS = {
+  75: ['line', 'four_corners', 'full_house'],
+  90: ['one_line', 'two_lines', 'full_house'],
+  30: ['full_house']
+};
+
+const dealCards = (variant) => Array.from({ length: CARD_COUNT }, (_, i) => ({
+  card_number: i + 1,
+  user_id: `player-${i % 7}`,
+  numbers: provablyFair.generateCard(SERVER_SEED, CLIENT_SEED, i + 1, variant)
+}));
+
+const holds = (card, number) => card.numbers.some(row => row.some(cell => !cell.blank && !cell.free && cell.number === number));
+
+describe('index vs rescan', () => {
+  it.each(['75', '90', '30'])('agrees with a full rescan on every call of a %s-ball game', (variant) => {
+    const cards = dealCards(variant);
+    const drawOrder = provablyFair.generateDrawOrder(SERVER_SEED, CLIENT_SEED, variant);
+    const allowedPatterns = patterns.resolvePatterns(WINNING_PATTERNS[variant], variant);
+    const index = new CardIndex();
+    cards.forEach(card => index.addCard(card));
+
+    const calledSet = new Set();
+    drawOrder.forEach(number => {
+      const touched = index.mark(number);
+      calledSet.add(number.number);
+
+      expect(touched.map(entry => entry.cardNumber).sort((a, b) => a - b))
+        .toEqual(cards.filter(card => holds(card, number.number)).map(card => card.card_number));
+
+      cards.forEach(card => {
+        const entry = index.cards.get(card.card_number);
+        const rescanMask = patterns.markedMask(card.numbers, calledSet);
+
+        expect(entry.mask).toBe(rescanMask);
+        expect(patterns.findWinningPattern(entry.mask, allowedPatterns))
+          .toBe(patterns.findWinningPattern(rescanMask, allowedPatterns));
+      });
+    });
+
+    // Every card is complete once the whole draw is called
+    const fullHouse = patterns.resolvePatterns(['full_house'], variant);
+    index.activeCards().forEach(entry => {
+      expect(patterns.findWinningPattern(entry.mask, fullHouse)).not.toBeNull();
+    });
+  });
+
+  it('finds the same first winners as replaying each card\'s calls', () => {
+    const cards = dealCards('75');
+    const drawOrder = provablyFair.generateDrawOrder(SERVER_SEED, CLIENT_SEED, '75');
+    const allowedPatterns = patterns.resolvePatterns(['line'], '75');
+    const index = new CardIndex();
+    cards.forEach(card => index.addCard(card));
+
+    let firstWinners = [];
+    for (let call = 0; call < drawOrder.length && firstWinners.length === 0; call++) {
+      firstWinners = index.mark(drawOrder[call])
+        .filter(entry => patterns.findWinningPattern(entry.mask, allowedPatterns))
+        .map(entry => ({ cardNumber: entry.cardNumber, call }));
+    }
+
+    const completions = cards.map(card => ({
+      cardNumber: card.card_number,
+      call: patterns.findCompletingCall(card.numbers, drawOrder, allowedPatterns).index
+    }));
+    const firstCall = Math.min(...completions.map(completion => completion.call));
+
+    expect(firstWinners).toEqual(completions.filter(completion => completion.call === firstCall));
+  });
+
+  it('rebuilds a resumed game from the numbers already called', () => {
+    const cards = dealCards('90');
+    const drawOrder = provablyFair.generateDrawOrder(SERVER_SEED, CLIENT_SEED, '90');
+    const calledSet = new Set(drawOrder.slice(0, 35).map(number => number.number));
+
+    const live = new CardIndex();
+    cards.forEach(card => live.addCard(card));
+    drawOrder.slice(0, 35).forEach(number => live.mark(number));
+
+    const resumed = new CardIndex();
+    cards.forEach(card => resumed.addCard(card, calledSet));
+
+    cards.forEach(card => {
+      expect(resumed.cards.get(card.card_number).mask).toBe(live.cards.get(card.card_number).mask);
+    });
+  });
+});
+
+describe('CardIndex', () => {
+  const card = {
+    card_number: 3,
+    user_id: 'player',
+    numbers: Array.from({ length: 5 }, (_, row) =>
+      Array.from({ length: 5 }, (_, col) => (row === 2 && col === 2
+        ? { number: 0, free: true }
+        : { number: row * 5 + col + 1 })))
+  };
+
+  it('ignores repeated calls of the same number', () => {
+    const index = new CardIndex();
+    index.addCard(card);
+
+    index.mark({ number: 1 });
+    const mask = index.cards.get(3).mask;
+    index.mark({ number: 1 });
+
+    expect(index.cards.get(3).mask).toBe(mask);
+    expect(mask).toBe(0b1000000000001);
+  });
+
+  it('leaves disqualified cards out of touched and active cards but keeps marking them', () => {
+    const index = new CardIndex();
+    index.addCard(card);
+    index.addCard({ ...card, card_number: 4 });
+
+    index.disqualify(3);
+
+    expect(index.mark({ number: 1 }).map(entry => entry.cardNumber)).toEqual([4]);
+    expect(index.activeCards().map(entry => entry.cardNumber)).toEqual([4]);
+    expect(index.cards.get(3).mask).toBe(index.cards.get(4).mask);
+  });
+});
@@ -0,0 +1,141 @@
+const patterns = require('../src/services/patterns');
+const provablyFair = require('../src/services/provablyFair');
+
+// 5x5 card whose cell at (row, col) holds row * 5 + col + 1, free centre
+const card = Array.from({ length: 5 }, (_, row) =>
+  Array.from({ length: 5 }, (_, col) => (row === 2 && col === 2
+    ? { number: 0, free: true }
+    : { number: row * 5 + col + 1 }))
+);
+const numberAt = (row, col) => row * 5 + col + 1;
+const called = (cells) => new Set(cells.map(([row, col]) => numberAt(row, col)));
+const winning = (keys, cells) => patterns.findWinningPattern(
+  patterns.markedMask(card, called(cells)),
+  patterns.resolvePatterns(keys)
+);
+
+describe('pattern masks', () => {
+  it('completes a line on any row, column or diagonal', () => {
+    expect(winning(['line'], [[1, 0], [1, 1], [1, 2], [1, 3], [1, 4]]).key).toBe('line');
+    expect(winning(['line'], [[0, 3], [1, 3], [2, 3], [3, 3], [4, 3]]).key).toBe('line');
+    expect(winning(['line'], [[0, 0], [1, 1], [3, 3], [4, 4]]).key).toBe('line');
+    expect(winning(['line'], [[0, 0], [1, 1], [3, 3]])).toBeNull();
+  });
+
+  it('counts the free centre as marked', () => {
+    expect(winning(['line'], [[2, 0], [2, 1], [2, 3], [2, 4]]).key).toBe('line');
+  });
+
+  it('needs two distinct lines for two_lines', () => {
+    const row = [[0, 0], [0, 1], [0, 2], [0, 3], [0, 4]];
+
+    expect(winning(['two_lines'], row)).toBeNull();
+    expect(winning(['two_lines'], [...row, [1, 0], [2, 0], [3, 0], [4, 0]]).key).toBe('two_lines');
+  });
+
+  it('matches the shaped patterns on exactly their cells', () => {
+    expect(winning(['four_corners'], [[0, 0], [0, 4], [4, 0], [4, 4]]).key).toBe('four_corners');
+    expect(winning(['four_corners'], [[0, 0], [0, 4], [4, 0]])).toBeNull();
+    expect(winning(['postage_stamp'], [[3, 3], [3, 4], [4, 3], [4, 4]]).key).toBe('postage_stamp');
+    expect(winning(['x'], [[0, 0], [1, 1], [3, 3], [4, 4], [0, 4], [1, 3], [3, 1], [4, 0]]).key).toBe('x');
+  });
+
+  it('needs every cell of the card for full_house', () => {
+    const all = [];
+    for (let row = 0; row < 5; row++) {
+      for (let col = 0; col < 5; col++) {
+        if (row !== 2 || col !== 2) all.push([row, col]);
+      }
+    }
+
+    expect(winning(['full_house'], all).key).toBe('full_house');
+    expect(winning(['full_house'], all.slice(1))).toBeNull();
+  });
+
+  it('returns the first allowed pattern that is complete', () => {
+    const corners = [[0, 0], [0, 4], [4, 0], [4, 4]];
+
+    expect(winning(['line', 'four_corners'], corners).key).toBe('four_corners');
+  });
+});
+
+describe('resolvePatterns', () => {
+  it('accepts custom masks as a grid or a string', () => {
+    const grid = [[1, 0, 0, 0, 1], [0, 0, 0, 0, 0], [0, 0, 0, 0, 0], [0, 0, 0, 0, 0], [1, 0, 0, 0, 1]];
+    const [fromGrid] = patterns.resolvePatterns([{ key: 'corners', mask: grid }]);
+    const [fromString] = patterns.resolvePatterns([{ mask: grid.flat().join('') }]);
+
+    expect(fromGrid.masks).toEqual(patterns.resolvePatterns(['four_corners'])[0].masks);
+    expect(fromString).toEqual({ key: 'custom', label: 'Custom Pattern', masks: fromGrid.masks });
+  });
+
+  it('rejects unknown keys and malformed masks', () => {
+    expect(() => patterns.resolvePatterns(['zigzag'])).toThrow('Unknown winning pattern: zigzag');
+    expect(() => patterns.resolvePatterns([{ mask: '1111' }])).toThrow('Pattern mask must have 25 cells');
+    expect(() => patterns.resolvePatterns([{ mask: '0'.repeat(25) }])).toThrow('Pattern mask must mark at least one cell');
+  });
+
+  it('uses each variant\'s own registry', () => {
+    expect(() => patterns.resolvePatterns(['four_corners'], '90')).toThrow('Unknown winning pattern: four_corners');
+    expect(patterns.resolvePatterns(['one_line', 'full_house'], '90').map(pattern => pattern.key))
+      .toEqual(['one_line', 'full_house']);
+    expect(() => patterns.resolvePatterns([{ mask: '1'.repeat(25) }], '30')).toThrow('Pattern mask must have 9 cells');
+  });
+});
+
+describe('findCompletingCall', () => {
+  it('finds the call that completed the pattern', () => {
+    const calls = [[4, 4], [0, 1], [0, 0], [0, 2], [3, 3], [0, 3], [0, 4], [1, 1]]
+      .map(([row, col]) => ({ number: numberAt(row, col) }));
+
+    const completion = patterns.findCompletingCall(card, calls, patterns.resolvePatterns(['line']));
+
+    expect(completion.index).toBe(6);
+    expect(completion.pattern.key).toBe('line');
+  });
+
+  it('returns null while no pattern is complete', () => {
+    const calls = [[0, 0], [0, 1]].map(([row, col]) => ({ number: numberAt(row, col) }));
+
+    expect(patterns.findCompletingCall(card, calls, patterns.resolvePatterns(['line']))).toBeNull();
+  });
+});
+
+describe('90-ball tickets', () => {
+  const ticket = provablyFair.generateCard('a'.repeat(64), 'b'.repeat(32), 1, '90');
+  const rowNumbers = (row) => ticket[row].filter(cell => !cell.blank).map(cell => cell.number);
+  const resolved = patterns.resolvePatterns(['one_line', 'two_lines', 'full_house'], '90');
+
+  it('treats blank cells as marked', () => {
+    const mask = patterns.markedMask(ticket, new Set(rowNumbers(1)));
+
+    expect(patterns.findWinningPattern(mask, resolved).key).toBe('one_line');
+    expect(patterns.findWinningPattern(patterns.markedMask(ticket, new Set()), resolved)).toBeNull();
+  });
+
+  it('steps from one line to two lines to a full house', () => {
+    const twoRows = new Set([...rowNumbers(0), ...rowNumbers(2)]);
+    const allRows = new Set([...twoRows, ...rowNumbers(1)]);
+
+    expect(patterns.findWinningPattern(patterns.markedMask(ticket, twoRows), resolved.slice(1)).key).toBe('two_lines');
+    expect(patterns.findWinningPattern(patterns.markedMask(ticket, allRows), resolved.slice(2)).key).toBe('full_house');
+  });
+});
+
+describe('describePatterns', () => {
+  it('lists every mask of a pattern as a grid', () => {
+    const [line] = patterns.describePatterns(['line']);
+
+    expect(line.key).toBe('line');
+    expect(line.grids).toHaveLength(12);
+    expect(line.grids[0]).toEqual([[1, 1, 1, 1, 1], [0, 0, 0, 0, 0], [0, 0, 0, 0, 0], [0, 0, 0, 0, 0], [0, 0, 0, 0, 0]]);
+    expect(patterns.describePatterns(['two_lines'])[0].grids).toHaveLength(66);
+  });
+
+  it('sizes grids to the variant', () => {
+    const [fullHouse] = patterns.describePatterns(['full_house'], '30');
+
+    expect(fullHouse.grids).toEqual([[[1, 1, 1], [1, 1, 1], [1, 1, 1]]]);
+    expect(patterns.describePatterns(['one_line'], '90')[0].grids[2][2]).toEqual(Array(9).fill(1));
+  });
+});
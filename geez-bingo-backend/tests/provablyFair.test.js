@@ -0,0 +1,183 @@
+const provablyFair = require('../src/services/provablyFair');
+
+const SERVER_SEED = 'a'.repeat(64);
+const CLIENT_SEED = 'b'.repeat(32);
+
+describe('seeded cards and draw order', () => {
+  it('derives the same card from the same seeds', () => {
+    const first = provablyFair.generateCard(SERVER_SEED, CLIENT_SEED, 7);
+    const second = provablyFair.generateCard(SERVER_SEED, CLIENT_SEED, 7);
+
+    expect(second).toEqual(first);
+    expect(provablyFair.generateCard(SERVER_SEED, CLIENT_SEED, 8)).not.toEqual(first);
+  });
+
+  it('deals 75-ball cards with five distinct numbers per column and a free centre', () => {
+    const card = provablyFair.generateCard(SERVER_SEED, CLIENT_SEED, 1);
+
+    expect(card).toHaveLength(5);
+    expect(card[2][2].free).toBe(true);
+
+    for (let col = 0; col < 5; col++) {
+      const column = card.map(row => row[col].number);
+      expect(new Set(column).size).toBe(5);
+      column.forEach(number => {
+        expect(number).toBeGreaterThanOrEqual(col * 15 + 1);
+        expect(number).toBeLessThanOrEqual(col * 15 + 15);
+      });
+    }
+  });
+
+  it.each(['75', '90', '30'])('draws every %s-ball number exactly once', (variant) => {
+    const { balls } = provablyFair.getVariantGeometry(variant);
+    const drawOrder = provablyFair.generateDrawOrder(SERVER_SEED, CLIENT_SEED, variant);
+
+    expect(drawOrder.map(called => called.number).sort((a, b) => a - b))
+      .toEqual(Array.from({ length: balls }, (_, i) => i + 1));
+    expect(provablyFair.generateDrawOrder(SERVER_SEED, CLIENT_SEED, variant)).toEqual(drawOrder);
+  });
+
+  it('mixes the player seed into the draw but not into the cards', () => {
+    const playerSeed = provablyFair.derivePlayerSeed([{ card_number: 3, client_seed: 'mine' }]);
+
+    expect(provablyFair.generateDrawOrder(SERVER_SEED, CLIENT_SEED, '75', playerSeed))
+      .not.toEqual(provablyFair.generateDrawOrder(SERVER_SEED, CLIENT_SEED, '75'));
+  });
+
+  it('derives the player seed from the sold cards in card order', () => {
+    const purchases = [{ card_number: 9, client_seed: 'x' }, { card_number: 2, client_seed: null }];
+    const playerSeed = provablyFair.derivePlayerSeed(purchases);
+
+    expect(provablyFair.derivePlayerSeed(purchases.slice().reverse())).toBe(playerSeed);
+    expect(provablyFair.derivePlayerSeed([purchases[0], { card_number: 2, client_seed: 'y' }])).not.toBe(playerSeed);
+    expect(provablyFair.derivePlayerSeed([purchases[0]])).not.toBe(playerSeed);
+  });
+
+  it('rejects unknown variants', () => {
+    expect(() => provablyFair.generateCard(SERVER_SEED, CLIENT_SEED, 1, '80')).toThrow('Unknown game variant: 80');
+  });
+});
+
+describe('verifyGame', () => {
+  const serverSeed = provablyFair.generateServerSeed();
+  const clientSeed = provablyFair.generateClientSeed();
+
+  const publishedGame = (variant, options = {}) => {
+    const drawOrder = provablyFair.generateDrawOrder(serverSeed, clientSeed, variant);
+    const cards = [1, 2, 5].map(cardNumber => ({
+      card_number: cardNumber,
+      numbers: options.cartelaSeed
+        ? provablyFair.generateCartela(options.cartelaSeed, cardNumber, variant)
+        : provablyFair.generateCard(serverSeed, clientSeed, cardNumber, variant)
+    }));
+
+    return {
+      serverSeed,
+      serverSeedHash: provablyFair.hashSeed(serverSeed),
+      clientSeed,
+      variant,
+      calledNumbers: drawOrder.slice(0, 20),
+      cards,
+      ...options
+    };
+  };
+
+  it.each(['75', '90', '30'])('confirms an untampered %s-ball game', (variant) => {
+    const result = provablyFair.verifyGame(publishedGame(variant));
+
+    expect(result.hashMatches).toBe(true);
+    expect(result.drawMatches).toBe(true);
+    expect(result.cardsMatch).toBe(true);
+    expect(result.mismatchedCards).toEqual([]);
+  });
+
+  it('confirms fixed-cartela games against the cartela seed', () => {
+    const result = provablyFair.verifyGame(publishedGame('75', { cartelaSeed: 'cartelas' }));
+
+    expect(result.cardsMatch).toBe(true);
+  });
+
+  it('catches a server seed that does not match its published hash', () => {
+    const game = publishedGame('75');
+
+    expect(provablyFair.verifyGame({ ...game, serverSeedHash: provablyFair.hashSeed('other') }).hashMatches).toBe(false);
+  });
+
+  it('recomputes the player seed from the purchases', () => {
+    const purchases = [{ card_number: 1, client_seed: 'alice' }, { card_number: 5, client_seed: 'bob' }];
+    const playerSeed = provablyFair.derivePlayerSeed(purchases);
+    const game = {
+      ...publishedGame('75'),
+      playerSeed,
+      calledNumbers: provablyFair.generateDrawOrder(serverSeed, clientSeed, '75', playerSeed).slice(0, 20)
+    };
+
+    const honest = provablyFair.verifyGame({ ...game, purchases });
+    const swapped = provablyFair.verifyGame({ ...game, purchases: [purchases[0], { card_number: 5, client_seed: 'eve' }] });
+
+    expect(honest.playerSeedMatches).toBe(true);
+    expect(honest.drawMatches).toBe(true);
+    expect(swapped.playerSeedMatches).toBe(false);
+    expect(swapped.drawMatches).toBe(false);
+  });
+
+  it('catches a reordered draw', () => {
+    const game = publishedGame('75');
+    const calledNumbers = [game.calledNumbers[1], game.calledNumbers[0], ...game.calledNumbers.slice(2)];
+
+    expect(provablyFair.verifyGame({ ...game, calledNumbers }).drawMatches).toBe(false);
+  });
+
+  it('names the cards that were altered', () => {
+    const game = publishedGame('75');
+    const tampered = JSON.parse(JSON.stringify(game.cards[1]));
+    tampered.numbers[0][0].number = tampered.numbers[0][0].number === 1 ? 2 : 1;
+
+    const result = provablyFair.verifyGame({ ...game, cards: [game.cards[0], tampered, game.cards[2]] });
+
+    expect(result.cardsMatch).toBe(false);
+    expect(result.mismatchedCards).toEqual([2]);
+  });
+});
+
+describe('90-ball strips', () => {
+  const strips = [1, 2, 37, 100].map(stripNumber => provablyFair.generateStrip(SERVER_SEED, CLIENT_SEED, stripNumber));
+  const numbersOf = (ticket) => ticket.flat().filter(cell => !cell.blank).map(cell => cell.number);
+
+  it('holds every number 1-90 exactly once across its six tickets', () => {
+    strips.forEach(strip => {
+      expect(strip).toHaveLength(6);
+      expect(strip.flatMap(numbersOf).sort((a, b) => a - b))
+        .toEqual(Array.from({ length: 90 }, (_, i) => i + 1));
+    });
+  });
+
+  it('lays out each ticket as 3 rows of 5 numbers', () => {
+    strips.flat().forEach(ticket => {
+      expect(ticket).toHaveLength(3);
+      ticket.forEach(row => {
+        expect(row).toHaveLength(9);
+        expect(row.filter(cell => !cell.blank)).toHaveLength(5);
+      });
+    });
+  });
+
+  it('keeps 1-3 numbers per column, in their decade and ascending down the column', () => {
+    strips.flat().forEach(ticket => {
+      for (let col = 0; col < 9; col++) {
+        const column = ticket.map(row => row[col]).filter(cell => !cell.blank).map(cell => cell.number);
+
+        expect(column.length).toBeGreaterThanOrEqual(1);
+        expect(column.length).toBeLessThanOrEqual(3);
+        expect(column).toEqual([...column].sort((a, b) => a - b));
+        column.forEach(number => expect(Math.min(Math.floor(number / 10), 8)).toBe(col));
+      }
+    });
+  });
+
+  it('deals card N as ticket ((N - 1) mod 6) of strip ceil(N / 6)', () => {
+    expect(provablyFair.generateCard(SERVER_SEED, CLIENT_SEED, 1, '90')).toEqual(strips[0][0]);
+    expect(provablyFair.generateCard(SERVER_SEED, CLIENT_SEED, 12, '90')).toEqual(strips[1][5]);
+    expect(provablyFair.generateCard(SERVER_SEED, CLIENT_SEED, 220, '90')).toEqual(strips[2][3]);
+  });
+});
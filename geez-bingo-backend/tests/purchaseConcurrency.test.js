@@ -0,0 +1,32 @@
+// Parallel card purchases against a real database. Postgres and Redis come from
+// .env like the app's, so these only run when RUN_DB_TESTS is set:
+//   npm run test:concurrency
+// CI runs them against fresh Postgres and Redis services
+// (.github/workflows/backend-tests.yml); missing tables are created first. The
+// stress_* players and cancelled games they create stay in the books.
+const describeWithDb = process.env.RUN_DB_TESTS ? describe : describe.skip;
+
+describeWithDb('concurrent card purchases', () => {
+  let stressPurchases;
+  let sequelize;
+  let RedisClient;
+
+  beforeAll(async () => {
+    stressPurchases = require('../src/scripts/stressPurchases');
+    sequelize = require('../src/config/database');
+    RedisClient = require('../src/config/redis');
+
+    await sequelize.sync();
+  });
+
+  afterAll(async () => {
+    await sequelize.close();
+    if (RedisClient.client.isOpen) await RedisClient.client.disconnect();
+  });
+
+  it('sells each card once, never overdraws and keeps the books balanced', async () => {
+    const failed = await stressPurchases.run(100);
+
+    expect(failed).toEqual([]);
+  }, 120000);
+});
@@ -22,6 +22,8 @@ import GameRoomPage from './pages/GameRoomPage';
 import DashboardPage from './pages/DashboardPage';
 import WalletPage from './pages/WalletPage';
 import LeaderboardPage from './pages/LeaderboardPage';
+import TournamentsPage from './pages/TournamentsPage';
+import ReferralsPage from './pages/ReferralsPage';
 import ProfilePage from './pages/ProfilePage';
 import SupportPage from './pages/SupportPage';
 
@@ -53,6 +55,8 @@ function App() {
                     <Route path="/login" element={<LoginPage />} />
                     <Route path="/register" element={<RegisterPage />} />
                     <Route path="/leaderboard" element={<LeaderboardPage />} />
+                    <Route path="/tournaments" element={<TournamentsPage />} />
+                    <Route path="/tournaments/:tournamentId" element={<TournamentsPage />} />
                     <Route path="/support" element={<SupportPage />} />
                     
                     {/* Protected Routes */}
@@ -80,6 +84,12 @@ function App() {
                       </ProtectedRoute>
                     } />
                     
+                    <Route path="/referrals" element={
+                      <ProtectedRoute>
+                        <ReferralsPage />
+                      </ProtectedRoute>
+                    } />
+                    
                     <Route path="/profile" element={
                       <ProtectedRoute>
                         <ProfilePage />
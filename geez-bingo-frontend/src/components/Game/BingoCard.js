@@ -1,15 +1,39 @@
 import React, { memo } from 'react';
 import { motion } from 'framer-motion';
 
-const BingoCard = memo(({ card, calledNumbers, compact = false }) => {
+// Full class names so Tailwind keeps them (speed cards are 3 wide, 75-ball cards 5, 90-ball tickets 9)
+const GRID_COLS = {
+  3: 'grid-cols-3',
+  5: 'grid-cols-5',
+  9: 'grid-cols-9'
+};
+
+const PatternPreview = ({ pattern }) => (
+  <div className="flex flex-col items-center space-y-1" title={pattern.label}>
+    <div className={`grid ${GRID_COLS[pattern.grids[0][0].length]} gap-[2px]`}>
+      {pattern.grids[0].flat().map((on, index) => (
+        <div
+          key={index}
+          className={`w-2 h-2 rounded-sm ${on ? 'bg-yellow-400' : 'bg-gray-700'}`}
+        />
+      ))}
+    </div>
+    <span className="text-[10px] text-gray-400">{pattern.label}</span>
+  </div>
+);
+
+const BingoCard = memo(({ card, calledNumbers, patterns = [], compact = false }) => {
   const isNumberCalled = (cell) => {
     if (cell.free) return true;
-    return calledNumbers?.some(n => 
-      n.letter === cell.letter && n.number === cell.number
-    ) || cell.called;
+    return calledNumbers?.some(n => n.number === cell.number) || cell.called;
   };
 
-  const columns = ['B', 'I', 'N', 'G', 'O'];
+  // 90-ball tickets are 3x9 with blank cells and no column letters
+  const cols = card.numbers[0].length;
+  const isTicket = cols === 9;
+  const columns = cols === 5 ? ['B', 'I', 'N', 'G', 'O'] : [];
+  const cells = card.numbers.flat().filter(cell => !cell.blank);
+  const markedCount = cells.filter(cell => isNumberCalled(cell)).length;
 
   return (
     <div className={`bg-gray-900 rounded-xl overflow-hidden ${
@@ -22,7 +46,7 @@ const BingoCard = memo(({ card, calledNumbers, compact = false }) => {
             <span className="font-bold text-sm">#{card.number}</span>
           </div>
           <h3 className={`font-bold ${compact ? 'text-sm' : 'text-lg'}`}>
-            Bingo Card
+            {isTicket ? 'Bingo Ticket' : 'Bingo Card'}
           </h3>
         </div>
         <div className={`bg-gray-800 px-3 py-1 rounded-full ${
@@ -35,22 +59,33 @@ const BingoCard = memo(({ card, calledNumbers, compact = false }) => {
       {/* Card Grid */}
       <div className="relative">
         {/* Column Headers */}
-        <div className="grid grid-cols-5 gap-1 mb-1">
-          {columns.map((letter, colIndex) => (
-            <div
-              key={letter}
-              className="text-center py-2 bg-gray-800 rounded-t-lg font-bold"
-            >
-              {letter}
-            </div>
-          ))}
-        </div>
+        {columns.length > 0 && (
+          <div className="grid grid-cols-5 gap-1 mb-1">
+            {columns.map((letter, colIndex) => (
+              <div
+                key={letter}
+                className="text-center py-2 bg-gray-800 rounded-t-lg font-bold"
+              >
+                {letter}
+              </div>
+            ))}
+          </div>
+        )}
 
         {/* Number Grid */}
-        <div className="grid grid-cols-5 gap-1">
+        <div className={`grid ${GRID_COLS[cols]} gap-1`}>
           {card.numbers.map((row, rowIndex) => (
             <React.Fragment key={rowIndex}>
               {row.map((cell, colIndex) => {
+                if (cell.blank) {
+                  return (
+                    <div
+                      key={`${rowIndex}-${colIndex}`}
+                      className="aspect-square rounded-lg bg-gray-950"
+                    />
+                  );
+                }
+
                 const isCalled = isNumberCalled(cell);
                 const isFree = cell.free;
                 
@@ -61,7 +96,7 @@ const BingoCard = memo(({ card, calledNumbers, compact = false }) => {
                     whileTap={{ scale: 0.95 }}
                     className={`
                       aspect-square flex items-center justify-center rounded-lg
-                      ${compact ? 'text-sm' : 'text-lg font-semibold'}
+                      ${compact || isTicket ? 'text-sm' : 'text-lg font-semibold'}
                       ${isFree 
                         ? 'bg-gradient-to-br from-purple-600 to-pink-600' 
                         : isCalled 
@@ -105,18 +140,14 @@ const BingoCard = memo(({ card, calledNumbers, compact = false }) => {
         {/* Progress Bar */}
         <div className="mt-3">
           <div className="flex justify-between text-xs text-gray-400 mb-1">
-            <span>Marked: {
-              card.numbers.flat().filter(cell => isNumberCalled(cell)).length
-            }/25</span>
-            <span>{Math.round(
-              (card.numbers.flat().filter(cell => isNumberCalled(cell)).length / 25) * 100
-            )}%</span>
+            <span>Marked: {markedCount}/{cells.length}</span>
+            <span>{Math.round((markedCount / cells.length) * 100)}%</span>
           </div>
           <div className="h-1.5 bg-gray-800 rounded-full overflow-hidden">
             <motion.div
               initial={{ width: 0 }}
               animate={{ 
-                width: `${(card.numbers.flat().filter(cell => isNumberCalled(cell)).length / 25) * 100}%` 
+                width: `${(markedCount / cells.length) * 100}%` 
               }}
               className="h-full bg-gradient-to-r from-blue-500 to-purple-500"
             />
@@ -124,6 +155,31 @@ const BingoCard = memo(({ card, calledNumbers, compact = false }) => {
         </div>
       </div>
 
+      {/* Active Winning Patterns */}
+      {patterns.length > 0 && (
+        compact ? (
+          <div className="mt-3 flex flex-wrap gap-1">
+            {patterns.map(pattern => (
+              <span
+                key={pattern.key}
+                className="bg-gray-800 text-yellow-400 px-2 py-0.5 rounded-full text-[10px]"
+              >
+                {pattern.label}
+              </span>
+            ))}
+          </div>
+        ) : (
+          <div className="mt-3 pt-3 border-t border-gray-800">
+            <div className="text-xs text-gray-400 mb-2">Winning Patterns</div>
+            <div className="flex flex-wrap gap-3">
+              {patterns.map(pattern => (
+                <PatternPreview key={pattern.key} pattern={pattern} />
+              ))}
+            </div>
+          </div>
+        )
+      )}
+
       {/* Card Footer */}
       {!compact && (
         <div className="mt-3 pt-3 border-t border-gray-800">
@@ -0,0 +1,104 @@
+import React from 'react';
+import { useQuery, useMutation, useQueryClient } from 'react-query';
+import axios from 'axios';
+import { Star, Shuffle } from 'lucide-react';
+import toast from 'react-hot-toast';
+import { useAuth } from '../../context/AuthContext';
+
+const API_URL = process.env.REACT_APP_API_URL || 'http://localhost:5000';
+
+// Cartela picker: sold numbers are greyed out and the player's favourites are
+// starred. Quick pick leaves the choice to the server, which tries the
+// favourites first and then the nearest free number.
+const CardPicker = ({ gameId, betAmount, onPick }) => {
+  const { token } = useAuth();
+  const queryClient = useQueryClient();
+  const headers = { Authorization: `Bearer ${token}` };
+
+  const { data: cards } = useQuery(['cards', gameId], async () => {
+    const { data } = await axios.get(`${API_URL}/api/games/${gameId}/cards`);
+    return data;
+  }, { refetchInterval: 5000 });
+
+  const { data: favourites = [] } = useQuery('favourites', async () => {
+    const { data } = await axios.get(`${API_URL}/api/games/favourites`, { headers });
+    return data.favourites;
+  }, { enabled: !!token });
+
+  const saveFavourites = useMutation(
+    (cardNumbers) => axios.put(`${API_URL}/api/games/favourites`, { cardNumbers }, { headers }),
+    {
+      onSuccess: ({ data }) => queryClient.setQueryData('favourites', data.favourites),
+      onError: (error) => toast.error(error.response?.data?.error || 'Could not save favourites')
+    }
+  );
+
+  const toggleFavourite = (e, number) => {
+    e.stopPropagation();
+    saveFavourites.mutate(
+      favourites.includes(number)
+        ? favourites.filter(n => n !== number)
+        : [...favourites, number]
+    );
+  };
+
+  const pick = async (number) => {
+    await onPick(number);
+    queryClient.invalidateQueries(['cards', gameId]);
+  };
+
+  if (!cards) {
+    return <div className="text-center text-gray-400 py-8">Loading cards...</div>;
+  }
+
+  const sold = new Set(cards.sold);
+
+  return (
+    <div className="space-y-4">
+      <div className="flex items-center justify-between">
+        <p className="text-sm text-gray-400">
+          Pick a card or tap <Star className="inline w-3 h-3 text-yellow-400" /> to save it as a favourite
+        </p>
+        <button
+          onClick={() => pick()}
+          className="flex items-center space-x-2 bg-gradient-to-r from-blue-600 to-purple-600 px-4 py-2 rounded-lg font-semibold hover:opacity-90 transition"
+        >
+          <Shuffle className="w-4 h-4" />
+          <span>Quick Pick ({betAmount} ETB)</span>
+        </button>
+      </div>
+
+      <div className="grid grid-cols-8 md:grid-cols-10 gap-1 max-h-72 overflow-y-auto">
+        {Array.from({ length: cards.total }, (_, i) => i + 1).map((number) => {
+          const taken = sold.has(number);
+          const favourite = favourites.includes(number);
+
+          return (
+            <button
+              key={number}
+              disabled={taken}
+              onClick={() => pick(number)}
+              className={`relative py-2 rounded text-sm font-mono transition ${
+                taken
+                  ? 'bg-gray-900 text-gray-600 cursor-not-allowed'
+                  : favourite
+                    ? 'bg-yellow-500/20 text-yellow-300 ring-1 ring-yellow-500 hover:bg-yellow-500/30'
+                    : 'bg-gray-700 text-white hover:bg-gray-600'
+              }`}
+            >
+              {number}
+              <span
+                onClick={(e) => toggleFavourite(e, number)}
+                className="absolute top-0 right-0.5"
+              >
+                <Star className={`w-2.5 h-2.5 ${favourite ? 'text-yellow-400 fill-yellow-400' : 'text-gray-500'}`} />
+              </span>
+            </button>
+          );
+        })}
+      </div>
+    </div>
+  );
+};
+
+export default CardPicker;
@@ -0,0 +1,129 @@
+import React, { useState } from 'react';
+import { useNavigate } from 'react-router-dom';
+import axios from 'axios';
+import { Lock, LogIn, Plus } from 'lucide-react';
+import toast from 'react-hot-toast';
+import { useAuth } from '../../context/AuthContext';
+
+const API_URL = process.env.REACT_APP_API_URL || 'http://localhost:5000';
+
+const VARIANTS = [
+  { key: '75', label: '75-Ball' },
+  { key: '90', label: '90-Ball' },
+  { key: '30', label: 'Speed 30' }
+];
+
+// Join a friend's private game by invite code, or host one with your own stake
+const PrivateGames = ({ rooms }) => {
+  const navigate = useNavigate();
+  const { token } = useAuth();
+  const [inviteCode, setInviteCode] = useState('');
+  const [showCreate, setShowCreate] = useState(false);
+  const [form, setForm] = useState({
+    roomId: rooms[0]?.id,
+    betAmount: rooms[0]?.bet_amount || 10,
+    maxCardsPerPlayer: rooms[0]?.max_cards_per_player || 5,
+    variant: rooms[0]?.variant || '75',
+    startsIn: 15
+  });
+
+  const room = rooms.find(r => r.id === form.roomId) || rooms[0];
+
+  const handleJoin = async (e) => {
+    e.preventDefault();
+    try {
+      const { data } = await axios.get(`${API_URL}/api/games/private/${inviteCode.trim()}`);
+      navigate(`/game/${data.game.id}`);
+    } catch (error) {
+      toast.error(error.response?.data?.error || 'Could not find that game');
+    }
+  };
+
+  const handleCreate = async (e) => {
+    e.preventDefault();
+    try {
+      const { data } = await axios.post(`${API_URL}/api/games/private`, form, {
+        headers: { Authorization: `Bearer ${token}` }
+      });
+      toast.success(`Game created! Invite code ${data.game.invite_code}`);
+      navigate(`/game/${data.game.id}`);
+    } catch (error) {
+      toast.error(error.response?.data?.error || 'Could not create the game');
+    }
+  };
+
+  const update = (field) => (e) => setForm(prev => ({ ...prev, [field]: e.target.value }));
+
+  return (
+    <div className="bg-gray-900 rounded-xl p-4 border border-blue-700/50">
+      <div className="flex items-center justify-between mb-3">
+        <h2 className="flex items-center space-x-2 text-lg font-bold text-white">
+          <Lock className="w-5 h-5 text-blue-400" />
+          <span>Private Games</span>
+        </h2>
+        <button
+          onClick={() => setShowCreate(prev => !prev)}
+          className="flex items-center space-x-1 px-3 py-1 rounded-lg bg-gray-800 text-sm text-gray-300 hover:bg-gray-700"
+        >
+          <Plus className="w-4 h-4" />
+          <span>Host a game</span>
+        </button>
+      </div>
+
+      <form onSubmit={handleJoin} className="flex space-x-2">
+        <input
+          value={inviteCode}
+          onChange={(e) => setInviteCode(e.target.value.toUpperCase())}
+          placeholder="Invite code"
+          maxLength={8}
+          className="flex-1 px-3 py-2 rounded-lg bg-gray-800 text-white font-mono tracking-widest placeholder-gray-500"
+        />
+        <button
+          type="submit"
+          disabled={!inviteCode.trim()}
+          className="flex items-center space-x-1 px-4 py-2 rounded-lg bg-blue-600 text-white font-bold hover:bg-blue-500 disabled:opacity-50"
+        >
+          <LogIn className="w-4 h-4" />
+          <span>Join</span>
+        </button>
+      </form>
+
+      {showCreate && (
+        <form onSubmit={handleCreate} className="grid grid-cols-2 md:grid-cols-5 gap-3 mt-4 text-sm">
+          <label className="text-gray-400">
+            Room
+            <select value={form.roomId} onChange={update('roomId')} className="w-full mt-1 px-2 py-2 rounded-lg bg-gray-800 text-white">
+              {rooms.map(r => <option key={r.id} value={r.id}>{r.name}</option>)}
+            </select>
+          </label>
+          <label className="text-gray-400">
+            Game
+            <select value={form.variant} onChange={update('variant')} className="w-full mt-1 px-2 py-2 rounded-lg bg-gray-800 text-white">
+              {VARIANTS.map(v => <option key={v.key} value={v.key}>{v.label}</option>)}
+            </select>
+          </label>
+          <label className="text-gray-400">
+            Stake (ETB/card)
+            <input type="number" min="1" step="0.5" value={form.betAmount} onChange={update('betAmount')} className="w-full mt-1 px-2 py-2 rounded-lg bg-gray-800 text-white" />
+          </label>
+          <label className="text-gray-400">
+            Cards per player
+            <input type="number" min="1" max={room?.max_cards_per_player} value={form.maxCardsPerPlayer} onChange={update('maxCardsPerPlayer')} className="w-full mt-1 px-2 py-2 rounded-lg bg-gray-800 text-white" />
+          </label>
+          <label className="text-gray-400">
+            Starts in (min)
+            <input type="number" min="1" max="1440" value={form.startsIn} onChange={update('startsIn')} className="w-full mt-1 px-2 py-2 rounded-lg bg-gray-800 text-white" />
+          </label>
+          <button
+            type="submit"
+            className="col-span-2 md:col-span-5 py-2 rounded-lg bg-gradient-to-r from-blue-600 to-purple-600 text-white font-bold hover:opacity-90"
+          >
+            Create Private Game
+          </button>
+        </form>
+      )}
+    </div>
+  );
+};
+
+export default PrivateGames;
@@ -0,0 +1,99 @@
+import React from 'react';
+import { useNavigate } from 'react-router-dom';
+import { useQuery } from 'react-query';
+import axios from 'axios';
+import { motion } from 'framer-motion';
+import { Users, Clock, DollarSign } from 'lucide-react';
+import SpecialGames from './SpecialGames';
+import PrivateGames from './PrivateGames';
+
+const API_URL = process.env.REACT_APP_API_URL || 'http://localhost:5000';
+
+const fetchRooms = async () => {
+  const { data } = await axios.get(`${API_URL}/api/games/rooms`);
+  return data.rooms;
+};
+
+const secondsUntil = (time) => Math.max(0, Math.ceil((new Date(time).getTime() - Date.now()) / 1000));
+
+const RoomList = () => {
+  const navigate = useNavigate();
+  const { data: rooms = [], isLoading } = useQuery('rooms', fetchRooms, {
+    refetchInterval: 5000,
+    staleTime: 0
+  });
+
+  if (isLoading) {
+    return <div className="text-center text-gray-400 py-8">Loading rooms...</div>;
+  }
+
+  if (rooms.length === 0) {
+    return <div className="text-center text-gray-400 py-8">No rooms open right now</div>;
+  }
+
+  return (
+    <div className="space-y-6">
+      <SpecialGames />
+      <PrivateGames rooms={rooms} />
+
+      <div className="grid grid-cols-1 md:grid-cols-2 lg:grid-cols-3 gap-4">
+        {rooms.map((room) => (
+          <motion.div
+            key={room.id}
+            initial={{ opacity: 0, y: 10 }}
+            animate={{ opacity: 1, y: 0 }}
+            className="bg-gray-900 rounded-xl p-4 border border-gray-800"
+          >
+            <div className="flex items-center justify-between mb-3">
+              <h3 className="text-lg font-bold text-white">{room.name}</h3>
+              <span className="px-2 py-1 rounded-lg bg-yellow-500/20 text-yellow-400 text-sm font-bold">
+                {room.bet_amount} ETB
+              </span>
+            </div>
+
+            <div className="flex flex-wrap gap-1 mb-3">
+              <span className="px-2 py-0.5 rounded bg-blue-500/20 text-xs text-blue-300">
+                {room.variant_label}
+              </span>
+              {room.patterns.map((pattern) => (
+                <span key={pattern.key} className="px-2 py-0.5 rounded bg-gray-800 text-xs text-gray-300">
+                  {pattern.label}
+                </span>
+              ))}
+            </div>
+
+            {room.game ? (
+              <>
+                <div className="grid grid-cols-3 gap-2 text-sm text-gray-300 mb-4">
+                  <div className="flex items-center space-x-1">
+                    <DollarSign className="w-4 h-4 text-green-400" />
+                    <span>{room.game.pot.toFixed(2)}</span>
+                  </div>
+                  <div className="flex items-center space-x-1">
+                    <Users className="w-4 h-4 text-blue-400" />
+                    <span>{room.game.cards_sold}</span>
+                  </div>
+                  <div className="flex items-center space-x-1">
+                    <Clock className="w-4 h-4 text-yellow-400" />
+                    <span>{secondsUntil(room.game.start_time)}s</span>
+                  </div>
+                </div>
+
+                <button
+                  onClick={() => navigate(`/game/${room.game.id}`)}
+                  className="w-full py-2 rounded-lg bg-gradient-to-r from-green-500 to-emerald-600 text-white font-bold hover:opacity-90"
+                >
+                  Join Room
+                </button>
+              </>
+            ) : (
+              <div className="text-center text-sm text-gray-500 py-2">Next game starting soon...</div>
+            )}
+          </motion.div>
+        ))}
+      </div>
+    </div>
+  );
+};
+
+export default RoomList;
@@ -0,0 +1,73 @@
+import React from 'react';
+import { useNavigate } from 'react-router-dom';
+import { useQuery } from 'react-query';
+import axios from 'axios';
+import { Calendar, Trophy, Users } from 'lucide-react';
+
+const API_URL = process.env.REACT_APP_API_URL || 'http://localhost:5000';
+
+const fetchSpecialGames = async () => {
+  const { data } = await axios.get(`${API_URL}/api/games/special`);
+  return data.games;
+};
+
+const formatStart = (time) => new Date(time).toLocaleString(undefined, {
+  weekday: 'short',
+  day: 'numeric',
+  month: 'short',
+  hour: '2-digit',
+  minute: '2-digit'
+});
+
+// Calendar of scheduled special games; cards can be bought any time before the start
+const SpecialGames = () => {
+  const navigate = useNavigate();
+  const { data: games = [] } = useQuery('specialGames', fetchSpecialGames, {
+    refetchInterval: 60000
+  });
+
+  if (games.length === 0) return null;
+
+  return (
+    <div className="bg-gray-900 rounded-xl p-4 border border-purple-700/50">
+      <h2 className="flex items-center space-x-2 text-lg font-bold text-white mb-3">
+        <Calendar className="w-5 h-5 text-purple-400" />
+        <span>Special Games</span>
+      </h2>
+
+      <div className="divide-y divide-gray-800">
+        {games.map((game) => (
+          <div key={game.id} className="flex items-center justify-between py-3">
+            <div>
+              <p className="font-semibold text-white">{game.name}</p>
+              <p className="text-sm text-gray-400">
+                {formatStart(game.start_time)} · {game.variant_label} · {game.bet_amount} ETB/card
+              </p>
+            </div>
+
+            <div className="flex items-center space-x-4">
+              <div className="text-right text-sm">
+                <div className="flex items-center justify-end space-x-1 text-yellow-400 font-bold">
+                  <Trophy className="w-4 h-4" />
+                  <span>{Math.max(game.guaranteed_prize, game.pot).toLocaleString()} ETB</span>
+                </div>
+                <div className="flex items-center justify-end space-x-1 text-gray-400">
+                  <Users className="w-4 h-4" />
+                  <span>{game.cards_sold} cards sold</span>
+                </div>
+              </div>
+              <button
+                onClick={() => navigate(`/game/${game.id}`)}
+                className="px-4 py-2 rounded-lg bg-gradient-to-r from-purple-600 to-pink-600 text-white font-bold hover:opacity-90"
+              >
+                Buy Cards
+              </button>
+            </div>
+          </div>
+        ))}
+      </div>
+    </div>
+  );
+};
+
+export default SpecialGames;
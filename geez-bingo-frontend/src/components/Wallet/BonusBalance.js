@@ -0,0 +1,88 @@
+import React from 'react';
+import { useQuery } from 'react-query';
+import axios from 'axios';
+import { Wallet, Gift } from 'lucide-react';
+import { useAuth } from '../../context/AuthContext';
+
+const API_URL = process.env.REACT_APP_API_URL || 'http://localhost:5000';
+
+const STATUS_STYLES = {
+  active: 'bg-green-900/50 text-green-400',
+  converted: 'bg-blue-900/50 text-blue-400',
+  expired: 'bg-gray-800 text-gray-400'
+};
+
+// Wallet section showing cash and bonus money side by side. Bonus money buys
+// cards but only becomes withdrawable cash once it has been wagered.
+const BonusBalance = () => {
+  const { token } = useAuth();
+
+  const { data: summary } = useQuery('bonuses', async () => {
+    const { data } = await axios.get(`${API_URL}/api/bonuses`, {
+      headers: { Authorization: `Bearer ${token}` }
+    });
+    return data;
+  }, { enabled: !!token, refetchInterval: 30000 });
+
+  if (!summary) {
+    return null;
+  }
+
+  const bonuses = summary.bonuses.filter(bonus => bonus.status === 'active');
+
+  return (
+    <div className="bg-gray-900 rounded-xl p-6 border border-gray-800">
+      <div className="grid grid-cols-2 gap-4 mb-4">
+        <div className="bg-gray-800 rounded-lg p-4">
+          <p className="flex items-center space-x-2 text-sm text-gray-400">
+            <Wallet className="w-4 h-4 text-green-400" />
+            <span>Cash</span>
+          </p>
+          <p className="text-2xl font-bold text-white">{summary.cash.toFixed(2)} ETB</p>
+          <p className="text-xs text-gray-500">Withdrawable</p>
+        </div>
+        <div className="bg-gray-800 rounded-lg p-4">
+          <p className="flex items-center space-x-2 text-sm text-gray-400">
+            <Gift className="w-4 h-4 text-yellow-400" />
+            <span>Bonus</span>
+          </p>
+          <p className="text-2xl font-bold text-yellow-300">{summary.bonus.toFixed(2)} ETB</p>
+          <p className="text-xs text-gray-500">
+            {summary.wagering_remaining > 0
+              ? `Wager ${summary.wagering_remaining.toFixed(2)} ETB more to turn it into cash`
+              : 'Plays like cash on cards'}
+          </p>
+        </div>
+      </div>
+
+      <p className="text-sm text-gray-400 mb-3">
+        Cards are paid from your {summary.spend_order === 'bonus_first' ? 'bonus' : 'cash'} balance first.
+      </p>
+
+      {bonuses.map((bonus) => (
+        <div key={bonus.id} className="py-3 border-t border-gray-800">
+          <div className="flex items-center justify-between mb-2">
+            <p className="font-semibold text-white capitalize">
+              {bonus.type} bonus · {bonus.amount} ETB
+            </p>
+            <span className={`px-2 py-1 rounded-lg text-xs ${STATUS_STYLES[bonus.status]}`}>
+              {bonus.status}
+            </span>
+          </div>
+          <div className="w-full h-2 bg-gray-800 rounded-full overflow-hidden">
+            <div
+              className="h-full bg-gradient-to-r from-blue-600 to-purple-600"
+              style={{ width: `${bonus.wagering_required > 0 ? Math.min((bonus.wagered / bonus.wagering_required) * 100, 100) : 100}%` }}
+            />
+          </div>
+          <p className="text-xs text-gray-400 mt-1">
+            {bonus.wagered} / {bonus.wagering_required} ETB wagered
+            {bonus.expires_at && ` · expires ${new Date(bonus.expires_at).toLocaleDateString()}`}
+          </p>
+        </div>
+      ))}
+    </div>
+  );
+};
+
+export default BonusBalance;
@@ -0,0 +1,131 @@
+import React, { useState } from 'react';
+import { useQuery, useMutation, useQueryClient } from 'react-query';
+import axios from 'axios';
+import { Repeat, XCircle } from 'lucide-react';
+import toast from 'react-hot-toast';
+import { useAuth } from '../../context/AuthContext';
+
+const API_URL = process.env.REACT_APP_API_URL || 'http://localhost:5000';
+
+const STATUS_STYLES = {
+  active: 'bg-green-900/50 text-green-400',
+  completed: 'bg-gray-800 text-gray-400',
+  cancelled: 'bg-red-900/30 text-red-400'
+};
+
+// Wallet section for standing card orders: N cards in every new game for K
+// games or until a spend cap, optionally only at one bet amount
+const CardSubscriptions = () => {
+  const { token } = useAuth();
+  const queryClient = useQueryClient();
+  const headers = { Authorization: `Bearer ${token}` };
+  const [form, setForm] = useState({ cardsPerGame: 1, games: 10, spendCap: '', betAmount: '' });
+
+  const { data: subscriptions = [] } = useQuery('subscriptions', async () => {
+    const { data } = await axios.get(`${API_URL}/api/subscriptions`, { headers });
+    return data.subscriptions;
+  });
+
+  const create = useMutation(
+    () => axios.post(`${API_URL}/api/subscriptions`, form, { headers }),
+    {
+      onSuccess: () => {
+        toast.success('Subscription started. Your cards are bought as each new game opens.');
+        queryClient.invalidateQueries('subscriptions');
+      },
+      onError: (error) => toast.error(error.response?.data?.error || 'Could not create subscription')
+    }
+  );
+
+  const cancel = useMutation(
+    (subscriptionId) => axios.delete(`${API_URL}/api/subscriptions/${subscriptionId}`, { headers }),
+    {
+      onSuccess: () => {
+        toast.success('Subscription cancelled');
+        queryClient.invalidateQueries('subscriptions');
+      },
+      onError: (error) => toast.error(error.response?.data?.error || 'Could not cancel subscription')
+    }
+  );
+
+  const update = (field) => (e) => setForm(prev => ({ ...prev, [field]: e.target.value }));
+
+  const handleSubmit = (e) => {
+    e.preventDefault();
+    create.mutate();
+  };
+
+  return (
+    <div className="bg-gray-900 rounded-xl p-6 border border-gray-800">
+      <h2 className="flex items-center space-x-2 text-xl font-bold text-white mb-4">
+        <Repeat className="w-5 h-5 text-blue-400" />
+        <span>Card Subscriptions</span>
+      </h2>
+
+      <form onSubmit={handleSubmit} className="grid grid-cols-2 md:grid-cols-5 gap-3 mb-6 text-sm">
+        <label className="text-gray-400">
+          Cards per game
+          <input type="number" min="1" value={form.cardsPerGame} onChange={update('cardsPerGame')} className="w-full mt-1 px-2 py-2 rounded-lg bg-gray-800 text-white" />
+        </label>
+        <label className="text-gray-400">
+          Games
+          <input type="number" min="1" value={form.games} onChange={update('games')} placeholder="No limit" className="w-full mt-1 px-2 py-2 rounded-lg bg-gray-800 text-white" />
+        </label>
+        <label className="text-gray-400">
+          Spend cap (ETB)
+          <input type="number" min="1" value={form.spendCap} onChange={update('spendCap')} placeholder="No cap" className="w-full mt-1 px-2 py-2 rounded-lg bg-gray-800 text-white" />
+        </label>
+        <label className="text-gray-400">
+          Only at bet (ETB)
+          <input type="number" min="1" value={form.betAmount} onChange={update('betAmount')} placeholder="Any" className="w-full mt-1 px-2 py-2 rounded-lg bg-gray-800 text-white" />
+        </label>
+        <button
+          type="submit"
+          disabled={create.isLoading}
+          className="self-end py-2 rounded-lg bg-gradient-to-r from-blue-600 to-purple-600 text-white font-bold hover:opacity-90 disabled:opacity-50"
+        >
+          Subscribe
+        </button>
+      </form>
+
+      {subscriptions.length === 0 ? (
+        <p className="text-gray-400">No subscriptions yet</p>
+      ) : (
+        <div className="divide-y divide-gray-800">
+          {subscriptions.map((subscription) => (
+            <div key={subscription.id} className="flex items-center justify-between py-3">
+              <div>
+                <p className="font-semibold text-white">
+                  {subscription.cards_per_game} cards per game
+                  {subscription.bet_amount && ` · ${subscription.bet_amount} ETB games`}
+                  {subscription.room_name && ` · ${subscription.room_name}`}
+                </p>
+                <p className="text-sm text-gray-400">
+                  {subscription.games_played} games played · {subscription.total_spent} ETB spent
+                  {subscription.games_remaining !== null && ` · ${subscription.games_remaining} games left`}
+                  {subscription.spend_cap !== null && ` · cap ${subscription.spend_cap} ETB`}
+                </p>
+              </div>
+
+              <div className="flex items-center space-x-3">
+                <span className={`px-2 py-1 rounded-lg text-xs ${STATUS_STYLES[subscription.status]}`}>
+                  {subscription.status}
+                </span>
+                {subscription.status === 'active' && (
+                  <button
+                    onClick={() => cancel.mutate(subscription.id)}
+                    className="p-2 bg-gray-800 rounded-lg text-red-400 hover:bg-gray-700"
+                  >
+                    <XCircle className="w-4 h-4" />
+                  </button>
+                )}
+              </div>
+            </div>
+          ))}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default CardSubscriptions;
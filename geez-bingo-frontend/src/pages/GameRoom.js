@@ -1,9 +1,12 @@
 import React, { useState, useEffect, useCallback } from 'react';
-import { useParams } from 'react-router-dom';
+import { useParams, useNavigate } from 'react-router-dom';
+import axios from 'axios';
 import { motion, AnimatePresence } from 'framer-motion';
 import { useSocket } from '../context/SocketContext';
+import { useAuth } from '../context/AuthContext';
 import { useGame } from '../context/GameContext';
 import BingoCard from '../components/Game/BingoCard';
+import CardPicker from '../components/Game/CardPicker';
 import NumberGrid from '../components/Game/NumberGrid';
 import PlayerList from '../components/Game/PlayerList';
 import GameChat from '../components/Game/GameChat';
@@ -11,13 +14,17 @@ import GameControls from '../components/Game/GameControls';
 import WinnerModal from '../components/Game/WinnerModal';
 import { 
   Trophy, Users, Clock, DollarSign, 
-  Zap, RefreshCw, Volume2, Settings
+  Zap, Gem, RefreshCw, Volume2, Settings, Lock, Copy, Play, XCircle
 } from 'lucide-react';
 import toast from 'react-hot-toast';
 
+const API_URL = process.env.REACT_APP_API_URL || 'http://localhost:5000';
+
 const GameRoom = () => {
   const { gameId } = useParams();
+  const navigate = useNavigate();
   const { socket, isConnected } = useSocket();
+  const { user, token } = useAuth();
   const { currentGame, joinGame, leaveGame, purchaseCard } = useGame();
   
   const [gameState, setGameState] = useState(null);
@@ -40,8 +47,18 @@ const GameRoom = () => {
       setTimeLeft(state.timeLeft || 0);
     });
 
+    socket.on('gameCountdown', (data) => {
+      setTimeLeft(data.secondsLeft);
+      if (data.extended) {
+        toast(`Waiting for players (${data.players}/${data.minPlayers}) - start extended ${data.extension}/${data.maxExtensions}`, {
+          icon: '⏳'
+        });
+      }
+    });
+
     socket.on('numberCalled', (data) => {
-      toast.success(`Number called: ${data.number}`, {
+      if (data.timeLeft !== undefined) setTimeLeft(data.timeLeft);
+      toast.success(`Number called: ${data.number.letter || ''}${data.number.number}`, {
         icon: '🎯',
         position: 'top-center'
       });
@@ -65,15 +82,61 @@ const GameRoom = () => {
             <Trophy className="w-8 h-8" />
             <div>
               <p className="font-bold text-lg">🎉 BINGO! 🎉</p>
-              <p>{data.winner.username} won ${data.winnings}!</p>
+              {data.winners.map(w => (
+                <p key={w.cardNumber}>
+                  {w.username} won ${w.winnings} with card #{w.cardNumber}
+                  <span className="text-sm opacity-90"> ({w.pattern.label})</span>
+                </p>
+              ))}
+              {data.winners.length > 1 && (
+                <p className="text-sm opacity-90">
+                  Pot split between {data.winners.length} cards
+                </p>
+              )}
+              {data.jackpot && (
+                <p className="font-bold">
+                  💎 Jackpot ${data.jackpot.amount} won in {data.jackpot.calls} calls!
+                </p>
+              )}
             </div>
           </div>
         </motion.div>
       ));
     });
 
+    socket.on('stageWon', (data) => {
+      setGameState(prev => prev && { ...prev, current_stage: data.stage.index + 1 });
+      if (!data.nextStage) return;
+
+      const names = [...new Set(data.winners.map(w => w.username))].join(', ');
+      toast.success(`${data.stage.label} won by ${names} ($${data.winnings})! Next: ${data.nextStage.label}`, {
+        icon: '🏅',
+        duration: 5000
+      });
+    });
+
+    socket.on('jackpotUpdated', (data) => {
+      setGameState(prev => prev && prev.jackpot && { ...prev, jackpot: { ...prev.jackpot, amount: data.amount } });
+    });
+
+    socket.on('cardDisqualified', (data) => {
+      if (data.userId !== user?.id) return;
+      setMyCards(prev => prev.map(card => (
+        card.number === data.cardNumber ? { ...card, disqualified: true } : card
+      )));
+    });
+
     socket.on('gameEnded', (data) => {
-      toast('Game ended. No winner this round.', {
+      const outcomes = {
+        rollover: `$${data.amount} rolls over into the next game!`,
+        refund: 'Your cards have been refunded.',
+        jackpot: `$${data.amount} added to the jackpot!`
+      };
+      const message = data.reason === 'voided'
+        ? 'Game was interrupted and voided. Your cards have been refunded.'
+        : `Game ended. No winner this round. ${outcomes[data.outcome] || ''}`;
+
+      toast(message, {
         icon: '⏰',
         duration: 5000
       });
@@ -81,27 +144,96 @@ const GameRoom = () => {
 
     return () => {
       socket.off('gameState');
+      socket.off('gameCountdown');
       socket.off('numberCalled');
       socket.off('cardPurchased');
       socket.off('winnerDeclared');
+      socket.off('stageWon');
+      socket.off('jackpotUpdated');
+      socket.off('cardDisqualified');
       socket.off('gameEnded');
       leaveGame(gameId);
     };
-  }, [socket, gameId, joinGame, leaveGame]);
+  }, [socket, gameId, joinGame, leaveGame, user]);
 
+  // Tick locally between server updates; speed games call every 1-2 seconds anyway
+  useEffect(() => {
+    const timer = setInterval(() => {
+      setTimeLeft(prev => Math.max(prev - 1, 0));
+    }, 1000);
+    return () => clearInterval(timer);
+  }, []);
+
+  // Without a number the server picks one, favourites first
   const handlePurchaseCard = async (cardNumber) => {
     try {
       const card = await purchaseCard(gameId, cardNumber);
       setMyCards(prev => [...prev, card]);
-      toast.success(`Card #${cardNumber} purchased!`);
+      toast.success(`Card #${card.number} purchased!`);
     } catch (error) {
       toast.error(error.message);
     }
   };
 
-  const handleClaimBingo = () => {
-    socket.emit('claimBingo', { gameId });
-    toast('Checking for BINGO...', { icon: '🎯' });
+  // Host controls of private games
+  const handleStartNow = async () => {
+    try {
+      await axios.post(`${API_URL}/api/games/private/${gameId}/start`, {}, {
+        headers: { Authorization: `Bearer ${token}` }
+      });
+    } catch (error) {
+      toast.error(error.response?.data?.error || 'Could not start the game');
+    }
+  };
+
+  const handleCancelGame = async () => {
+    if (!window.confirm('Cancel this game? Everyone who bought cards gets refunded.')) return;
+
+    try {
+      await axios.delete(`${API_URL}/api/games/private/${gameId}`, {
+        headers: { Authorization: `Bearer ${token}` }
+      });
+      toast.success('Game cancelled, cards refunded');
+      navigate('/lobby');
+    } catch (error) {
+      toast.error(error.response?.data?.error || 'Could not cancel the game');
+    }
+  };
+
+  const handleCopyInvite = () => {
+    navigator.clipboard.writeText(gameState.invite_link || gameState.invite_code);
+    toast.success('Invite link copied');
+  };
+
+  const handleClaimBingo = async () => {
+    // Claims are per card; a false claim disqualifies that card
+    const card = selectedCard || (myCards.length === 1 ? myCards[0] : null);
+    if (!card) {
+      toast.error('Select the card you want to claim BINGO on');
+      return;
+    }
+
+    const checking = toast.loading('Checking for BINGO...');
+    try {
+      const { data } = await axios.post(`${API_URL}/api/games/${gameId}/claim`, {
+        cardNumber: card.number
+      }, {
+        headers: { Authorization: `Bearer ${token}` }
+      });
+
+      if (data.valid) {
+        toast.success(`BINGO confirmed on card #${card.number}!`, { id: checking, icon: '🏆' });
+      } else if (data.reason === 'window_expired') {
+        toast.error(`Too late to claim card #${card.number}`, { id: checking });
+      } else {
+        setMyCards(prev => prev.map(myCard => (
+          myCard.number === card.number ? { ...myCard, disqualified: true } : myCard
+        )));
+        toast.error(`False claim - card #${card.number} is disqualified`, { id: checking });
+      }
+    } catch (error) {
+      toast.error(error.response?.data?.error || 'Could not claim BINGO', { id: checking });
+    }
   };
 
   if (!gameState) {
@@ -126,7 +258,7 @@ const GameRoom = () => {
             </div>
             <div>
               <h1 className="text-2xl font-bold">Geez Bingo</h1>
-              <p className="text-gray-400">Game #{gameId.slice(0, 8)}</p>
+              <p className="text-gray-400">{gameState.name || `Game #${gameId.slice(0, 8)}`}</p>
             </div>
           </div>
           
@@ -136,7 +268,9 @@ const GameRoom = () => {
                 <Clock className="w-5 h-5" />
                 <span className="text-xl font-mono">{timeLeft}s</span>
               </div>
-              <p className="text-gray-400 text-sm">Time Left</p>
+              <p className="text-gray-400 text-sm">
+                {gameState.status === 'waiting' ? 'Starts In' : 'Time Left'}
+              </p>
             </div>
             
             <div className="text-center">
@@ -144,7 +278,11 @@ const GameRoom = () => {
                 <DollarSign className="w-5 h-5" />
                 <span className="text-xl font-mono">${gameState.pot}</span>
               </div>
-              <p className="text-gray-400 text-sm">Prize Pool</p>
+              <p className="text-gray-400 text-sm">
+                {parseFloat(gameState.guaranteed_prize) > 0
+                  ? `Prize Pool (${gameState.guaranteed_prize} guaranteed)`
+                  : 'Prize Pool'}
+              </p>
             </div>
             
             <div className="text-center">
@@ -154,9 +292,65 @@ const GameRoom = () => {
               </div>
               <p className="text-gray-400 text-sm">Players</p>
             </div>
+
+            {gameState.jackpot && (
+              <div className="text-center">
+                <div className="flex items-center space-x-2 text-pink-400">
+                  <Gem className="w-5 h-5" />
+                  <span className="text-xl font-mono">${gameState.jackpot.amount}</span>
+                </div>
+                <p className="text-gray-400 text-sm">Jackpot ({gameState.jackpot.calls} calls)</p>
+              </div>
+            )}
+
+            {gameState.stages?.length > 1 && (
+              <div className="text-center">
+                <div className="flex items-center space-x-2 text-orange-400">
+                  <Trophy className="w-5 h-5" />
+                  <span className="text-xl font-mono">
+                    {gameState.stages[Math.min(gameState.current_stage || 0, gameState.stages.length - 1)].label}
+                  </span>
+                </div>
+                <p className="text-gray-400 text-sm">
+                  Stage {Math.min((gameState.current_stage || 0) + 1, gameState.stages.length)}/{gameState.stages.length}
+                </p>
+              </div>
+            )}
           </div>
         </div>
 
+        {gameState.invite_code && (
+          <div className="flex flex-wrap justify-between items-center gap-4 mb-6 p-4 bg-gray-800/50 rounded-xl backdrop-blur-sm">
+            <div className="flex items-center space-x-3">
+              <Lock className="w-5 h-5 text-blue-400" />
+              <span className="text-gray-400">Private game · invite code</span>
+              <span className="font-mono text-xl tracking-widest">{gameState.invite_code}</span>
+              <button onClick={handleCopyInvite} className="p-2 bg-gray-700 rounded-lg hover:bg-gray-600">
+                <Copy className="w-4 h-4" />
+              </button>
+            </div>
+
+            {gameState.host_id === user?.id && gameState.status === 'waiting' && (
+              <div className="flex space-x-2">
+                <button
+                  onClick={handleStartNow}
+                  className="flex items-center space-x-2 px-4 py-2 bg-green-600 rounded-lg font-bold hover:bg-green-500"
+                >
+                  <Play className="w-4 h-4" />
+                  <span>Start Now</span>
+                </button>
+                <button
+                  onClick={handleCancelGame}
+                  className="flex items-center space-x-2 px-4 py-2 bg-red-600 rounded-lg font-bold hover:bg-red-500"
+                >
+                  <XCircle className="w-4 h-4" />
+                  <span>Cancel</span>
+                </button>
+              </div>
+            )}
+          </div>
+        )}
+
         <div className="grid grid-cols-1 lg:grid-cols-3 gap-6">
           {/* Left Column - Game Board & Cards */}
           <div className="lg:col-span-2 space-y-6">
@@ -176,7 +370,7 @@ const GameRoom = () => {
                   </button>
                 </div>
               </div>
-              <NumberGrid calledNumbers={gameState.calledNumbers} />
+              <NumberGrid calledNumbers={gameState.calledNumbers} balls={gameState.variant?.balls} />
             </div>
 
             {/* My Bingo Cards */}
@@ -184,20 +378,24 @@ const GameRoom = () => {
               <div className="flex justify-between items-center mb-4">
                 <h2 className="text-xl font-bold">My Bingo Cards</h2>
                 <span className="bg-blue-600 px-3 py-1 rounded-full text-sm">
-                  {myCards.length}/5
+                  {myCards.length}/{gameState.settings?.max_cards_per_player || 5}
                 </span>
               </div>
               
+              {gameState.status === 'waiting' && myCards.length < (gameState.settings?.max_cards_per_player || 5) && (
+                <div className="mb-6">
+                  <CardPicker
+                    gameId={gameId}
+                    betAmount={gameState.settings?.bet_amount}
+                    onPick={handlePurchaseCard}
+                  />
+                </div>
+              )}
+              
               <div className="grid grid-cols-1 md:grid-cols-2 lg:grid-cols-3 gap-4">
                 {myCards.length === 0 ? (
                   <div className="col-span-full text-center py-12">
-                    <p className="text-gray-400 mb-4">No cards purchased yet</p>
-                    <button 
-                      onClick={() => handlePurchaseCard(Math.floor(Math.random() * 400) + 1)}
-                      className="bg-gradient-to-r from-blue-600 to-purple-600 px-6 py-3 rounded-lg font-semibold hover:opacity-90 transition"
-                    >
-                      Buy Random Card ($10)
-                    </button>
+                    <p className="text-gray-400">No cards purchased yet</p>
                   </div>
                 ) : (
                   myCards.map((card, index) => (
@@ -209,11 +407,12 @@ const GameRoom = () => {
                       onClick={() => setSelectedCard(card)}
                       className={`cursor-pointer transform transition-transform hover:scale-105 ${
                         selectedCard?.number === card.number ? 'ring-2 ring-blue-500' : ''
-                      }`}
+                      } ${card.disqualified ? 'opacity-40 grayscale' : ''}`}
                     >
                       <BingoCard 
                         card={card} 
                         calledNumbers={gameState.calledNumbers}
+                        patterns={gameState.patterns}
                         compact={true}
                       />
                     </motion.div>
@@ -276,6 +475,7 @@ const GameRoom = () => {
                 <BingoCard 
                   card={selectedCard} 
                   calledNumbers={gameState.calledNumbers}
+                  patterns={gameState.patterns}
                   compact={false}
                 />
               </div>
@@ -286,7 +486,7 @@ const GameRoom = () => {
                     <div className="flex justify-between">
                       <span className="text-gray-400">Numbers Marked:</span>
                       <span className="text-green-400">
-                        {selectedCard.numbers.flat().filter(cell => cell.called).length}/25
+                        {selectedCard.numbers.flat().filter(cell => cell.called).length}/{selectedCard.numbers.flat().filter(cell => !cell.blank).length}
                       </span>
                     </div>
                     <div className="flex justify-between">
@@ -0,0 +1,123 @@
+import React from 'react';
+import { useQuery } from 'react-query';
+import axios from 'axios';
+import { motion } from 'framer-motion';
+import { Users, Copy, Gift, Percent } from 'lucide-react';
+import toast from 'react-hot-toast';
+import { useAuth } from '../context/AuthContext';
+
+const API_URL = process.env.REACT_APP_API_URL || 'http://localhost:5000';
+
+// Referral dashboard: the player's invite link, what the programme pays and
+// what each invited friend has earned them so far
+const ReferralsPage = () => {
+  const { token } = useAuth();
+
+  const { data: referrals, isLoading } = useQuery('referrals', async () => {
+    const { data } = await axios.get(`${API_URL}/api/referrals`, {
+      headers: { Authorization: `Bearer ${token}` }
+    });
+    return data;
+  }, { enabled: !!token, refetchInterval: 60000 });
+
+  const copyLink = async () => {
+    try {
+      await navigator.clipboard.writeText(referrals.referral_link);
+      toast.success('Invite link copied');
+    } catch (error) {
+      toast.error('Could not copy the link');
+    }
+  };
+
+  if (isLoading || !referrals) {
+    return <div className="text-center text-gray-400 py-8">Loading referrals...</div>;
+  }
+
+  const { rewards, earnings } = referrals;
+
+  return (
+    <div className="max-w-5xl mx-auto p-4 space-y-6">
+      <div className="bg-gray-900 rounded-xl p-6 border border-gray-800">
+        <h1 className="flex items-center space-x-2 text-2xl font-bold text-white mb-2">
+          <Users className="w-6 h-6 text-blue-400" />
+          <span>Invite Friends</span>
+        </h1>
+        <p className="text-gray-400 mb-4">
+          Get {rewards.signup_bonus} ETB when a friend makes their first deposit, plus{' '}
+          {rewards.commission_share * 100}% of the house fee on their cards for {rewards.commission_days} days.
+        </p>
+        <div className="flex items-center space-x-2">
+          <input
+            readOnly
+            value={referrals.referral_link}
+            className="flex-1 px-3 py-2 rounded-lg bg-gray-800 text-gray-200 text-sm"
+          />
+          <button
+            onClick={copyLink}
+            className="flex items-center space-x-1 px-4 py-2 rounded-lg bg-gradient-to-r from-blue-600 to-purple-600 text-white font-bold hover:opacity-90"
+          >
+            <Copy className="w-4 h-4" />
+            <span>Copy</span>
+          </button>
+        </div>
+        <p className="text-sm text-gray-500 mt-2">Your code: {referrals.referral_code}</p>
+      </div>
+
+      <div className="grid grid-cols-1 md:grid-cols-3 gap-4">
+        <div className="bg-gray-900 rounded-xl p-4 border border-gray-800">
+          <p className="text-sm text-gray-400">Friends invited</p>
+          <p className="text-2xl font-bold text-white">{referrals.count}</p>
+          <p className="text-xs text-gray-500">{referrals.rewarded} made a deposit</p>
+        </div>
+        <div className="bg-gray-900 rounded-xl p-4 border border-gray-800">
+          <p className="flex items-center space-x-2 text-sm text-gray-400">
+            <Gift className="w-4 h-4 text-yellow-400" />
+            <span>Sign-up bonuses</span>
+          </p>
+          <p className="text-2xl font-bold text-yellow-300">{earnings.signup.toFixed(2)} ETB</p>
+        </div>
+        <div className="bg-gray-900 rounded-xl p-4 border border-gray-800">
+          <p className="flex items-center space-x-2 text-sm text-gray-400">
+            <Percent className="w-4 h-4 text-green-400" />
+            <span>Commission</span>
+          </p>
+          <p className="text-2xl font-bold text-green-400">{earnings.commission.toFixed(2)} ETB</p>
+        </div>
+      </div>
+
+      <div className="bg-gray-900 rounded-xl p-6 border border-gray-800">
+        <h2 className="text-xl font-bold text-white mb-4">Your friends</h2>
+        {referrals.referees.length === 0 ? (
+          <p className="text-gray-400">No one has joined with your link yet</p>
+        ) : (
+          referrals.referees.map((referee) => (
+            <motion.div
+              key={`${referee.username}-${referee.joined_at}`}
+              initial={{ opacity: 0, y: 10 }}
+              animate={{ opacity: 1, y: 0 }}
+              className="flex items-center justify-between py-3 border-t border-gray-800"
+            >
+              <div>
+                <p className="font-semibold text-white">{referee.username}</p>
+                <p className="text-xs text-gray-400">
+                  Joined {new Date(referee.joined_at).toLocaleDateString()} · {referee.games_played} games
+                  {referee.signup_bonus_paid ? ' · deposited' : ' · no deposit yet'}
+                </p>
+              </div>
+              <div className="text-right">
+                <p className="font-bold text-green-400">{referee.earned.toFixed(2)} ETB</p>
+                <p className="text-xs text-gray-500">
+                  {referee.commission_active
+                    ? `Commission until ${new Date(referee.commission_until).toLocaleDateString()}`
+                    : 'Commission ended'}
+                </p>
+              </div>
+            </motion.div>
+          ))
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default ReferralsPage;
@@ -0,0 +1,231 @@
+import React from 'react';
+import { useParams, useNavigate } from 'react-router-dom';
+import { useQuery, useMutation, useQueryClient } from 'react-query';
+import axios from 'axios';
+import { motion } from 'framer-motion';
+import { Trophy, Users, Calendar, ArrowLeft, Medal } from 'lucide-react';
+import toast from 'react-hot-toast';
+import { useAuth } from '../context/AuthContext';
+
+const API_URL = process.env.REACT_APP_API_URL || 'http://localhost:5000';
+
+const STATUS_LABELS = {
+  registration: 'Registration open',
+  running: 'In progress',
+  completed: 'Finished',
+  cancelled: 'Cancelled'
+};
+
+const fetchTournaments = async () => {
+  const { data } = await axios.get(`${API_URL}/api/tournaments`);
+  return data.tournaments;
+};
+
+const fetchTournament = async (tournamentId) => {
+  const { data } = await axios.get(`${API_URL}/api/tournaments/${tournamentId}`);
+  return data.tournament;
+};
+
+const TournamentList = () => {
+  const navigate = useNavigate();
+  const { data: tournaments = [], isLoading } = useQuery('tournaments', fetchTournaments, {
+    refetchInterval: 30000
+  });
+
+  if (isLoading) {
+    return <div className="text-center text-gray-400 py-8">Loading tournaments...</div>;
+  }
+
+  if (tournaments.length === 0) {
+    return <div className="text-center text-gray-400 py-8">No tournaments scheduled right now</div>;
+  }
+
+  return (
+    <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+      {tournaments.map((tournament) => (
+        <motion.div
+          key={tournament.id}
+          initial={{ opacity: 0, y: 10 }}
+          animate={{ opacity: 1, y: 0 }}
+          onClick={() => navigate(`/tournaments/${tournament.id}`)}
+          className="bg-gray-900 rounded-xl p-4 border border-gray-800 cursor-pointer hover:border-yellow-500/50"
+        >
+          <div className="flex items-center justify-between mb-2">
+            <h3 className="text-lg font-bold text-white">{tournament.name}</h3>
+            <span className="px-2 py-1 rounded-lg bg-gray-800 text-xs text-gray-300">
+              {STATUS_LABELS[tournament.status]}
+            </span>
+          </div>
+          <p className="text-sm text-gray-400 mb-3">
+            {tournament.room_name} · {tournament.game_count} games · starts {new Date(tournament.starts_at).toLocaleString()}
+          </p>
+          <div className="grid grid-cols-3 gap-2 text-sm text-gray-300">
+            <div className="flex items-center space-x-1">
+              <Trophy className="w-4 h-4 text-yellow-400" />
+              <span>{tournament.prize_pool} ETB</span>
+            </div>
+            <div className="flex items-center space-x-1">
+              <Users className="w-4 h-4 text-blue-400" />
+              <span>{tournament.players}</span>
+            </div>
+            <div className="flex items-center space-x-1">
+              <Calendar className="w-4 h-4 text-green-400" />
+              <span>{tournament.buy_in > 0 ? `${tournament.buy_in} ETB buy-in` : 'Free entry'}</span>
+            </div>
+          </div>
+        </motion.div>
+      ))}
+    </div>
+  );
+};
+
+const TournamentDetail = ({ tournamentId }) => {
+  const navigate = useNavigate();
+  const queryClient = useQueryClient();
+  const { user, token } = useAuth();
+  const { data: tournament, isLoading } = useQuery(
+    ['tournament', tournamentId],
+    () => fetchTournament(tournamentId),
+    { refetchInterval: 10000 }
+  );
+
+  const register = useMutation(
+    () => axios.post(
+      `${API_URL}/api/tournaments/${tournamentId}/register`,
+      {},
+      { headers: { Authorization: `Bearer ${token}` } }
+    ),
+    {
+      onSuccess: () => {
+        toast.success('You are registered. Play games in the room to score points!');
+        queryClient.invalidateQueries(['tournament', tournamentId]);
+      },
+      onError: (error) => toast.error(error.response?.data?.error || 'Registration failed')
+    }
+  );
+
+  if (isLoading) {
+    return <div className="text-center text-gray-400 py-8">Loading tournament...</div>;
+  }
+
+  if (!tournament) {
+    return <div className="text-center text-gray-400 py-8">Tournament not found</div>;
+  }
+
+  const registered = tournament.leaderboard.some(entry => entry.user_id === user?.id);
+  const stagePoints = Object.entries(tournament.points.stages)
+    .map(([stage, points]) => `${stage === 'default' ? 'other stages' : stage.replace('_', ' ')}: ${points}`)
+    .join(', ');
+
+  return (
+    <div className="space-y-6">
+      <button
+        onClick={() => navigate('/tournaments')}
+        className="flex items-center space-x-2 text-gray-400 hover:text-white"
+      >
+        <ArrowLeft className="w-4 h-4" />
+        <span>All tournaments</span>
+      </button>
+
+      <div className="bg-gray-900 rounded-xl p-6 border border-gray-800">
+        <div className="flex items-center justify-between mb-2">
+          <h1 className="text-2xl font-bold text-white">{tournament.name}</h1>
+          <span className="px-3 py-1 rounded-full bg-gray-800 text-sm text-gray-300">
+            {STATUS_LABELS[tournament.status]}
+          </span>
+        </div>
+        <p className="text-gray-400 mb-4">
+          {tournament.room_name} · game {tournament.games_played}/{tournament.game_count} · starts {new Date(tournament.starts_at).toLocaleString()}
+        </p>
+
+        <div className="grid grid-cols-1 md:grid-cols-3 gap-4 text-sm">
+          <div className="bg-gray-800 rounded-lg p-3">
+            <p className="text-gray-400">Prize pool</p>
+            <p className="text-xl font-bold text-yellow-400">{tournament.prize_pool} ETB</p>
+            <p className="text-gray-500">Paid {tournament.payouts.map((percent, i) => `#${i + 1} ${percent}%`).join(', ')}</p>
+          </div>
+          <div className="bg-gray-800 rounded-lg p-3">
+            <p className="text-gray-400">Points per game</p>
+            <p className="text-gray-300">Stage wins ({stagePoints})</p>
+            <p className="text-gray-300">Closest to full card: {tournament.points.closest.join(' / ')}</p>
+          </div>
+          <div className="bg-gray-800 rounded-lg p-3 flex flex-col justify-between">
+            <p className="text-gray-400">
+              {tournament.buy_in > 0 ? `Buy-in ${tournament.buy_in} ETB` : 'Free entry'}
+            </p>
+            {tournament.status === 'registration' && !registered && (
+              <button
+                onClick={() => register.mutate()}
+                disabled={register.isLoading}
+                className="mt-2 py-2 rounded-lg bg-gradient-to-r from-yellow-500 to-orange-500 text-white font-bold hover:opacity-90 disabled:opacity-50"
+              >
+                Register
+              </button>
+            )}
+            {registered && <p className="mt-2 text-green-400 font-semibold">You are registered</p>}
+          </div>
+        </div>
+      </div>
+
+      <div className="bg-gray-900 rounded-xl p-6 border border-gray-800">
+        <h2 className="flex items-center space-x-2 text-xl font-bold mb-4">
+          <Medal className="w-5 h-5 text-yellow-400" />
+          <span>Leaderboard</span>
+        </h2>
+
+        {tournament.leaderboard.length === 0 ? (
+          <p className="text-gray-400">No players registered yet</p>
+        ) : (
+          <table className="w-full text-sm">
+            <thead>
+              <tr className="text-gray-400 text-left">
+                <th className="py-2">#</th>
+                <th>Player</th>
+                <th className="text-right">Games</th>
+                <th className="text-right">Points</th>
+                {tournament.status === 'completed' && <th className="text-right">Prize</th>}
+              </tr>
+            </thead>
+            <tbody>
+              {tournament.leaderboard.map((entry) => (
+                <tr
+                  key={entry.user_id}
+                  className={`border-t border-gray-800 ${entry.user_id === user?.id ? 'text-yellow-400' : 'text-gray-300'}`}
+                >
+                  <td className="py-2">{entry.position}</td>
+                  <td className="flex items-center space-x-2 py-2">
+                    <img src={entry.avatar} alt="" className="w-6 h-6 rounded-full" />
+                    <span>{entry.username}</span>
+                  </td>
+                  <td className="text-right">{entry.games_played}</td>
+                  <td className="text-right font-mono">{entry.points}</td>
+                  {tournament.status === 'completed' && (
+                    <td className="text-right font-mono">{entry.prize > 0 ? `${entry.prize} ETB` : '-'}</td>
+                  )}
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        )}
+      </div>
+    </div>
+  );
+};
+
+const TournamentsPage = () => {
+  const { tournamentId } = useParams();
+
+  return (
+    <div className="max-w-5xl mx-auto p-4 space-y-6">
+      {!tournamentId && (
+        <h1 className="flex items-center space-x-2 text-2xl font-bold text-white">
+          <Trophy className="w-6 h-6 text-yellow-400" />
+          <span>Tournaments</span>
+        </h1>
+      )}
+      {tournamentId ? <TournamentDetail tournamentId={tournamentId} /> : <TournamentList />}
+    </div>
+  );
+};
+
+export default TournamentsPage;
@@ -26,6 +26,9 @@ const logger = winston.createLogger({
   ]
 });
 
+// Escape reserved MarkdownV2 characters in dynamic text
+const escapeMarkdown = (text) => String(text).replace(/[_*[\]()~`>#+\-=|{}.!\\]/g, '\\$&');
+
 class GeezBingoBot {
   constructor() {
     this.token = process.env.TELEGRAM_BOT_TOKEN;
@@ -89,6 +92,34 @@ class GeezBingoBot {
   setupHandlers() {
     // Handle callback queries
     this.bot.on('callback_query', async (callbackQuery) => {
+      const data = callbackQuery.data || '';
+      
+      // Bingo claims are time-critical, so they go straight to the game engine
+      if (data.startsWith('claim_bingo_') || data.startsWith('claim_card_')) {
+        await this.handleClaimCallback(callbackQuery);
+        return;
+      }
+      
+      if (data.startsWith('room_')) {
+        await this.handleRoomCallback(callbackQuery);
+        return;
+      }
+      
+      if (data.startsWith('special_')) {
+        await this.handleSpecialGameCallback(callbackQuery);
+        return;
+      }
+      
+      if (data.startsWith('unsub_')) {
+        await this.handleUnsubscribeCallback(callbackQuery);
+        return;
+      }
+      
+      if (data.startsWith('buy_random_')) {
+        await this.handleBuyRandomCallback(callbackQuery);
+        return;
+      }
+      
       await handleCallbackQuery(this.bot, callbackQuery, this.api);
     });
     
@@ -109,7 +140,10 @@ class GeezBingoBot {
     // Handle /start command
     this.bot.onText(/\/start(?:\s+(.+))?/, async (msg, match) => {
       const chatId = msg.chat.id;
-      const referralCode = match ? match[1] : null;
+      const payload = match ? match[1] : null;
+      // Private game invites arrive as join_<invite code>, anything else is a referral code
+      const inviteCode = payload && payload.startsWith('join_') ? payload.slice(5) : null;
+      const referralCode = inviteCode ? null : payload;
       
       try {
         // Register or authenticate user
@@ -132,6 +166,10 @@ class GeezBingoBot {
           
           // Send welcome message
           await this.sendWelcomeMessage(chatId, msg.from.first_name, userData.user);
+          
+          if (inviteCode) {
+            await this.showPrivateGame(chatId, inviteCode);
+          }
         } else {
           await this.bot.sendMessage(chatId, '❌ Failed to register. Please try again.');
         }
@@ -153,6 +191,42 @@ class GeezBingoBot {
       await this.showBalance(chatId);
     });
     
+    // Handle /events command
+    this.bot.onText(/\/events/, async (msg) => {
+      const chatId = msg.chat.id;
+      await this.showSpecialGames(chatId);
+    });
+    
+    // Handle /join <invite code> command
+    this.bot.onText(/\/join(?:\s+(\S+))?/, async (msg, match) => {
+      const chatId = msg.chat.id;
+      
+      if (!match || !match[1]) {
+        await this.bot.sendMessage(chatId, '🔒 Send /join followed by the invite code, e.g. /join K7QX2M');
+        return;
+      }
+      
+      await this.showPrivateGame(chatId, match[1]);
+    });
+    
+    // Handle /subscribe <cards> <games> [bet] command
+    this.bot.onText(/\/subscribe\b(?:\s+(\d+)\s+(\d+)(?:\s+(\d+(?:\.\d+)?))?)?/, async (msg, match) => {
+      const chatId = msg.chat.id;
+      await this.handleSubscribeCommand(chatId, match);
+    });
+    
+    // Handle /subscriptions command
+    this.bot.onText(/\/subscriptions/, async (msg) => {
+      const chatId = msg.chat.id;
+      await this.showSubscriptions(chatId);
+    });
+    
+    // Handle /invite command
+    this.bot.onText(/\/invite/, async (msg) => {
+      const chatId = msg.chat.id;
+      await this.showInvite(chatId);
+    });
+    
     // Handle /help command
     this.bot.onText(/\/help/, async (msg) => {
       const chatId = msg.chat.id;
@@ -189,6 +263,14 @@ class GeezBingoBot {
   
   async handlePlayCommand(chatId) {
     try {
+      // Let the player pick a stake tier when more than one room is open
+      const rooms = await this.api.getRooms();
+      
+      if (rooms && rooms.length > 1) {
+        await this.showRoomList(chatId, rooms);
+        return;
+      }
+      
       const currentGame = await this.api.getCurrentGame();
       
       if (!currentGame || !currentGame.game) {
@@ -204,17 +286,128 @@ class GeezBingoBot {
     }
   }
   
+  async showRoomList(chatId, rooms) {
+    const keyboard = {
+      inline_keyboard: rooms.map(room => [{
+        text: room.game
+          ? `${room.name} • ${room.bet_amount} ETB • Pot ${room.game.pot}`
+          : `${room.name} • ${room.bet_amount} ETB • starting soon`,
+        callback_data: `room_${room.id}`
+      }])
+    };
+    
+    await this.bot.sendMessage(chatId, '🏠 *Choose a room*\n\nEach room runs its own games at a different stake\\.', {
+      parse_mode: 'MarkdownV2',
+      reply_markup: keyboard
+    });
+  }
+  
+  async handleRoomCallback(callbackQuery) {
+    const chatId = callbackQuery.message.chat.id;
+    const roomId = callbackQuery.data.replace('room_', '');
+    
+    try {
+      await this.bot.answerCallbackQuery(callbackQuery.id);
+      
+      const rooms = await this.api.getRooms();
+      const room = (rooms || []).find(r => r.id === roomId);
+      
+      if (!room || !room.game) {
+        await this.bot.sendMessage(chatId, '⏳ The next game in this room is starting soon. Try again in a few seconds.');
+        return;
+      }
+      
+      const game = await this.api.getGame(room.game.id);
+      await this.showGameInfo(chatId, game);
+    } catch (error) {
+      logger.error('Room selection error:', error);
+      await this.bot.sendMessage(chatId, '❌ Error loading room.');
+    }
+  }
+  
+  // Calendar of scheduled special games; cards are on sale until each starts
+  async showSpecialGames(chatId) {
+    try {
+      const games = await this.api.getSpecialGames();
+      
+      if (!games || games.length === 0) {
+        await this.bot.sendMessage(chatId, '📅 No special games scheduled right now. Check back soon!');
+        return;
+      }
+      
+      const lines = games.map(game => {
+        const start = new Date(game.start_time).toLocaleString('en-GB', {
+          weekday: 'short', day: 'numeric', month: 'short', hour: '2-digit', minute: '2-digit'
+        });
+        return `🌟 *${escapeMarkdown(game.name)}*\n${escapeMarkdown(start)} · ${escapeMarkdown(game.variant_label)} · \`$${escapeMarkdown(game.bet_amount)}\`/card\nGuaranteed prize: \`$${escapeMarkdown(game.guaranteed_prize)}\``;
+      });
+      
+      await this.bot.sendMessage(chatId, `📅 *SPECIAL GAMES*\n\n${lines.join('\n\n')}`, {
+        parse_mode: 'MarkdownV2',
+        reply_markup: {
+          inline_keyboard: games.map(game => ([
+            { text: `🎟 ${game.name}`, callback_data: `special_${game.id}` }
+          ]))
+        }
+      });
+    } catch (error) {
+      logger.error('Special games error:', error);
+      await this.bot.sendMessage(chatId, '❌ Error loading special games.');
+    }
+  }
+  
+  async handleSpecialGameCallback(callbackQuery) {
+    const chatId = callbackQuery.message.chat.id;
+    const gameId = callbackQuery.data.replace('special_', '');
+    
+    try {
+      await this.bot.answerCallbackQuery(callbackQuery.id);
+      
+      const game = await this.api.getGame(gameId);
+      await this.showGameInfo(chatId, game);
+    } catch (error) {
+      logger.error('Special game selection error:', error);
+      await this.bot.sendMessage(chatId, '❌ Error loading game.');
+    }
+  }
+  
+  // Private game behind an invite code; only people with the code can find it
+  async showPrivateGame(chatId, inviteCode) {
+    try {
+      const privateGame = await this.api.getPrivateGame(inviteCode);
+      
+      if (!privateGame) {
+        await this.bot.sendMessage(chatId, '❌ No open game with that invite code. Ask your host for a new one.');
+        return;
+      }
+      
+      const game = await this.api.getGame(privateGame.id);
+      await this.showGameInfo(chatId, { ...game, host_name: privateGame.host_name });
+    } catch (error) {
+      logger.error('Private game error:', error);
+      await this.bot.sendMessage(chatId, '❌ Error loading game.');
+    }
+  }
+  
   async showGameInfo(chatId, game) {
+    const totalCards = game.variant ? game.variant.total_cards : 400;
     const gameText = `
-🎮 *Game \\#${game.game_id.slice(0, 8)}*
+🎮 *${game.name ? escapeMarkdown(game.name) : `Game \\#${game.game_id.slice(0, 8)}`}*
 
-*Status*: ${game.status.toUpperCase()}
+${game.invite_code ? `🔒 *Private game*${game.host_name ? ` hosted by ${escapeMarkdown(game.host_name)}` : ''} · code \`${game.invite_code}\`
+` : ''}${game.room_name ? `*Room*: ${escapeMarkdown(game.room_name)}
+` : ''}${game.variant ? `*Game*: ${escapeMarkdown(game.variant.label)}
+` : ''}*Status*: ${game.status.toUpperCase()}
 *Pot*: \`$${game.pot}\\.
 *Start Time*: ${new Date(game.start_time).toLocaleTimeString()}
-*Duration*: ${game.settings.game_duration} seconds
+*Duration*: ${game.settings.game_duration} seconds${game.settings.call_interval ? `, a call every ${game.settings.call_interval}s` : ''}
 
-*Available Cards*: ${400 - (game.cards_sold || 0)}/400
+*Available Cards*: ${totalCards - (game.cards_sold || 0)}/${totalCards}
 *Bet per Card*: \`$${game.settings.bet_amount}\\.
+${game.patterns ? `*Patterns*: ${game.patterns.map(p => escapeMarkdown(p.label)).join(', ')}` : ''}
+${parseFloat(game.guaranteed_prize) > 0 ? `*Guaranteed Prize*: \`$${escapeMarkdown(game.guaranteed_prize)}\`` : ''}
+${game.jackpot ? `*Jackpot*: \`$${escapeMarkdown(game.jackpot.amount)}\` for full house within ${game.jackpot.calls} calls` : ''}
+${game.stages && game.stages.length > 1 ? `*Prizes*: ${game.stages.map(s => `${escapeMarkdown(s.label)} ${escapeMarkdown(s.prize_percent)}%`).join(', ')}` : ''}
     `;
     
     const keyboard = {
@@ -243,6 +436,250 @@ class GeezBingoBot {
     });
   }
   
+  async handleClaimCallback(callbackQuery) {
+    const chatId = callbackQuery.message.chat.id;
+    const data = callbackQuery.data;
+    
+    try {
+      await this.bot.answerCallbackQuery(callbackQuery.id);
+      
+      const session = this.userSessions.get(chatId);
+      if (!session) {
+        await this.bot.sendMessage(chatId, 'Please send /start first.');
+        return;
+      }
+      
+      // claim_bingo_<gameId>: pick which card to claim on
+      if (data.startsWith('claim_bingo_')) {
+        const gameId = data.replace('claim_bingo_', '');
+        const cards = await this.api.getUserCards(gameId, session.userId);
+        
+        if (!cards || cards.length === 0) {
+          await this.bot.sendMessage(chatId, '🃏 You have no cards in this game.');
+          return;
+        }
+        
+        const grids = cards
+          .map(card => `Card #${card.card_number}\n${this.formatCard(card)}`)
+          .join('\n\n');
+        
+        await this.bot.sendMessage(chatId, `🏆 *Which card has BINGO?*\n\n\`\`\`\n${grids}\n\`\`\`\n⚠️ A false claim disqualifies the card for this game\\.`, {
+          parse_mode: 'MarkdownV2',
+          reply_markup: {
+            inline_keyboard: cards.map(card => ([
+              { text: `Card #${card.card_number}`, callback_data: `claim_card_${gameId}_${card.card_number}` }
+            ]))
+          }
+        });
+        return;
+      }
+      
+      // claim_card_<gameId>_<cardNumber>
+      const [gameId, cardNumber] = data.replace('claim_card_', '').split('_');
+      const result = await this.api.claimBingo(gameId, session.userId, parseInt(cardNumber, 10));
+      
+      const messages = {
+        accepted: `🎉 BINGO confirmed on card #${cardNumber}! Prize is being settled...`,
+        not_complete: `🚫 Card #${cardNumber} has no BINGO. The card is disqualified for this game.`,
+        window_expired: `⏰ Too late! Card #${cardNumber} had to be claimed right after the completing call.`
+      };
+      
+      await this.bot.sendMessage(chatId, result.success ? messages[result.reason] : `❌ ${result.error}`);
+    } catch (error) {
+      logger.error('Claim error:', error);
+      await this.bot.sendMessage(chatId, '❌ Error submitting your claim.');
+    }
+  }
+  
+  // Quick pick purchase. Telegram redelivers an update it isn't sure we got
+  // with the same callback query id, so that id is the purchase's idempotency
+  // key and a redelivered tap doesn't buy a second card.
+  async handleBuyRandomCallback(callbackQuery) {
+    const chatId = callbackQuery.message.chat.id;
+    const gameId = callbackQuery.data.replace('buy_random_', '');
+    
+    try {
+      await this.bot.answerCallbackQuery(callbackQuery.id);
+      
+      const session = this.userSessions.get(chatId);
+      if (!session) {
+        await this.bot.sendMessage(chatId, 'Please send /start first.');
+        return;
+      }
+      
+      const result = await this.api.purchaseCard(gameId, session.userId, null, `tg-${callbackQuery.id}`);
+      
+      if (!result.success) {
+        await this.bot.sendMessage(chatId, `❌ ${result.error}`);
+        return;
+      }
+      
+      await this.bot.sendMessage(chatId, `🎲 You bought card \\#${result.card.card_number}:\n\n\`\`\`\n${this.formatCard(result.card)}\n\`\`\``, {
+        parse_mode: 'MarkdownV2'
+      });
+    } catch (error) {
+      logger.error('Buy random card error:', error);
+      await this.bot.sendMessage(chatId, '❌ Error buying your card.');
+    }
+  }
+  
+  // Monospace grid of a card: 75-ball cards under a BINGO header, 90-ball
+  // tickets with blanks as dots, speed cards as they are. Marked numbers are starred.
+  formatCard(card) {
+    const marked = new Set(card.marked_numbers || []);
+    const hasHeader = card.numbers[0].length === 5;
+    
+    const rows = card.numbers.map(row => row.map(cell => {
+      if (cell.free) return ' FR';
+      if (cell.blank) return '  .';
+      const called = marked.has(`${cell.letter || ''}${cell.number}`);
+      return `${called ? '*' : ''}${cell.number}`.padStart(3);
+    }).join(''));
+    
+    return (hasHeader ? ['  B  I  N  G  O', ...rows] : rows).join('\n');
+  }
+  
+  // Buy the same cards automatically: /subscribe 2 10 buys 2 cards in each of
+  // the next 10 games, /subscribe 2 10 20 only in games at 20 ETB a card
+  async handleSubscribeCommand(chatId, match) {
+    try {
+      const session = this.userSessions.get(chatId);
+      if (!session) {
+        await this.bot.sendMessage(chatId, 'Please send /start first.');
+        return;
+      }
+      
+      if (!match || !match[1]) {
+        await this.bot.sendMessage(chatId, '🔁 Send /subscribe <cards per game> <games> [bet amount], e.g. /subscribe 2 10 to buy 2 cards in each of the next 10 games.');
+        return;
+      }
+      
+      const result = await this.api.createSubscription(session.userId, {
+        cardsPerGame: parseInt(match[1], 10),
+        games: parseInt(match[2], 10),
+        betAmount: match[3] ? parseFloat(match[3]) : undefined
+      });
+      
+      if (!result.success) {
+        await this.bot.sendMessage(chatId, `❌ ${result.error}`);
+        return;
+      }
+      
+      const { subscription } = result;
+      await this.bot.sendMessage(chatId, `✅ Subscribed: ${subscription.cards_per_game} cards in each of the next ${subscription.games_remaining} games${subscription.bet_amount ? ` at ${subscription.bet_amount} ETB a card` : ''}. Manage it with /subscriptions.`);
+    } catch (error) {
+      logger.error('Subscribe error:', error);
+      await this.bot.sendMessage(chatId, '❌ Error creating subscription.');
+    }
+  }
+  
+  async showSubscriptions(chatId) {
+    try {
+      const session = this.userSessions.get(chatId);
+      if (!session) {
+        await this.bot.sendMessage(chatId, 'Please send /start first.');
+        return;
+      }
+      
+      const subscriptions = (await this.api.getSubscriptions(session.userId) || [])
+        .filter(subscription => subscription.status === 'active');
+      
+      if (subscriptions.length === 0) {
+        await this.bot.sendMessage(chatId, '🔁 No active card subscriptions. Start one with /subscribe.');
+        return;
+      }
+      
+      const lines = subscriptions.map(subscription => {
+        const left = subscription.games_remaining !== null
+          ? `${subscription.games_remaining} games left`
+          : `until $${subscription.spend_cap} spent`;
+        const filters = [
+          subscription.room_name,
+          subscription.bet_amount && `${subscription.bet_amount} ETB cards`
+        ].filter(Boolean).join(', ');
+        
+        return `🎟 *${subscription.cards_per_game} cards per game* · ${escapeMarkdown(left)}${filters ? ` · ${escapeMarkdown(filters)}` : ''}\nSpent so far: \`$${escapeMarkdown(subscription.total_spent)}\``;
+      });
+      
+      await this.bot.sendMessage(chatId, `🔁 *CARD SUBSCRIPTIONS*\n\n${lines.join('\n\n')}`, {
+        parse_mode: 'MarkdownV2',
+        reply_markup: {
+          inline_keyboard: subscriptions.map((subscription, index) => ([
+            { text: `❌ Cancel #${index + 1}`, callback_data: `unsub_${subscription.id}` }
+          ]))
+        }
+      });
+    } catch (error) {
+      logger.error('Subscriptions error:', error);
+      await this.bot.sendMessage(chatId, '❌ Error loading subscriptions.');
+    }
+  }
+  
+  // Referral link and what the player's referrals earned them
+  async showInvite(chatId) {
+    try {
+      const session = this.userSessions.get(chatId);
+      if (!session) {
+        await this.bot.sendMessage(chatId, 'Please send /start first.');
+        return;
+      }
+      
+      const referrals = await this.api.getReferrals(session.userId);
+      const { rewards, earnings } = referrals;
+      
+      const recent = referrals.referees.slice(0, 5).map(referee =>
+        `• ${escapeMarkdown(referee.username)}: ${referee.games_played} games, earned \`$${escapeMarkdown(referee.earned.toFixed(2))}\`${referee.commission_active ? '' : ' \\(commission ended\\)'}`
+      );
+      
+      const inviteText = `
+👥 *INVITE FRIENDS*
+
+Share your link: ${escapeMarkdown(referrals.referral_link)}
+Code: \`${referrals.referral_code}\`
+
+🎁 You get \`$${escapeMarkdown(rewards.signup_bonus)}\` when a friend makes a first deposit, plus ${escapeMarkdown(rewards.commission_share * 100)}% of the house fee on their cards for ${escapeMarkdown(rewards.commission_days)} days\\.
+
+*Friends invited*: ${referrals.count} \\(${referrals.rewarded} deposited\\)
+*Earned*: \`$${escapeMarkdown(earnings.total.toFixed(2))}\` \\(sign\\-ups \`$${escapeMarkdown(earnings.signup.toFixed(2))}\`, commission \`$${escapeMarkdown(earnings.commission.toFixed(2))}\`\\)
+${recent.length > 0 ? `\n*Recent friends*:\n${recent.join('\n')}` : ''}
+      `;
+      
+      await this.bot.sendMessage(chatId, inviteText, {
+        parse_mode: 'MarkdownV2',
+        reply_markup: {
+          inline_keyboard: [
+            [{ text: '📤 Share Link', url: `https://t.me/share/url?url=${encodeURIComponent(referrals.referral_link)}&text=${encodeURIComponent('Play bingo with me on Geez Bingo!')}` }],
+            [{ text: '🌐 Referral Dashboard', web_app: { url: `${this.webAppUrl}/referrals` } }]
+          ]
+        }
+      });
+    } catch (error) {
+      logger.error('Invite error:', error);
+      await this.bot.sendMessage(chatId, '❌ Error loading your referrals.');
+    }
+  }
+  
+  async handleUnsubscribeCallback(callbackQuery) {
+    const chatId = callbackQuery.message.chat.id;
+    const subscriptionId = callbackQuery.data.replace('unsub_', '');
+    
+    try {
+      const session = this.userSessions.get(chatId);
+      if (!session) {
+        await this.bot.answerCallbackQuery(callbackQuery.id, { text: 'Please send /start first.' });
+        return;
+      }
+      
+      const result = await this.api.cancelSubscription(session.userId, subscriptionId);
+      await this.bot.answerCallbackQuery(callbackQuery.id, {
+        text: result.success ? 'Subscription cancelled' : result.error
+      });
+    } catch (error) {
+      logger.error('Unsubscribe error:', error);
+      await this.bot.sendMessage(chatId, '❌ Error cancelling subscription.');
+    }
+  }
+  
   async showBalance(chatId) {
     try {
       const session = this.userSessions.get(chatId);
@@ -252,12 +689,18 @@ class GeezBingoBot {
       }
       
       const balance = await this.api.getUserBalance(session.userId);
+      const bonuses = await this.api.getBonuses(session.userId);
+      
+      // Bonus money plays like cash but only becomes cash once wagered
+      const bonusText = bonuses && bonuses.bonus > 0
+        ? `*Bonus*: \`$${bonuses.bonus.toFixed(2)}\` \\(wager \`$${bonuses.wagering_remaining.toFixed(2)}\` more to cash it\\)\n`
+        : '';
       
       const balanceText = `
 💰 *YOUR BALANCE*
 
 *Available*: \`$${balance.available.toFixed(2)}\\.
-*In Play*: \`$${balance.inPlay.toFixed(2)}\\.
+${bonusText}*In Play*: \`$${balance.inPlay.toFixed(2)}\\.
 *Total Won*: \`$${balance.totalWon.toFixed(2)}\\.
 
 *Wallet Address*: \`${balance.walletAddress || 'Not set'}\\.
@@ -287,7 +730,22 @@ class GeezBingoBot {
     }
   }
   
+  async getActivePatterns() {
+    try {
+      const currentGame = await this.api.getCurrentGame();
+      return (currentGame && currentGame.game && currentGame.game.patterns) || [];
+    } catch (error) {
+      logger.error('Pattern lookup error:', error);
+      return [];
+    }
+  }
+  
   async showHelp(chatId) {
+    const patterns = await this.getActivePatterns();
+    const patternLines = patterns.length > 0
+      ? patterns.map(pattern => `• ${escapeMarkdown(pattern.label)}`).join('\n')
+      : '• 5 in a row \\(horizontal\\)\n• 5 in a column \\(vertical\\)\n• 5 diagonal';
+    
     const helpText = `
 ❓ *HOW TO PLAY GEEZ BINGO*
 
@@ -296,7 +754,7 @@ class GeezBingoBot {
 2\\. Buy cards during 30\\-second waiting period
 3\\. Cards cost \\$10 each
 4\\. Numbers called automatically
-5\\. First to complete row/column/diagonal wins\\!
+5\\. First to complete a winning pattern wins\\!
 6\\. Winner gets 95% of pot
 
 💰 *Wallet:*
@@ -310,13 +768,15 @@ class GeezBingoBot {
 • Auto\\-mark as numbers called
 
 🏆 *Winning Patterns:*
-• 5 in a row \\(horizontal\\)
-• 5 in a column \\(vertical\\)
-• 5 diagonal
+${patternLines}
 
 *Commands:*
 /start \\- Start the bot
 /play \\- Join current game
+/events \\- Special games calendar
+/join \\- Join a private game by invite code
+/subscribe \\- Buy cards automatically every game
+/subscriptions \\- Manage your subscriptions
 /balance \\- Check balance
 /deposit \\- Add funds
 /withdraw \\- Withdraw funds
@@ -364,7 +824,10 @@ Contact @geezbingo\\_support
           if (notification.isWinner) {
             message = `🏆 *BINGO! YOU WON* \\$${notification.amount.toFixed(2)}!\n\nCongratulations!`;
           } else {
-            message = `🏆 *${notification.winnerName}* won \\$${notification.amount.toFixed(2)}!\n\nBetter luck next time!`;
+            const names = notification.winners
+              ? [...new Set(notification.winners.map(w => w.username))].join(', ')
+              : notification.winnerName;
+            message = `🏆 *${escapeMarkdown(names)}* won \\$${notification.amount.toFixed(2)}!\n\nBetter luck next time!`;
           }
           break;
       }